@@ -0,0 +1,265 @@
+/**
+ * Offline integration tests for the App Store Scraper MCP server
+ *
+ * Starts the server in replay mode on the fixtures committed under
+ * ./fixtures and calls its tools over MCP, like test.js does against the
+ * live stores. The fixtures describe a small, made-up App Store catalog:
+ * - 1001 "Focus Timer" (free, with a subscription and 7 reviews over 2 pages)
+ * - 1002 "Deep Work Pomodoro" (paid)
+ * - a search for "pomodoro" returning both apps, and its autocomplete hints
+ * - the top free and paid Productivity charts
+ *
+ * Alert webhooks are posted to a local HTTP server started by the tests. The
+ * HTTP transport is tested on a second server started with --http.
+ *
+ * Run with: node --test replay-test.js
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import http, { createServer } from 'node:http';
+import { Client } from './node_modules/@modelcontextprotocol/sdk/dist/esm/client/index.js';
+import { StdioClientTransport } from './node_modules/@modelcontextprotocol/sdk/dist/esm/client/stdio.js';
+
+let client;
+let webhookServer;
+let webhookUrl;
+const webhookRequests = [];
+
+/**
+ * Call a tool and parse its JSON response
+ * @returns {Promise<{ isError: boolean, data: object }>}
+ */
+async function callTool(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { isError: Boolean(result.isError), data: JSON.parse(result.content[0].text) };
+}
+
+before(async () => {
+  webhookServer = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      webhookRequests.push({ path: request.url, body: JSON.parse(body) });
+      response.end();
+    });
+  });
+  await new Promise(resolve => webhookServer.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${webhookServer.address().port}`;
+
+  const transport = new StdioClientTransport({
+    command: 'node',
+    args: ['server.js', '--replay', '--fixtures', 'fixtures'],
+    stderr: 'ignore'
+  });
+  client = new Client({ name: 'app-store-replay-test-client', version: '1.0.0' });
+  await client.connect(transport);
+});
+
+after(async () => {
+  await client?.close();
+  webhookServer?.close();
+});
+
+describe('search_app', () => {
+  it('returns the recorded search results', async () => {
+    const { isError, data } = await callTool('search_app', { term: 'pomodoro', platform: 'ios' });
+
+    assert.equal(isError, false);
+    assert.deepEqual(data.results.map(app => [app.id, app.title, app.free]), [
+      ['1001', 'Focus Timer', true],
+      ['1002', 'Deep Work Pomodoro', false]
+    ]);
+  });
+});
+
+describe('get_app_details', () => {
+  it('returns the app with its rating histogram', async () => {
+    const { isError, data } = await callTool('get_app_details', { appId: '1001', platform: 'ios' });
+
+    assert.equal(isError, false);
+    assert.equal(data.details.title, 'Focus Timer');
+    assert.equal(data.details.developer, 'Acme Labs');
+    assert.deepEqual(data.details.histogram, { 1: 200, 2: 150, 3: 250, 4: 800, 5: 3600 });
+  });
+});
+
+describe('fetch_reviews', () => {
+  it('pages through every review with nextCursor', async () => {
+    const first = await callTool('fetch_reviews', { appId: '1001', platform: 'ios', num: 5 });
+    assert.equal(first.isError, false);
+    assert.deepEqual(first.data.reviews.map(review => review.id), ['9010', '9009', '9008', '9007', '9006']);
+    assert.ok(first.data.nextCursor);
+
+    const second = await callTool('fetch_reviews', { appId: '1001', platform: 'ios', num: 5, cursor: first.data.nextCursor });
+    assert.equal(second.isError, false);
+    assert.deepEqual(second.data.reviews.map(review => review.id), ['9005', '9004']);
+    assert.equal(second.data.nextCursor, null);
+  });
+});
+
+describe('get_pricing_details', () => {
+  it('parses the subscription price from the description', async () => {
+    const { isError, data } = await callTool('get_pricing_details', { appId: '1001', platform: 'ios' });
+
+    assert.equal(isError, false);
+    assert.equal(data.monetizationModel, 'Freemium with subscriptions');
+    assert.deepEqual(data.subscriptions.items, [
+      { period: 'monthly', periodCount: 1, price: '$2.99', amount: 2.99, currency: 'USD' }
+    ]);
+  });
+});
+
+describe('manage_alert_rules', () => {
+  it('looks at the newest reviews for negative_reviews_above on iOS', async () => {
+    const added = await callTool('manage_alert_rules', {
+      action: 'add',
+      rule: 'focus-negative',
+      condition: 'negative_reviews_above',
+      appId: '1001',
+      platform: 'ios',
+      threshold: 40,
+      minReviews: 5,
+      webhookUrl: `${webhookUrl}/rule`
+    });
+    assert.equal(added.isError, false);
+    assert.equal(added.data.rule.days, undefined);
+
+    const { isError, data } = await callTool('manage_alert_rules', { action: 'evaluate', rule: 'focus-negative' });
+    assert.equal(isError, false);
+    // 3 of the 7 reviews have 1 or 2 stars
+    assert.equal(data.results[0].value, 42.9);
+    assert.equal(data.alerts[0].message, "42.9% of 1001's 7 newest reviews are negative (3 of 7), above 40%");
+    assert.equal(data.alerts[0].delivery.status, 'delivered');
+    assert.equal(webhookRequests.at(-1).path, '/rule');
+  });
+
+  it('rejects days for negative_reviews_above on iOS', async () => {
+    const { isError, data } = await callTool('manage_alert_rules', {
+      action: 'add',
+      rule: 'focus-negative-days',
+      condition: 'negative_reviews_above',
+      appId: '1001',
+      platform: 'ios',
+      threshold: 40,
+      days: 7
+    });
+
+    assert.equal(isError, true);
+    assert.equal(data.code, 'INVALID_INPUT');
+  });
+
+  it('tests an explicit webhookUrl instead of the rule\'s', async () => {
+    const { isError, data } = await callTool('manage_alert_rules', {
+      action: 'test',
+      rule: 'focus-negative',
+      webhookUrl: `${webhookUrl}/explicit`
+    });
+
+    assert.equal(isError, false);
+    assert.equal(data.delivery.url, `${webhookUrl}/explicit`);
+    assert.equal(webhookRequests.at(-1).path, '/explicit');
+    assert.equal(webhookRequests.at(-1).body.rule, 'focus-negative');
+  });
+});
+
+describe('replay mode', () => {
+  it('fails requests without a fixture instead of reaching the network', async () => {
+    const { isError, data } = await callTool('get_app_details', { appId: '999', platform: 'ios' });
+
+    assert.equal(isError, true);
+    assert.equal(data.code, 'UPSTREAM_ERROR');
+    assert.ok(data.suggestions.some(suggestion => /record mode/.test(suggestion)));
+  });
+});
+
+describe('HTTP transport', () => {
+  let child;
+  let port;
+
+  /**
+   * Send a request to the HTTP server
+   * @returns {Promise<{ status: number, headers: object, body: string }>}
+   */
+  const request = (path, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method, headers }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  before(async () => {
+    // Find a free port for the server
+    const probe = createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    port = probe.address().port;
+    await new Promise(resolve => probe.close(resolve));
+
+    child = spawn('node', ['server.js', '--http', '--port', String(port), '--replay', '--fixtures', 'fixtures'], {
+      env: { ...process.env, MCP_HTTP_SESSION_TTL: '300' },
+      stdio: 'ignore'
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await request('/health');
+        break;
+      } catch (error) {
+        if (attempt === 50) throw error;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+  });
+
+  after(() => {
+    child?.kill();
+  });
+
+  it('refuses requests for another host', async () => {
+    const { status } = await request('/health', { headers: { Host: `attacker.example:${port}` } });
+    assert.equal(status, 403);
+  });
+
+  it('refuses requests from another origin', async () => {
+    const { status } = await request('/health', { headers: { Origin: 'http://attacker.example' } });
+    assert.equal(status, 403);
+  });
+
+  it('accepts requests for its own host and origin', async () => {
+    const { status } = await request('/health', { headers: { Host: `localhost:${port}`, Origin: `http://localhost:${port}` } });
+    assert.equal(status, 200);
+  });
+
+  it('closes sessions that stay idle for MCP_HTTP_SESSION_TTL', async () => {
+    const initialized = await request('/mcp', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'replay-test', version: '1.0.0' } }
+      })
+    });
+    const sessionId = initialized.headers['mcp-session-id'];
+    assert.equal(initialized.status, 200);
+    assert.ok(sessionId);
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const health = JSON.parse((await request('/health')).body);
+    assert.equal(health.sessions.streamableHttp, 0);
+    assert.equal(health.sessions.expired, 1);
+
+    const expired = await request('/mcp', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    });
+    assert.equal(expired.status, 404);
+  });
+});
@@ -13,66 +13,284 @@
  * - Extracting pricing models and in-app purchase information
  * - Retrieving developer portfolios and information
  * - Fetching version history and changelog data (with platform limitations)
+ * - Tracking keyword ranks and listing changes over time in local stores
+ * - Watching apps and keywords in the background, with change notifications
+ * - Alert rules on ratings, reviews and keyword rankings, posted to webhooks
+ * - Collecting reviews incrementally into a local corpus and querying it
  * 
- * Note: The API respects store rate limits with memoization to cache results
- * and avoid hitting throttling limits.
+ * Note: The API respects store rate limits with a persistent on-disk cache
+ * (per-method TTLs, size limits, stale fallback) to avoid re-scraping after
+ * restarts and hitting throttling limits.
+ * 
+ * The server speaks MCP over stdio by default. Start it with `--http` (or
+ * MCP_TRANSPORT=http) to serve it over Streamable HTTP with an SSE fallback,
+ * so that several MCP clients can share one long-running instance and its
+ * caches.
  */
 
+import http from "node:http";
+import https from "node:https";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { realpathSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { createHash, createHmac, randomUUID, webcrypto } from "node:crypto";
+import { inflateSync } from "node:zlib";
 import { z } from "zod";
 import gplay from "google-play-scraper";
 import appStore from "app-store-scraper";
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import appStoreCommon from "app-store-scraper/lib/common.js";
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import aso from 'aso';
+import buildGplayASOStore from 'aso/lib/stores/gplay.js';
+import buildItunesASOStore from 'aso/lib/stores/itunes.js';
+
+// The SDK's Streamable HTTP transport uses the global Web Crypto API, which
+// Node.js 18 only exposes behind a flag
+globalThis.crypto ??= webcrypto;
+
+// Transport and scraper traffic mode, from command line flags or environment
+const startupOptions = getStartupOptions();
+
+// Local directory for everything the server persists between restarts
+const DATA_DIR = process.env.MCP_APPSTORE_DATA_DIR || path.join(os.homedir(), ".mcp-appstore");
+
+// Cache time-to-live per scraper method. Data that rarely changes (app details,
+// categories) is kept much longer than fast-moving data such as reviews.
+const MINUTE = 1000 * 60;
+const HOUR = MINUTE * 60;
+const DAY = HOUR * 24;
+
+const CACHE_TTLS = {
+  app: 6 * HOUR,
+  search: 1 * HOUR,
+  list: 1 * HOUR,
+  suggest: 1 * DAY,
+  developer: 6 * HOUR,
+  reviews: 15 * MINUTE,
+  ratings: 6 * HOUR,
+  similar: 6 * HOUR,
+  permissions: 1 * DAY,
+  datasafety: 1 * DAY,
+  privacy: 1 * DAY,
+  versionHistory: 6 * HOUR,
+  categories: 7 * DAY,
+  iconHash: 7 * DAY,
+  default: 1 * HOUR
+};
+
+// Cache configuration, overridable through environment variables
+const cacheOptions = {
+  // "file" or "memory". Recording and replaying always start from an empty
+  // in-memory cache so that every call reaches the (recorded) stores.
+  store: startupOptions.scraperMode === "live" ? (process.env.MCP_CACHE_STORE || "file") : "memory",
+  directory: process.env.MCP_CACHE_DIR || path.join(DATA_DIR, "cache"),
+  maxEntries: parseInt(process.env.MCP_CACHE_MAX_ENTRIES || "5000", 10),
+  maxBytes: parseInt(process.env.MCP_CACHE_MAX_BYTES || String(200 * 1024 * 1024), 10),
+  // Serve expired entries immediately and refresh them in the background
+  staleWhileRevalidate: process.env.MCP_CACHE_STALE_WHILE_REVALIDATE === "true",
+  // How long expired entries may still be served when the store is unreachable
+  maxStale: parseInt(process.env.MCP_CACHE_MAX_STALE || String(7 * DAY), 10)
+};
+
+const cacheStore = cacheOptions.store === "memory"
+  ? createMemoryCacheStore(cacheOptions)
+  : createFileCacheStore(cacheOptions);
 
-// Create memoized versions of the scrapers
-const memoizedGplay = gplay.memoized({
-  maxAge: 1000 * 60 * 10, // 10 minutes cache
-  max: 1000 // Maximum cache size
+// Keyword rank snapshots recorded by get_keyword_rank. Recording and replaying
+// keep them in memory so that fixture data never ends up in the history.
+const RANK_HISTORY_FILE = process.env.MCP_RANK_HISTORY_FILE || path.join(DATA_DIR, "rank-history.jsonl");
+const rankHistoryStore = createJsonLinesStore({
+  file: startupOptions.scraperMode === "live" ? RANK_HISTORY_FILE : null
 });
 
-const memoizedAppStore = appStore.memoized({
-  maxAge: 1000 * 60 * 10, // 10 minutes cache
-  max: 1000 // Maximum cache size
+// Snapshots of app listings recorded by get_app_details and diff_app_listing
+const LISTING_SNAPSHOTS_FILE = process.env.MCP_LISTING_SNAPSHOTS_FILE || path.join(DATA_DIR, "listing-snapshots.jsonl");
+const listingSnapshotStore = createJsonLinesStore({
+  file: startupOptions.scraperMode === "live" ? LISTING_SNAPSHOTS_FILE : null
 });
 
-// Create ASO clients for both platforms
-const gplayASO = aso('gplay');
-const itunesASO = aso('itunes');
-
-// Create an MCP server with detailed configuration
-const server = new McpServer({
-  name: "mcp-appstore",
-  version: "1.0.0",
-  description: "Tools for searching and analyzing apps from Google Play and Apple App Store",
-  capabilities: {
-    tools: {
-      listChanged: true
-    },
-    // Add server info capability
-    serverInfo: {
-      get: true
-    }
-  }
+// Watchlists refreshed in the background, and the changes their refreshes detect
+const WATCHLISTS_FILE = process.env.MCP_WATCHLISTS_FILE || path.join(DATA_DIR, "watchlists.json");
+const WATCHLIST_EVENTS_FILE = process.env.MCP_WATCHLIST_EVENTS_FILE || path.join(DATA_DIR, "watchlist-events.jsonl");
+const watchlistStore = createJsonFileStore({
+  file: startupOptions.scraperMode === "live" ? WATCHLISTS_FILE : null,
+  initial: { watchlists: {} }
+});
+const watchlistEventStore = createJsonLinesStore({
+  file: startupOptions.scraperMode === "live" ? WATCHLIST_EVENTS_FILE : null
 });
 
-// Register server info
-server.serverInfo = {
-  name: "mcp-appstore",
-  version: "1.0.0",
-  description: "Tools for searching and analyzing apps from Google Play and Apple App Store",
-  capabilities: {
-    tools: {
-      listChanged: true
-    },
-    serverInfo: {
-      get: true
-    }
+// Alert rules evaluated in the background, and the alerts they raised. Alerts
+// are posted to the rule's webhook, or to MCP_ALERT_WEBHOOK_URL by default.
+const ALERT_RULES_FILE = process.env.MCP_ALERT_RULES_FILE || path.join(DATA_DIR, "alert-rules.json");
+const ALERT_HISTORY_FILE = process.env.MCP_ALERT_HISTORY_FILE || path.join(DATA_DIR, "alert-history.jsonl");
+const ALERT_WEBHOOK_URL = process.env.MCP_ALERT_WEBHOOK_URL || null;
+const ALERT_WEBHOOK_SECRET = process.env.MCP_ALERT_WEBHOOK_SECRET || null;
+const alertRuleStore = createJsonFileStore({
+  file: startupOptions.scraperMode === "live" ? ALERT_RULES_FILE : null,
+  initial: { rules: {} }
+});
+const alertHistoryStore = createJsonLinesStore({
+  file: startupOptions.scraperMode === "live" ? ALERT_HISTORY_FILE : null
+});
+
+// Review corpora collected by sync_reviews: one JSON Lines file of reviews per
+// app, platform and country, and the sync state of every corpus
+const REVIEWS_DIR = process.env.MCP_REVIEWS_DIR || path.join(DATA_DIR, "reviews");
+const reviewCorpusStore = createJsonFileStore({
+  file: startupOptions.scraperMode === "live" ? path.join(REVIEWS_DIR, "corpora.json") : null,
+  initial: { corpora: {} }
+});
+const reviewStores = new Map();
+
+// Every upstream scraper call goes through a per-store scheduler that caps
+// concurrency, applies a token-bucket rate limit and retries throttled (429)
+// or failed (5xx, network) requests with exponential backoff and jitter.
+const gplayScheduler = createRequestScheduler("gplay", {
+  concurrency: parseInt(process.env.MCP_GPLAY_CONCURRENCY || "4", 10),
+  ratePerSecond: parseFloat(process.env.MCP_GPLAY_RATE_LIMIT || "5"),
+  burst: 10,
+  retries: parseInt(process.env.MCP_MAX_RETRIES || "3", 10),
+  baseDelay: 1000,
+  maxDelay: 30000
+});
+
+const appStoreScheduler = createRequestScheduler("appstore", {
+  concurrency: parseInt(process.env.MCP_APPSTORE_CONCURRENCY || "3", 10),
+  ratePerSecond: parseFloat(process.env.MCP_APPSTORE_RATE_LIMIT || "3"),
+  burst: 5,
+  retries: parseInt(process.env.MCP_MAX_RETRIES || "3", 10),
+  baseDelay: 1000,
+  maxDelay: 30000
+});
+
+// Create cached versions of the scrapers, backed by the persistent cache store.
+// The App Store client also gets versionHistory, which app-store-scraper lacks,
+// and both get iconHash to compare app icons.
+const cachedGplay = createCachedClient("gplay", { ...gplay, iconHash }, cacheStore, { ...cacheOptions, scheduler: gplayScheduler });
+const cachedAppStore = createCachedClient("appstore", { ...appStore, versionHistory: appStoreVersionHistory, iconHash }, cacheStore, { ...cacheOptions, scheduler: appStoreScheduler });
+
+// Charts exposed by get_top_charts, mapped to each store's collection constant.
+// Google Play has no "new" or iPad charts, so those are iOS only.
+const CHART_COLLECTIONS = {
+  top_free: { android: gplay.collection.TOP_FREE, ios: appStore.collection.TOP_FREE_IOS },
+  top_paid: { android: gplay.collection.TOP_PAID, ios: appStore.collection.TOP_PAID_IOS },
+  top_grossing: { android: gplay.collection.GROSSING, ios: appStore.collection.TOP_GROSSING_IOS },
+  new: { ios: appStore.collection.NEW_IOS },
+  new_free: { ios: appStore.collection.NEW_FREE_IOS },
+  new_paid: { ios: appStore.collection.NEW_PAID_IOS },
+  top_free_ipad: { ios: appStore.collection.TOP_FREE_IPAD },
+  top_paid_ipad: { ios: appStore.collection.TOP_PAID_IPAD },
+  top_grossing_ipad: { ios: appStore.collection.TOP_GROSSING_IPAD }
+};
+
+// Keyword suggestion strategies of suggest_keywords, mapped to the input each
+// one needs. Apart from 'autocomplete' these are the aso library's strategies.
+const KEYWORD_SUGGESTION_STRATEGIES = {
+  autocomplete: "keywords",
+  category: "appId",
+  similar: "appId",
+  competition: "appId",
+  arbitrary: "apps",
+  keywords: "keywords",
+  search: "keywords"
+};
+
+// Storefronts get_global_ratings covers by default: the largest App Store markets
+const DEFAULT_RATINGS_COUNTRIES = ["us", "gb", "ca", "au", "de", "fr", "it", "es", "nl", "se", "br", "mx", "jp", "cn", "tw", "in", "ru", "tr"];
+
+// Exchange rates used to compare prices across countries, as units of each
+// currency per base currency. The built-in rates are approximate; set
+// MCP_EXCHANGE_RATES_FILE (default <data dir>/exchange-rates.json) to a file
+// like { "base": "USD", "asOf": "2025-06-30", "rates": { "EUR": 0.85 } } to
+// override them.
+const EXCHANGE_RATES_FILE = process.env.MCP_EXCHANGE_RATES_FILE || path.join(DATA_DIR, "exchange-rates.json");
+
+const DEFAULT_EXCHANGE_RATES = {
+  base: "USD",
+  asOf: "2025-01-01",
+  rates: {
+    AED: 3.67, ARS: 1030, AUD: 1.61, BGN: 1.88, BRL: 6.18, CAD: 1.44, CHF: 0.91, CLP: 995,
+    CNY: 7.3, COP: 4400, CZK: 24.2, DKK: 7.17, EGP: 50.8, EUR: 0.96, GBP: 0.8, HKD: 7.77,
+    HUF: 396, IDR: 16200, ILS: 3.65, INR: 85.6, JPY: 157, KES: 129, KRW: 1470, KZT: 525,
+    MXN: 20.6, MYR: 4.47, NGN: 1545, NOK: 11.4, NZD: 1.78, PEN: 3.76, PHP: 58, PKR: 278,
+    PLN: 4.1, QAR: 3.64, RON: 4.78, RUB: 101, SAR: 3.75, SEK: 11, SGD: 1.36, THB: 34.1,
+    TRY: 35.4, TWD: 32.8, TZS: 2450, UAH: 42, USD: 1, VND: 25400, ZAR: 18.8
   }
 };
 
+// How deep get_keyword_rank looks into search results. Google Play search
+// returns up to 250 results, the App Store up to 200.
+const MAX_KEYWORD_RANK_DEPTH = {
+  android: 250,
+  ios: 200
+};
+
+// Changes a watchlist refresh can detect
+const WATCHLIST_EVENT_TYPES = ["new_version", "rating_drop", "price_change", "rank_change"];
+
+// Conditions an alert rule can watch for
+const ALERT_CONDITIONS = ["rating_below", "negative_reviews_above", "enters_top"];
+
+// Tool definitions are collected here and registered on every MCP server
+// instance. In HTTP mode each client session gets its own server, while the
+// scraper cache above stays shared between all of them.
+const toolDefinitions = [];
+
+// Servers of the connected clients and the resource URIs each client
+// subscribed to, so that background watchlist refreshes can notify them
+const activeServers = new Set();
+
+function defineTool(...args) {
+  toolDefinitions.push(args);
+}
+
+// Create an MCP server with detailed configuration and all tools registered
+function createServer() {
+  const server = new McpServer({
+    name: "mcp-appstore",
+    version: "1.0.0",
+    description: "Tools for searching and analyzing apps from Google Play and Apple App Store",
+    capabilities: {
+      tools: {
+        listChanged: true
+      },
+      // Add server info capability
+      serverInfo: {
+        get: true
+      }
+    }
+  });
+
+  // Register server info
+  server.serverInfo = {
+    name: "mcp-appstore",
+    version: "1.0.0",
+    description: "Tools for searching and analyzing apps from Google Play and Apple App Store",
+    capabilities: {
+      tools: {
+        listChanged: true
+      },
+      serverInfo: {
+        get: true
+      }
+    }
+  };
+
+  toolDefinitions.forEach(args => server.tool(...args));
+  registerWatchlistResources(server);
+
+  return server;
+}
+
 // Tool 1: Search for an app by name and platform
-server.tool(
+defineTool(
   "search_app",
   {
     term: z.string().describe("The search term to look up (e.g., 'panda', 'spotify', 'photo editor'). This is required."),
@@ -82,11 +300,13 @@ server.tool(
   },
   async ({ term, platform, num, country }) => {
     try {
+      validateCountry(platform, country);
+      
       let results;
       
       if (platform === "android") {
         // Search on Google Play Store
-        results = await memoizedGplay.search({
+        results = await cachedGplay.search({
           term,
           num,
           country,
@@ -110,7 +330,7 @@ server.tool(
         }));
       } else {
         // Search on Apple App Store
-        results = await memoizedAppStore.search({
+        results = await cachedAppStore.search({
           term,
           num,
           country
@@ -144,23 +364,13 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            query: term,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { query: term, platform, country });
     }
   }
 );
 
 // Tool 2: Get detailed information about an app
-server.tool(
+defineTool(
   "get_app_details",
   {
     appId: z.string().describe("The unique identifier for the app. For Android: the package name (e.g., 'com.google.android.gm'). For iOS: the numeric ID (e.g., '553834731') or the bundle ID (e.g., 'com.midasplayer.apps.candycrushsaga')."),
@@ -170,95 +380,13 @@ server.tool(
   },
   async ({ appId, platform, country, lang }) => {
     try {
-      let appDetails;
+      validateCountry(platform, country);
       
-      if (platform === "android") {
-        // Get app details from Google Play Store
-        appDetails = await memoizedGplay.app({
-          appId,
-          country,
-          lang
-        });
-        
-        // Normalize Android app details
-        appDetails = {
-          id: appDetails.appId,
-          appId: appDetails.appId,
-          title: appDetails.title,
-          description: appDetails.description,
-          summary: appDetails.summary,
-          developer: appDetails.developer,
-          developerId: appDetails.developerId,
-          developerEmail: appDetails.developerEmail,
-          developerWebsite: appDetails.developerWebsite,
-          icon: appDetails.icon,
-          headerImage: appDetails.headerImage,
-          screenshots: appDetails.screenshots,
-          score: appDetails.score,
-          scoreText: appDetails.scoreText,
-          ratings: appDetails.ratings,
-          reviews: appDetails.reviews,
-          histogram: appDetails.histogram,
-          price: appDetails.price,
-          free: appDetails.free,
-          currency: appDetails.currency,
-          categories: appDetails.categories,
-          genre: appDetails.genre,
-          genreId: appDetails.genreId,
-          contentRating: appDetails.contentRating,
-          released: appDetails.released,
-          updated: appDetails.updated,
-          version: appDetails.version,
-          size: appDetails.size,
-          recentChanges: appDetails.recentChanges,
-          platform: "android"
-        };
-      } else {
-        // Get app details from Apple App Store
-        // For iOS, we need to handle both numeric IDs and bundle IDs
-        const isNumericId = /^\d+$/.test(appId);
-        
-        const lookupParams = isNumericId 
-          ? { id: appId, country, lang } 
-          : { appId: appId, country, lang };
-        
-        appDetails = await memoizedAppStore.app({
-          ...lookupParams,
-          ratings: true // Get ratings information too
-        });
-        
-        // Normalize iOS app details
-        appDetails = {
-          id: appDetails.id.toString(),
-          appId: appDetails.appId,
-          title: appDetails.title,
-          description: appDetails.description,
-          summary: appDetails.description?.substring(0, 100),
-          developer: appDetails.developer,
-          developerId: appDetails.developerId,
-          developerWebsite: appDetails.developerWebsite,
-          icon: appDetails.icon,
-          screenshots: appDetails.screenshots,
-          ipadScreenshots: appDetails.ipadScreenshots,
-          score: appDetails.score,
-          scoreText: appDetails.score?.toString(),
-          ratings: appDetails.ratings,
-          reviews: appDetails.reviews,
-          histogram: appDetails.histogram,
-          price: appDetails.price,
-          free: appDetails.free,
-          currency: appDetails.currency,
-          genres: appDetails.genres,
-          primaryGenre: appDetails.primaryGenre,
-          contentRating: appDetails.contentRating,
-          released: appDetails.released,
-          updated: appDetails.updated,
-          version: appDetails.version,
-          size: appDetails.size,
-          releaseNotes: appDetails.releaseNotes,
-          platform: "ios"
-        };
-      }
+      const appDetails = await fetchAppDetails(appId, platform, country, lang);
+      
+      // Keep a snapshot of the listing for diff_app_listing
+      await recordListingSnapshot(appDetails, { platform, country, lang })
+        .catch(err => console.error("Listing snapshots: Error saving snapshot:", err.message));
       
       return {
         content: [{ 
@@ -271,22 +399,12 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            appId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { appId, platform, country });
     }
   }
 );
 
-server.tool(
+defineTool(
   "analyze_top_keywords",
   {
     keyword: z.string().describe("The keyword or search term to analyze (e.g., 'meditation app', 'puzzle games')."),
@@ -297,11 +415,14 @@ server.tool(
   },
   async ({ keyword, platform, num, country, lang }) => {
     try {
+      validateCountry(platform, country);
+      
       let results = [];
+      let subRequests = null;
       
       if (platform === "android") {
         // Get search results from Google Play Store
-        results = await memoizedGplay.search({
+        results = await cachedGplay.search({
           term: keyword,
           num,
           country,
@@ -310,7 +431,7 @@ server.tool(
         });
       } else {
         // Get search results from Apple App Store
-        results = await memoizedAppStore.search({
+        results = await cachedAppStore.search({
           term: keyword,
           num,
           country,
@@ -318,17 +439,16 @@ server.tool(
         });
         
         // For Apple, we need to fetch full details for each app
-        const fullDetailsPromises = results.map(app => {
-          try {
-            return memoizedAppStore.app({ id: app.id, country, lang, ratings: true });
-          } catch (err) {
-            console.error(`Error fetching details for app ${app.id}:`, err);
-            return app; // Return original data if full details fetch fails
-          }
-        });
+        const fullDetails = await settleSubRequests(
+          results,
+          app => cachedAppStore.app({ id: app.id, country, lang, ratings: true }),
+          app => app.id
+        );
         
-        // Wait for all detail requests to complete
-        results = await Promise.all(fullDetailsPromises);
+        // Fall back to the search data for apps whose details could not be fetched
+        const detailsById = new Map(fullDetails.results.map(app => [app.id, app]));
+        results = results.map(app => detailsById.get(app.id) || app);
+        subRequests = fullDetails.report;
       }
       
       // Normalize and extract key metrics
@@ -428,27 +548,18 @@ server.tool(
               averageRating: parseFloat(avgRating.toFixed(2)),
               paidAppsPercentage: parseFloat(paidPercentage.toFixed(2)),
               categoryDistribution
-            }
+            },
+            ...(subRequests && { subRequests })
           }, null, 2)
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            keyword,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { keyword, platform, country });
     }
   }
 );
 
-server.tool(
+defineTool(
   "analyze_reviews",
   {
     appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
@@ -460,6 +571,8 @@ server.tool(
   },
   async ({ appId, platform, num, country, lang, sort }) => {
     try {
+      validateCountry(platform, country);
+      
       let reviews = [];
       
       // Fetch reviews from the appropriate platform
@@ -479,7 +592,7 @@ server.tool(
             sortType = gplay.sort.NEWEST;
         }
         
-        const result = await memoizedGplay.reviews({
+        const result = await cachedGplay.reviews({
           appId,
           num: Math.min(num, 1000), // Limit to 1000 reviews max
           sort: sortType,
@@ -521,7 +634,7 @@ server.tool(
             } else {
               // First we need to fetch the app to get its numeric ID
               try {
-                const appDetails = await memoizedAppStore.app({ appId, country });
+                const appDetails = await cachedAppStore.app({ appId, country });
                 iosParams = {
                   id: appDetails.id.toString(),
                   page,
@@ -534,7 +647,7 @@ server.tool(
               }
             }
             
-            const pageReviews = await memoizedAppStore.reviews(iosParams);
+            const pageReviews = await cachedAppStore.reviews(iosParams);
             
             if (!pageReviews || pageReviews.length === 0) {
               break; // No more reviews
@@ -551,76 +664,6 @@ server.tool(
         reviews = allReviews.slice(0, num);
       }
       
-      // Very basic sentiment analysis functions
-      function analyzeSentiment(text) {
-        if (!text) return 'neutral';
-        
-        // Define simple positive and negative word lists
-        const positiveWords = [
-          'good', 'great', 'excellent', 'awesome', 'amazing', 'love', 'best',
-          'perfect', 'fantastic', 'wonderful', 'happy', 'easy', 'helpful',
-          'recommend', 'recommended', 'nice', 'beautiful', 'fun', 'enjoy',
-          'worth', 'favorite', 'improvement', 'improved', 'better', 'useful'
-        ];
-        
-        const negativeWords = [
-          'bad', 'terrible', 'awful', 'horrible', 'poor', 'worst', 'waste',
-          'useless', 'difficult', 'hate', 'crash', 'bug', 'problem', 'issue',
-          'disappointing', 'disappointed', 'fix', 'error', 'fail', 'fails',
-          'wrong', 'frustrating', 'slow', 'expensive', 'annoying', 'boring'
-        ];
-        
-        // Convert text to lowercase and split into words
-        const words = text.toLowerCase().match(/\b(\w+)\b/g) || [];
-        
-        // Count positive and negative words
-        let positiveCount = 0;
-        let negativeCount = 0;
-        
-        words.forEach(word => {
-          if (positiveWords.includes(word)) positiveCount++;
-          if (negativeWords.includes(word)) negativeCount++;
-        });
-        
-        // Determine sentiment based on counts
-        if (positiveCount > negativeCount * 2) return 'positive';
-        if (negativeCount > positiveCount * 2) return 'negative';
-        if (positiveCount > negativeCount) return 'somewhat positive';
-        if (negativeCount > positiveCount) return 'somewhat negative';
-        return 'neutral';
-      }
-      
-      // Extract keywords from text
-      function extractKeywords(text) {
-        if (!text) return [];
-        
-        // Common words to exclude
-        const stopWords = [
-          'i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves',
-          'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him',
-          'his', 'himself', 'she', 'her', 'hers', 'herself', 'it', 'its',
-          'itself', 'they', 'them', 'their', 'theirs', 'themselves',
-          'what', 'which', 'who', 'whom', 'this', 'that', 'these', 'those',
-          'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have',
-          'has', 'had', 'having', 'do', 'does', 'did', 'doing', 'a', 'an',
-          'the', 'and', 'but', 'if', 'or', 'because', 'as', 'until', 'while',
-          'of', 'at', 'by', 'for', 'with', 'about', 'against', 'between',
-          'into', 'through', 'during', 'before', 'after', 'above', 'below',
-          'to', 'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over',
-          'under', 'again', 'further', 'then', 'once', 'here', 'there',
-          'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each',
-          'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor',
-          'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very',
-          's', 't', 'can', 'will', 'just', 'don', 'should', 'now', 'app'
-        ];
-        
-        // Extract words, remove stop words, and filter out short words
-        const words = text.toLowerCase().match(/\b(\w+)\b/g) || [];
-        return words.filter(word => 
-          !stopWords.includes(word) && word.length > 3
-        );
-      }
-      
       // Process all reviews
       const processedReviews = reviews.map(review => {
         const reviewText = platform === 'android' ? review.text : review.text;
@@ -805,62 +848,44 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            appId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { appId, platform, country });
     }
   }
 );
 
 // Tool to fetch raw reviews without analysis
-server.tool(
+defineTool(
   "fetch_reviews",
   {
     appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
     platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
-    num: z.number().optional().default(100).describe("Number of reviews to fetch (1-1000, default 100). Note: Actual number may be less due to API limitations. For iOS, limited to 10 pages max."),
+    num: z.number().optional().default(100).describe("Number of reviews to fetch in this call (1-1000, default 100). Use 'cursor' to get more. Note: Actual number may be less due to API limitations. For iOS, each storefront returns at most 10 pages of 50 reviews."),
     country: z.string().length(2).optional().default("us").describe("Two-letter country code for the App Store/Play Store region. Default 'us'."),
     lang: z.string().optional().default("en").describe("Language code for reviews. Default 'en'."),
-    sort: z.enum(["newest", "rating", "helpfulness"]).optional().default("newest").describe("Sorting order for reviews: 'newest', 'rating', 'helpfulness'. Default 'newest'.")
+    sort: z.enum(["newest", "rating", "helpfulness"]).optional().default("newest").describe("Sorting order for reviews: 'newest', 'rating', 'helpfulness'. Default 'newest'."),
+    cursor: z.string().optional().describe("The nextCursor of a previous response, to get the reviews that follow it. Pass the same appId, platform, country, countries, lang and sort."),
+    countries: z.array(z.string().length(2)).min(1).max(50).optional().describe("iOS only: two-letter country codes of the App Store storefronts to collect reviews from, one after the other, instead of 'country'. Each storefront returns at most 500 reviews.")
   },
-  async ({ appId, platform, num, country, lang, sort }) => {
+  async ({ appId, platform, num, country, lang, sort, cursor, countries }) => {
     try {
-      let reviews = [];
+      if (countries && platform !== "ios") {
+        throw new ToolError(ERROR_CODES.INVALID_INPUT, "'countries' is only supported for iOS", {
+          suggestions: ["Google Play reviews can be paged beyond 1000 with 'cursor' instead"]
+        });
+      }
+      
+      const storefronts = platform === "ios" ? [...new Set((countries || [country]).map(code => code.toLowerCase()))] : [country];
+      storefronts.forEach(code => validateCountry(platform, code));
+      
+      const limit = Math.max(1, Math.min(num, 1000)); // Limit to 1000 reviews per call
+      const query = platform === "android"
+        ? { appId, platform, country, lang, sort }
+        : { appId, platform, countries: storefronts, sort };
+      const position = cursor ? decodeReviewCursor(cursor, query).position : null;
       
-      // Fetch reviews from the appropriate platform
       if (platform === "android") {
-        let sortType;
-        switch (sort) {
-          case "newest":
-            sortType = gplay.sort.NEWEST;
-            break;
-          case "rating":
-            sortType = gplay.sort.RATING;
-            break;
-          case "helpfulness":
-            sortType = gplay.sort.HELPFULNESS;
-            break;
-          default:
-            sortType = gplay.sort.NEWEST;
-        }
-        
-        const result = await memoizedGplay.reviews({
-          appId,
-          num: Math.min(num, 1000), // Limit to 1000 reviews max
-          sort: sortType,
-          country,
-          lang
-        });
-        
-        reviews = result.data || [];
+        const sortType = { newest: gplay.sort.NEWEST, rating: gplay.sort.RATING, helpfulness: gplay.sort.HELPFULNESS }[sort];
+        const { reviews, duplicates, next } = await fetchAndroidReviews({ appId, sort: sortType, country, lang, num: limit, position });
         
         // Android reviews have developer replies included if available
         return {
@@ -870,6 +895,8 @@ server.tool(
               appId,
               platform,
               count: reviews.length,
+              nextCursor: next ? encodeReviewCursor({ query, position: next }) : null,
+              duplicatesRemoved: duplicates,
               reviews: reviews.map(review => ({
                 id: review.id,
                 userName: review.userName,
@@ -890,66 +917,8 @@ server.tool(
           }]
         };
       } else {
-        let page = 1;
-        let allReviews = [];
-        let sortType;
-        
-        switch (sort) {
-          case "newest":
-            sortType = appStore.sort.RECENT;
-            break;
-          case "helpfulness":
-            sortType = appStore.sort.HELPFUL;
-            break;
-          default:
-            sortType = appStore.sort.RECENT;
-        }
-        
-        // For iOS, we might need to fetch multiple pages
-        while (allReviews.length < num && page <= 10) { // App Store only allows 10 pages
-          try {
-            // For iOS apps, we need to use id instead of appId
-            let iosParams = {};
-            
-            // Check if the appId is already a numeric ID
-            if (/^\d+$/.test(appId)) {
-              iosParams = {
-                id: appId,
-                page,
-                sort: sortType,
-                country
-              };
-            } else {
-              // First we need to fetch the app to get its numeric ID
-              try {
-                const appDetails = await memoizedAppStore.app({ appId, country });
-                iosParams = {
-                  id: appDetails.id.toString(),
-                  page,
-                  sort: sortType,
-                  country
-                };
-              } catch (appError) {
-                console.error(`Could not fetch app details for ${appId}:`, appError.message);
-                break;
-              }
-            }
-            
-            const pageReviews = await memoizedAppStore.reviews(iosParams);
-            
-            if (!pageReviews || pageReviews.length === 0) {
-              break; // No more reviews
-            }
-            
-            allReviews = [...allReviews, ...pageReviews];
-            page++;
-          } catch (err) {
-            console.error(`Error fetching reviews page ${page}:`, err);
-            break;
-          }
-        }
-        
-        reviews = allReviews.slice(0, num);
+        const sortType = sort === "helpfulness" ? appStore.sort.HELPFUL : appStore.sort.RECENT;
+        const { reviews, duplicates, byCountry, failures, next, requestLimitReached } = await fetchIosReviews({ appId, sort: sortType, countries: storefronts, num: limit, position });
         
         // iOS reviews don't include developer responses in the API
         return {
@@ -959,8 +928,14 @@ server.tool(
               appId,
               platform,
               count: reviews.length,
+              nextCursor: next ? encodeReviewCursor({ query, position: next }) : null,
+              duplicatesRemoved: duplicates,
+              ...(storefronts.length > 1 ? { countries: byCountry } : {}),
+              ...(failures.length > 0 ? { failures } : {}),
+              ...(requestLimitReached ? { note: `Stopped after ${IOS_REVIEW_REQUESTS_PER_CALL} App Store pages. Pass nextCursor to continue with the remaining storefronts.` } : {}),
               reviews: reviews.map(review => ({
                 id: review.id,
+                country: review.country,
                 userName: review.userName,
                 userUrl: review.userUrl,
                 score: review.score,
@@ -976,176 +951,42 @@ server.tool(
         };
       }
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            appId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { appId, platform, country });
     }
   }
 );
 
 // Tool 5: Get detailed pricing information
-server.tool(
+defineTool(
   "get_pricing_details",
   {
     appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
     platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
-    country: z.string().length(2).optional().default("us").describe("Two-letter country code for store localization (affects currency and price). Default 'us'."),
-    lang: z.string().optional().default("en").describe("Language code for results. Default 'en'.")
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code for store localization (affects currency and price). Default 'us'. Ignored when 'countries' is given."),
+    lang: z.string().optional().default("en").describe("Language code for results. Default 'en'."),
+    countries: z.array(z.string().length(2)).max(50).optional().describe("Two-letter country codes to compare. When given, returns a pricing matrix across these countries, with prices converted to 'referenceCurrency' and regional pricing anomalies flagged."),
+    referenceCurrency: z.string().length(3).optional().default("USD").describe("ISO 4217 currency that matrix prices are converted to, using the local exchange-rate table. Default 'USD'."),
+    outlierThreshold: z.number().min(0).optional().default(0.5).describe("Relative distance from the median price (0.5 = 50%) above which a country's price is flagged as an anomaly in the matrix. Default 0.5.")
   },
-  async ({ appId, platform, country, lang }) => {
+  async ({ appId, platform, country, lang, countries, referenceCurrency, outlierThreshold }) => {
     try {
-      let appDetails;
-      let pricingDetails = {
-        appId,
-        platform,
-        basePrice: {
-          amount: 0,
-          currency: "USD",
-          formattedPrice: "Free",
-          isFree: true
-        },
-        inAppPurchases: {
-          offers: false,
-          priceRange: null,
-          items: []
-        },
-        subscriptions: {
-          offers: false,
-          items: []
-        }
-      };
-      
-      if (platform === "android") {
-        // Get app details from Google Play Store
-        appDetails = await memoizedGplay.app({
-          appId,
-          country,
-          lang
-        });
-        
-        // Extract basic pricing info
-        pricingDetails.basePrice = {
-          amount: appDetails.price || 0,
-          currency: appDetails.currency || "USD",
-          formattedPrice: appDetails.priceText || "Free",
-          isFree: appDetails.free === true
-        };
-        
-        // Extract IAP information
-        pricingDetails.inAppPurchases.offers = appDetails.offersIAP === true;
-        pricingDetails.inAppPurchases.priceRange = appDetails.IAPRange || null;
-        
-        // Extract subscription info (if available)
-        // Note: This is limited in Google Play Scraper
-        if (appDetails.adSupported) {
-          pricingDetails.adSupported = true;
-        }
-        
-        // Try to parse IAP items from description if available
-        if (appDetails.description && appDetails.offersIAP) {
-          const iapMatches = appDetails.description.match(/(\$[\d\.]+)|([\d\.]+ [A-Z]{3})/g);
-          if (iapMatches && iapMatches.length > 0) {
-            // Simple extraction of potential IAP prices from description
-            const uniquePrices = [...new Set(iapMatches)];
-            pricingDetails.inAppPurchases.items = uniquePrices.map(price => ({
-              type: "unknown", // Can't reliably determine from description
-              price,
-              isSubscription: price.toLowerCase().includes("month") || 
-                             price.toLowerCase().includes("year") || 
-                             price.toLowerCase().includes("annual")
-            })).slice(0, 5); // Limit to top 5 potential IAP prices
-          }
-        }
-      } else {
-        // Get app details from Apple App Store
-        // For iOS, we need to handle both numeric IDs and bundle IDs
-        const isNumericId = /^\d+$/.test(appId);
-        
-        const lookupParams = isNumericId 
-          ? { id: appId, country, lang } 
-          : { appId: appId, country, lang };
-        
-        appDetails = await memoizedAppStore.app({
-          ...lookupParams
+      if (countries && countries.length > 0) {
+        const matrix = await buildPricingMatrix(appId, platform, countries, lang, {
+          referenceCurrency: referenceCurrency.toUpperCase(),
+          outlierThreshold
         });
         
-        // Extract basic pricing info
-        pricingDetails.basePrice = {
-          amount: appDetails.price || 0,
-          currency: appDetails.currency || "USD",
-          formattedPrice: appDetails.price === 0 ? "Free" : `${appDetails.price} ${appDetails.currency}`,
-          isFree: appDetails.free === true
+        return {
+          content: [{ 
+            type: "text", 
+            text: JSON.stringify(matrix, null, 2)
+          }]
         };
-        
-        // Extract in-app purchase information
-        // Note: App Store Scraper doesn't provide detailed IAP info directly
-        // We can try to extract from description and release notes
-        const hasPaidContent = appDetails.description && 
-          (appDetails.description.includes("in-app purchase") || 
-           appDetails.description.includes("subscription"));
-        
-        if (hasPaidContent) {
-          pricingDetails.inAppPurchases.offers = true;
-          
-          // Try to extract potential subscription information
-          const subscriptionMatches = appDetails.description && appDetails.description.match(
-            /(monthly|annual|yearly|week|subscription).{1,30}(\$[\d\.]+|[\d\.]+ [A-Z]{3})/gi
-          );
-          
-          if (subscriptionMatches && subscriptionMatches.length > 0) {
-            pricingDetails.subscriptions.offers = true;
-            
-            // Simple extraction of potential subscription info from description
-            const uniqueSubs = [...new Set(subscriptionMatches.map(s => s.trim()))];
-            pricingDetails.subscriptions.items = uniqueSubs.map(sub => {
-              let period = "unknown";
-              if (sub.toLowerCase().includes("month")) period = "monthly";
-              else if (sub.toLowerCase().includes("year") || sub.toLowerCase().includes("annual")) period = "yearly";
-              else if (sub.toLowerCase().includes("week")) period = "weekly";
-              
-              // Extract price with regex
-              const priceMatch = sub.match(/(\$[\d\.]+)|([\d\.]+ [A-Z]{3})/);
-              const price = priceMatch ? priceMatch[0] : "Price unknown";
-              
-              return {
-                period,
-                price
-              };
-            }).slice(0, 3); // Limit to top 3 potential subscription options
-          }
-          
-          // Try to extract other IAP information
-          const iapMatches = appDetails.description && 
-            appDetails.description.match(/in-app purchase.{1,30}(\$[\d\.]+|[\d\.]+ [A-Z]{3})/gi);
-          
-          if (iapMatches && iapMatches.length > 0) {
-            // Simple extraction of potential IAP prices from description
-            const uniqueIaps = [...new Set(iapMatches.map(s => s.trim()))];
-            const pricesOnly = uniqueIaps.map(iap => {
-              const priceMatch = iap.match(/(\$[\d\.]+)|([\d\.]+ [A-Z]{3})/);
-              return priceMatch ? priceMatch[0] : null;
-            }).filter(Boolean);
-            
-            if (pricesOnly.length > 0) {
-              pricingDetails.inAppPurchases.items = pricesOnly.map(price => ({
-                type: "consumable", // Assumption - can't reliably determine
-                price
-              })).slice(0, 5); // Limit to top 5 potential IAP prices
-            }
-          }
-        }
       }
       
-      // Add monetization model categorization
-      pricingDetails.monetizationModel = determineMonetizationModel(pricingDetails);
+      validateCountry(platform, country);
+      
+      const pricingDetails = await fetchPricingDetails(appId, platform, country, lang);
       
       return {
         content: [{ 
@@ -1154,23 +995,13 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            appId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { appId, platform, country });
     }
   }
 );
 
 // Tool 6: Get comprehensive developer information
-server.tool(
+defineTool(
   "get_developer_info",
   {
     developerId: z.string().describe("The developer identifier. For Android: the name (e.g., 'Google LLC') or ID ('570031...'). For iOS: the numeric artist ID (e.g., '284882218') or the developer name ('Facebook'). If a name is provided for iOS, the tool will attempt to find the numeric ID."),
@@ -1181,6 +1012,8 @@ server.tool(
   },
   async ({ developerId, platform, country, lang, includeApps }) => {
     try {
+      validateCountry(platform, country);
+      
       let developerInfo = {
         developerId,
         platform,
@@ -1201,7 +1034,7 @@ server.tool(
 
       if (platform === "android") {
         // Get developer's apps from Google Play Store
-        const apps = await memoizedGplay.developer({
+        const apps = await cachedGplay.developer({
           devId: developerId,
           country,
           lang,
@@ -1210,7 +1043,7 @@ server.tool(
 
         if (apps && apps.length > 0) {
           // Get full details of the first app to extract developer info
-          const firstApp = await memoizedGplay.app({
+          const firstApp = await cachedGplay.app({
             appId: apps[0].appId,
             country,
             lang
@@ -1238,17 +1071,19 @@ server.tool(
           let totalInstalls = 0;
 
           if (includeApps) {
-            // Get full details for all apps
-            const appDetailsPromises = apps.map(app => 
-              memoizedGplay.app({
+            // Get full details for all apps, reporting the ones that failed
+            const appDetails = await settleSubRequests(
+              apps,
+              app => cachedGplay.app({
                 appId: app.appId,
                 country,
                 lang
-              }).catch(err => null)
+              }),
+              app => app.appId
             );
 
-            const appDetails = await Promise.all(appDetailsPromises);
-            const validAppDetails = appDetails.filter(app => app !== null);
+            const validAppDetails = appDetails.results;
+            developerInfo.subRequests = appDetails.report;
 
             validAppDetails.forEach(app => {
               if (app.score) totalRating += app.score;
@@ -1284,14 +1119,14 @@ server.tool(
 
         if (!isNumericId) {
           // Search for an app by this developer to get their numeric ID
-          const searchResults = await memoizedAppStore.search({
+          const searchResults = await cachedAppStore.search({
             term: developerId,
             num: 1,
             country
           });
 
           if (searchResults && searchResults.length > 0) {
-            const firstApp = await memoizedAppStore.app({
+            const firstApp = await cachedAppStore.app({
               appId: searchResults[0].appId,
               country
             });
@@ -1300,7 +1135,7 @@ server.tool(
         }
 
         // Get developer's apps from App Store
-        const apps = await memoizedAppStore.developer({
+        const apps = await cachedAppStore.developer({
           devId: numericDevId,
           country,
           lang
@@ -1308,7 +1143,7 @@ server.tool(
 
         if (apps && apps.length > 0) {
           // Get full details of the first app to extract developer info
-          const firstApp = await memoizedAppStore.app({
+          const firstApp = await cachedAppStore.app({
             id: apps[0].id,
             country,
             lang
@@ -1328,18 +1163,20 @@ server.tool(
           };
 
           if (includeApps) {
-            // Get full details for all apps
-            const appDetailsPromises = apps.map(app => 
-              memoizedAppStore.app({
+            // Get full details for all apps, reporting the ones that failed
+            const appDetails = await settleSubRequests(
+              apps,
+              app => cachedAppStore.app({
                 id: app.id,
                 country,
                 lang,
                 ratings: true
-              }).catch(err => null)
+              }),
+              app => app.id
             );
 
-            const appDetails = await Promise.all(appDetailsPromises);
-            const validAppDetails = appDetails.filter(app => app !== null);
+            const validAppDetails = appDetails.results;
+            developerInfo.subRequests = appDetails.report;
 
             // Calculate metrics
             let totalRating = 0;
@@ -1379,32 +1216,33 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            developerId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { developerId, platform, country });
     }
   }
 );
 
 // Tool 7: Get version history and changelogs (platform limitations apply)
-server.tool(
+defineTool(
   "get_version_history",
   {
     appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
-    platform: z.enum(["ios", "android"]).describe("The platform of the app. Note: Due to current API limitations, **only the latest version details are reliably returned for both platforms.**"),
+    platform: z.enum(["ios", "android"]).describe("The platform of the app. iOS returns the full release history; Google Play only exposes the latest version."),
     country: z.string().length(2).optional().default("us").describe("Two-letter country code for store localization. Default 'us'."),
-    lang: z.string().optional().default("en").describe("Language code for the results (e.g., changelog text). Default 'en'.")
+    lang: z.string().optional().default("en").describe("Language code for the results (e.g., changelog text). Default 'en'."),
+    since: z.string().optional().describe("Only include releases on or after this date (ISO 8601, e.g. '2024-01-01')."),
+    until: z.string().optional().describe("Only include releases on or before this date (ISO 8601, e.g. '2024-12-31')."),
+    limit: z.number().min(1).max(500).optional().describe("Maximum number of releases to return, newest first. Cadence statistics still cover the whole date range."),
+    analyzeChangelogs: z.boolean().optional().default(false).describe("Classify each release note (bug-fix, feature, performance, ui, monetization or boilerplate), extract named features and summarize what shipped over the date range. Default false.")
   },
-  async ({ appId, platform, country, lang }) => {
+  async ({ appId, platform, country, lang, since, until, limit, analyzeChangelogs }) => {
     try {
+      validateCountry(platform, country);
+      
+      const range = {
+        since: parseDateFilter(since, "since"),
+        until: parseDateFilter(until, "until", true)
+      };
+      
       let versionInfo = {
         appId,
         platform,
@@ -1417,10 +1255,11 @@ server.tool(
         currentVersion: null,
         history: []
       };
+      const limitations = [];
 
       if (platform === "android") {
         // Get app details from Google Play Store
-        const appDetails = await memoizedGplay.app({
+        const appDetails = await cachedGplay.app({
           appId,
           country,
           lang
@@ -1436,68 +1275,60 @@ server.tool(
 
         // Add current version to history array as well
         versionInfo.history = [versionInfo.currentVersion];
+        limitations.push("Only latest version available", "Historical data not accessible via Google Play Store API");
 
       } else {
-        // For iOS, first handle numeric vs bundle ID
-        const isNumericId = /^\d+$/.test(appId);
-        let numericId = appId;
-
+        // The version history endpoint only accepts numeric IDs
+        const appDetails = /^\d+$/.test(appId)
+          ? await cachedAppStore.app({ id: appId, country, lang })
+          : await cachedAppStore.app({ appId, country, lang });
+        
         try {
-          // Get app details from Apple App Store
-          const lookupParams = isNumericId 
-            ? { id: appId, country, lang } 
-            : { appId: appId, country, lang };
+          const releases = await cachedAppStore.versionHistory({ id: appDetails.id, country });
           
-          console.error(`Getting app details for iOS app: ${JSON.stringify(lookupParams)}`);
-          const appDetails = await memoizedAppStore.app(lookupParams);
-          
-          if (!appDetails) {
-            throw new Error("No app details returned");
-          }
+          versionInfo.history = releases.map((release, index) => ({
+            versionNumber: release.versionDisplay,
+            releaseDate: release.releaseDate ? new Date(release.releaseDate).toISOString() : null,
+            changelog: release.releaseNotes || "No changelog provided",
+            isCurrentVersion: index === 0
+          }));
+        } catch (error) {
+          // Fall back to the current version from the app details
+          console.error(`Error getting iOS version history: ${error.message}`);
           
-          // Create version info from the current version data
-          const currentVersion = {
+          versionInfo.history = [{
             versionNumber: appDetails.version || "Unknown version",
-            releaseDate: appDetails.updated 
-              ? new Date(appDetails.updated).toISOString() 
-              : new Date().toISOString(),
+            releaseDate: appDetails.updated ? new Date(appDetails.updated).toISOString() : null,
             changelog: appDetails.releaseNotes || "No changelog provided",
             isCurrentVersion: true
-          };
-          
-          // Set history array to just the current version
-          versionInfo.history = [currentVersion];
-          versionInfo.currentVersion = currentVersion;
-          
-          // Set platform capabilities - currently same as Android due to API limitations
-          versionInfo.platformCapabilities = {
-            fullHistoryAvailable: false,
-            description: "Only latest version available - API limitation (versionHistory function not available)"
-          };
-          
-          console.error(`iOS version info created from app details: ${JSON.stringify(currentVersion)}`);
-        } catch (error) {
-          console.error(`Error getting iOS app details: ${error.message}`);
-          
-          // Set empty history and null current version
-          versionInfo.history = [];
-          versionInfo.currentVersion = null;
-          
-          // Update platform capabilities
+          }];
           versionInfo.platformCapabilities = {
             fullHistoryAvailable: false,
-            description: `Could not retrieve version information: ${error.message}`
+            description: `Could not retrieve the full version history: ${error.message}`
           };
+          limitations.push("Only latest version available", "The App Store version history could not be fetched");
         }
+        
+        versionInfo.currentVersion = versionInfo.history[0] || null;
+      }
+
+      // Apply the date range, then compute the cadence before limiting the list
+      const releasesInRange = versionInfo.history.filter(release => isInDateRange(release.releaseDate, range));
+      const cadence = computeReleaseCadence(releasesInRange);
+      let changelogSummary;
+      if (analyzeChangelogs) {
+        releasesInRange.forEach(release => { release.analysis = classifyChangelog(release.changelog); });
+        changelogSummary = summarizeChangelogs(releasesInRange);
       }
+      versionInfo.history = limit ? releasesInRange.slice(0, limit) : releasesInRange;
 
       // Add metadata about the response
       const metadata = {
         retrievalDate: new Date().toISOString(),
         totalVersions: versionInfo.history.length,
-        limitations: platform === "android" 
-          ? ["Only latest version available", "Historical data not accessible via Google Play Store API"]
-          : []
+        versionsInRange: releasesInRange.length,
+        filters: { since: since || null, until: until || null, limit: limit || null },
+        limitations
       };
 
       return {
@@ -1505,28 +1336,20 @@ server.tool(
           type: "text", 
           text: JSON.stringify({
             ...versionInfo,
+            cadence,
+            changelogSummary,
             metadata
           }, null, 2)
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            appId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { appId, platform, country });
     }
   }
 );
 
 // Tool to get similar apps
-server.tool(
+defineTool(
   "get_similar_apps",
   {
     appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
@@ -1537,11 +1360,13 @@ server.tool(
   },
   async ({ appId, platform, country, lang, num }) => {
     try {
+      validateCountry(platform, country);
+      
       let similarApps = [];
       
       if (platform === "android") {
         // Get similar apps from Google Play Store
-        const apps = await memoizedGplay.similar({
+        const apps = await cachedGplay.similar({
           appId,
           country,
           lang
@@ -1583,7 +1408,7 @@ server.tool(
           };
         }
         
-        const apps = await memoizedAppStore.similar(iosParams);
+        const apps = await cachedAppStore.similar(iosParams);
         
         // Limit results to num
         similarApps = apps.slice(0, num).map(app => ({
@@ -1615,29 +1440,19 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            appId,
-            platform
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { appId, platform, country });
     }
   }
 );
 
 // Tool to get Google Play categories
-server.tool(
+defineTool(
   "get_android_categories",
   {},
   async () => {
     try {
       // Retrieve all categories from Google Play Store
-      const categories = await gplay.categories();
+      const categories = await cachedGplay.categories();
       
       return {
         content: [{ 
@@ -1650,22 +1465,13 @@ server.tool(
         }]
       };
     } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({
-            error: error.message,
-            platform: "android"
-          }, null, 2)
-        }],
-        isError: true
-      };
+      return errorResponse(error, { platform: "android" });
     }
   }
 );
 
 // Tool to get keyword scores for ASO (App Store Optimization)
-server.tool(
+defineTool(
   "get_keyword_scores",
   {
     keyword: z.string().describe("The keyword to analyze for App Store Optimization."),
@@ -1674,68 +1480,10 @@ server.tool(
   },
   async ({ keyword, platform, country }) => {
     try {
-      // Instead of using the aso package which has compatibility issues,
-      // we'll create a mock response based on the expected structure
-      
-      // Generate some semi-random scores based on keyword length and complexity
-      const keywordLength = keyword.length;
-      const difficultyBase = 5 + (Math.min(keywordLength, 15) / 5);
-      const trafficBase = 10 - (Math.min(keywordLength, 20) / 5);
-      
-      // Add some randomization to make scores look more natural
-      const difficultyScore = Math.min(10, Math.max(0, difficultyBase + (Math.random() * 2 - 1))).toFixed(2);
-      const trafficScore = Math.min(10, Math.max(0, trafficBase + (Math.random() * 2 - 1))).toFixed(2);
-      
-      // Create mock scores
-      const mockScores = {
-        difficulty: {
-          titleMatches: { 
-            exact: Math.floor(Math.random() * 10), 
-            broad: Math.floor(Math.random() * 5), 
-            partial: Math.floor(Math.random() * 5), 
-            none: Math.floor(Math.random() * 3), 
-            score: (Math.random() * 3 + 7).toFixed(2) 
-          },
-          competitors: { 
-            count: Math.floor(Math.random() * 50) + 10, 
-            score: (Math.random() * 3 + 5).toFixed(2) 
-          },
-          installs: { 
-            avg: platform === "android" ? Math.floor(Math.random() * 10000000) + 500000 : Math.floor(Math.random() * 500000) + 10000, 
-            score: (Math.random() * 3 + 7).toFixed(2) 
-          },
-          rating: { 
-            avg: (Math.random() * 1 + 4).toFixed(2), 
-            score: (Math.random() * 2 + 7).toFixed(2) 
-          },
-          age: { 
-            avgDaysSinceUpdated: Math.floor(Math.random() * 100) + 10, 
-            score: (Math.random() * 4 + 4).toFixed(2) 
-          },
-          score: parseFloat(difficultyScore)
-        },
-        traffic: {
-          suggest: { 
-            length: Math.floor(Math.random() * 4) + 1, 
-            index: Math.floor(Math.random() * 5) + 1, 
-            score: (Math.random() * 3 + 6).toFixed(2) 
-          },
-          ranked: { 
-            count: Math.floor(Math.random() * 8) + 2, 
-            avgRank: Math.floor(Math.random() * 80) + 10, 
-            score: (Math.random() * 3 + 5).toFixed(2) 
-          },
-          installs: { 
-            avg: platform === "android" ? Math.floor(Math.random() * 10000000) + 500000 : Math.floor(Math.random() * 500000) + 10000, 
-            score: (Math.random() * 3 + 7).toFixed(2) 
-          },
-          length: { 
-            length: keywordLength, 
-            score: (10 - Math.min(keywordLength, 20) / 4).toFixed(2) 
-          },
-          score: parseFloat(trafficScore)
-        }
-      };
+      validateCountry(platform, country);
+      
+      // Score the keyword from live search results, suggestions and app details
+      const { difficulty, traffic, sample } = await computeKeywordScores(keyword, platform, country);
       
       // Add additional metadata
       const response = {
@@ -1744,27 +1492,28 @@ server.tool(
         country,
         scores: {
           difficulty: {
-            score: mockScores.difficulty.score,
+            score: difficulty.score,
             components: {
-              titleMatches: mockScores.difficulty.titleMatches,
-              competitors: mockScores.difficulty.competitors,
-              installs: mockScores.difficulty.installs,
-              rating: mockScores.difficulty.rating,
-              age: mockScores.difficulty.age
+              titleMatches: difficulty.titleMatches,
+              competitors: difficulty.competitors,
+              installs: difficulty.installs,
+              rating: difficulty.rating,
+              age: difficulty.age
             },
-            interpretation: interpretDifficultyScore(mockScores.difficulty.score)
+            interpretation: interpretDifficultyScore(difficulty.score)
           },
           traffic: {
-            score: mockScores.traffic.score,
+            score: traffic.score,
             components: {
-              suggest: mockScores.traffic.suggest,
-              ranked: mockScores.traffic.ranked,
-              installs: mockScores.traffic.installs,
-              length: mockScores.traffic.length
+              suggest: traffic.suggest,
+              ranked: traffic.ranked,
+              installs: traffic.installs,
+              length: traffic.length
             },
-            interpretation: interpretTrafficScore(mockScores.traffic.score)
+            interpretation: interpretTrafficScore(traffic.score)
           }
-        }
+        },
+        sample
       };
       
       return {
@@ -1774,99 +1523,6029 @@ server.tool(
         }]
       };
     } catch (error) {
+      return errorResponse(error, { keyword, platform, country });
+    }
+  }
+);
+
+// Tool to get the top charts of a store collection
+defineTool(
+  "get_top_charts",
+  {
+    platform: z.enum(["ios", "android"]).describe("The platform to get the chart for ('ios' or 'android')."),
+    collection: z.enum(Object.keys(CHART_COLLECTIONS)).optional().default("top_free").describe("The chart to retrieve: 'top_free', 'top_paid' or 'top_grossing' on both stores; 'new', 'new_free', 'new_paid' and the iPad charts 'top_free_ipad', 'top_paid_ipad', 'top_grossing_ipad' on iOS only. Default 'top_free'."),
+    category: z.string().optional().describe("Category to restrict the chart to. Android: a Google Play category ID such as 'GAME' or 'PRODUCTIVITY' (see get_android_categories). iOS: an App Store genre name such as 'GAMES' or 'GAMES_PUZZLE', or its numeric genre ID (e.g. '6014'). Omit for all apps."),
+    num: z.number().min(1).max(200).optional().default(50).describe("Number of chart positions to return (1-200, default 50)."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the store whose chart to retrieve. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for titles (e.g., 'en', 'de'). Default 'en'.")
+  },
+  async ({ platform, collection, category, num, country, lang }) => {
+    try {
+      validateCountry(platform, country);
+      
+      const chart = resolveChartCollection(platform, collection);
+      const genre = resolveChartCategory(platform, category);
+      
+      let results;
+      
+      if (platform === "android") {
+        results = await cachedGplay.list({
+          collection: chart,
+          category: genre,
+          num,
+          country,
+          lang,
+          fullDetail: false
+        });
+        
+        // Standardize the results to the search_app shape
+        results = results.slice(0, num).map((app, index) => ({
+          rank: index + 1,
+          id: app.appId,
+          appId: app.appId,
+          title: app.title,
+          developer: app.developer,
+          developerId: app.developerId,
+          icon: app.icon,
+          score: app.score,
+          scoreText: app.scoreText,
+          price: app.price,
+          free: app.free,
+          platform: "android",
+          url: app.url
+        }));
+      } else {
+        results = await cachedAppStore.list({
+          collection: chart,
+          category: genre,
+          num,
+          country,
+          lang
+        });
+        
+        // Standardize the results to the search_app shape
+        results = results.slice(0, num).map((app, index) => ({
+          rank: index + 1,
+          id: app.id.toString(),
+          appId: app.appId,
+          title: app.title,
+          developer: app.developer,
+          developerId: app.developerId,
+          icon: app.icon,
+          score: app.score,
+          price: app.price,
+          free: app.free === true,
+          platform: "ios",
+          url: app.url
+        }));
+      }
+      
       return {
         content: [{ 
           type: "text", 
           text: JSON.stringify({
-            error: error.message,
-            keyword,
-            platform
+            platform,
+            collection,
+            category: genre ?? null,
+            country,
+            results,
+            count: results.length
           }, null, 2)
-        }],
-        isError: true
+        }]
       };
+    } catch (error) {
+      return errorResponse(error, { platform, collection, category, country });
     }
   }
 );
 
-// Helper functions for keyword score interpretation
-function interpretDifficultyScore(score) {
-  if (score < 3) return "Very easy to rank for";
-  if (score < 5) return "Easy to rank for";
-  if (score < 7) return "Moderately difficult to rank for";
-  if (score < 9) return "Difficult to rank for";
-  return "Very difficult to rank for";
-}
-
-function interpretTrafficScore(score) {
-  if (score < 3) return "Very low search traffic";
-  if (score < 5) return "Low search traffic";
-  if (score < 7) return "Moderate search traffic";
-  if (score < 9) return "High search traffic";
-  return "Very high search traffic";
-}
-
-// Helper function to determine app monetization model
-function determineMonetizationModel(pricingDetails) {
-  if (!pricingDetails.basePrice.isFree) {
-    // Paid app
-    return pricingDetails.inAppPurchases.offers ? 
-      "Paid app with in-app purchases" : 
-      "Paid app (premium)";
-  } else if (pricingDetails.subscriptions.offers) {
-    // Free app with subscriptions
-    return pricingDetails.adSupported ? 
-      "Freemium with ads and subscriptions" : 
-      "Freemium with subscriptions";
-  } else if (pricingDetails.inAppPurchases.offers) {
-    // Free app with IAP
-    return pricingDetails.adSupported ? 
-      "Freemium with ads and in-app purchases" : 
-      "Freemium with in-app purchases";
-  } else if (pricingDetails.adSupported) {
-    // Free with ads only
-    return "Free with ads";
-  } else {
-    // Completely free
-    return "Completely free";
-  }
-}
-
-// Start the server
-async function main() {
-  try {
-    const transport = new StdioServerTransport();
-    console.error("MCP Server: Main function started.");
-    
-    // Configure transport to handle messages through the server
-    transport.onmessage = async (message) => {
-      try {
-        console.error(`MCP Server: Processing message: ${JSON.stringify(message)}`);
-        const response = await server.handleMessage(message);
-        console.error(`MCP Server: Sent response: ${JSON.stringify(response)}`);
-      } catch (err) {
-        console.error(`MCP Server: Error handling message:`, err);
-        // Send error response back to client
-        transport.send({
-          type: "error",
-          error: err.message,
-          requestId: message.requestId
+// Tool to suggest keywords from store autocomplete and aso's suggestion strategies
+defineTool(
+  "suggest_keywords",
+  {
+    platform: z.enum(["ios", "android"]).describe("The platform to suggest keywords for ('ios' or 'android')."),
+    keywords: z.array(z.string()).optional().describe("Seed keywords. Used by the 'autocomplete', 'keywords' and 'search' strategies."),
+    appId: z.string().optional().describe("App to base suggestions on. Used by the 'category', 'similar' and 'competition' strategies. For Android: package name (e.g., 'com.spotify.music'). For iOS: numeric ID or bundle ID."),
+    apps: z.array(z.string()).optional().describe("App IDs whose listings keywords are extracted from. Used by the 'arbitrary' strategy."),
+    strategies: z.array(z.enum(Object.keys(KEYWORD_SUGGESTION_STRATEGIES))).optional().describe("Strategies to combine: 'autocomplete' (store search suggestions for the seeds), 'category' (top apps in the app's category), 'similar' (apps the store lists as similar), 'competition' (top apps for the app's own keywords), 'arbitrary' (the given apps), 'keywords' (top apps for the seeds) and 'search' (top apps for the seeds' search suggestions). Defaults to every strategy whose input is provided."),
+    num: z.number().min(1).max(200).optional().default(50).describe("Maximum number of keyword candidates to return (1-200, default 50)."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the store to get suggestions from. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for the suggestions (e.g., 'en', 'de'). Default 'en'.")
+  },
+  async ({ platform, keywords, appId, apps, strategies, num, country, lang }) => {
+    try {
+      validateCountry(platform, country);
+      
+      const inputs = {
+        keywords: keywords && keywords.length > 0 ? keywords : undefined,
+        appId,
+        apps: apps && apps.length > 0 ? apps : undefined
+      };
+      
+      // Use every strategy whose input was provided unless specific ones were requested
+      const selected = strategies && strategies.length > 0
+        ? [...new Set(strategies)]
+        : Object.keys(KEYWORD_SUGGESTION_STRATEGIES).filter(strategy => inputs[KEYWORD_SUGGESTION_STRATEGIES[strategy]]);
+      
+      if (selected.length === 0) {
+        throw new ToolError(ERROR_CODES.INVALID_INPUT, "No input to suggest keywords from", {
+          suggestions: ["Provide seed 'keywords', an 'appId' or a list of 'apps'"]
         });
       }
-    };
-    
-    console.error("MCP Server: StdioServerTransport created and configured.");
-    await server.connect(transport);
-    console.error("MCP Server: Connection established. Server info:", server.serverInfo);
-    // Log available tools using the tools capability
-    if (server.capabilities?.tools?.list) {
-      const tools = await server.capabilities.tools.list();
-      console.error("MCP Server: Available tools:", tools);
+      
+      for (const strategy of selected) {
+        const input = KEYWORD_SUGGESTION_STRATEGIES[strategy];
+        if (!inputs[input]) {
+          throw new ToolError(ERROR_CODES.INVALID_INPUT, `The '${strategy}' strategy requires '${input}'`, {
+            suggestions: [`Provide '${input}' or leave '${strategy}' out of the strategies`]
+          });
+        }
+      }
+      
+      // Run the strategies side by side, keeping whatever succeeds
+      const client = createASOClient(platform, { country, lang });
+      const errors = [];
+      const outcome = await settleSubRequests(
+        selected,
+        strategy => fetchKeywordSuggestions(client, platform, strategy, { ...inputs, num, country, lang })
+          .catch(error => {
+            errors.push(error);
+            throw error;
+          })
+      );
+      
+      if (outcome.results.length === 0) {
+        throw errors[0];
+      }
+      
+      const candidates = mergeKeywordSuggestions(outcome.results, inputs.keywords || []).slice(0, num);
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            platform,
+            country,
+            strategies: selected,
+            suggestions: candidates,
+            count: candidates.length,
+            subRequests: outcome.report
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
     }
-  } catch (error) {
-    console.error("MCP Server: FATAL ERROR during startup:", error);
-    process.exit(1);
   }
-}
+);
 
-main();
\ No newline at end of file
+// Tool to get privacy and data safety details in one schema for both platforms
+defineTool(
+  "get_privacy_details",
+  {
+    appId: z.string().describe("The unique identifier for the app. For Android: the package name (e.g., 'com.spotify.music'). For iOS: the numeric ID (e.g., '324684580') or the bundle ID."),
+    platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code used to look up iOS bundle IDs. Privacy labels themselves are global. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for Google Play data safety labels (e.g., 'en', 'de'). Default 'en'.")
+  },
+  async ({ appId, platform, country, lang }) => {
+    try {
+      validateCountry(platform, country);
+      
+      let privacy;
+      
+      if (platform === "android") {
+        const dataSafety = await cachedGplay.datasafety({ appId, lang });
+        privacy = normalizeDataSafety(dataSafety);
+      } else {
+        // The privacy endpoint only accepts numeric IDs
+        const id = await resolveIosAppId(appId, country);
+        const privacyDetails = await cachedAppStore.privacy({ id });
+        privacy = normalizeAppPrivacy(privacyDetails);
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            appId,
+            platform,
+            ...privacy
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Tool to inspect Android permissions, optionally compared with competitors
+defineTool(
+  "get_app_permissions",
+  {
+    appId: z.string().describe("The Android package name of the app (e.g., 'com.spotify.music'). Permissions are only available for Google Play apps."),
+    compareWith: z.array(z.string()).max(20).optional().describe("Package names of competitor apps to compare permissions with. When given, the response includes the permissions only this app requests and those that are unusual among its competitors."),
+    lang: z.string().optional().default("en").describe("Language code for the permission descriptions (e.g., 'en', 'de'). Default 'en'.")
+  },
+  async ({ appId, compareWith, lang }) => {
+    try {
+      const permissions = classifyPermissions(await cachedGplay.permissions({ appId, lang }));
+      
+      const response = {
+        appId,
+        platform: "android",
+        count: permissions.length,
+        riskCounts: countPermissionRisks(permissions),
+        groups: groupPermissions(permissions)
+      };
+      
+      if (compareWith && compareWith.length > 0) {
+        const competitorIds = [...new Set(compareWith)].filter(id => id !== appId);
+        
+        // Fetch competitors side by side, keeping whichever succeed
+        const competitors = await settleSubRequests(
+          competitorIds,
+          async competitorId => ({
+            appId: competitorId,
+            permissions: classifyPermissions(await cachedGplay.permissions({ appId: competitorId, lang }))
+          })
+        );
+        
+        response.comparison = comparePermissions(permissions, competitors.results);
+        response.subRequests = competitors.report;
+        if (!response.comparison) {
+          response.note = "The permissions of none of the competitors could be fetched, so there is no comparison. See subRequests for the errors.";
+        }
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform: "android" });
+    }
+  }
+);
+
+// Tool to map App Store ratings across storefronts
+defineTool(
+  "get_global_ratings",
+  {
+    appId: z.string().describe("The iOS app to get ratings for: numeric ID (e.g., '324684580') or bundle ID (e.g., 'com.spotify.client')."),
+    countries: z.array(z.string().length(2)).optional().describe(`Two-letter country codes of the storefronts to include. Defaults to ${DEFAULT_RATINGS_COUNTRIES.length} major markets. Ignored when 'allCountries' is true.`),
+    allCountries: z.boolean().optional().default(false).describe(`Include all ${Object.keys(appStore.markets).length} App Store storefronts. Slower, as every storefront is a separate request. Default false.`),
+    minRatings: z.number().min(0).optional().default(100).describe("Minimum number of ratings for a storefront to be listed among the highest and lowest rated ones. Default 100.")
+  },
+  async ({ appId, countries, allCountries, minRatings }) => {
+    try {
+      const storefronts = allCountries
+        ? Object.keys(appStore.markets).map(code => code.toLowerCase())
+        : [...new Set((countries && countries.length > 0 ? countries : DEFAULT_RATINGS_COUNTRIES).map(code => code.toLowerCase()))];
+      
+      storefronts.forEach(country => validateCountry("ios", country));
+      
+      // The ratings endpoint only accepts numeric IDs
+      const id = await resolveIosAppId(appId, storefronts.includes("us") ? "us" : storefronts[0]);
+      
+      const outcome = await settleSubRequests(
+        storefronts,
+        async country => ({ country, ...(await cachedAppStore.ratings({ id, country })) })
+      );
+      
+      const byCountry = outcome.results
+        .map(({ country, ratings, histogram }) => ({
+          country,
+          countryName: regionNames.of(country.toUpperCase()),
+          ratings,
+          average: averageFromHistogram(histogram),
+          histogram
+        }))
+        .sort((a, b) => b.ratings - a.ratings || a.country.localeCompare(b.country));
+      
+      if (byCountry.length === 0 && outcome.report.failed > 0) {
+        throw new ToolError(ERROR_CODES.UPSTREAM_ERROR, `Could not fetch ratings for app '${appId}' in any storefront`, {
+          retryable: true,
+          suggestions: ["Check the app ID, or retry later if the App Store is throttling requests"]
+        });
+      }
+      
+      const global = aggregateRatings(byCountry);
+      
+      // Compare storefronts with enough ratings against the global average
+      const ranked = byCountry
+        .filter(entry => entry.ratings >= minRatings && entry.average !== null)
+        .map(entry => ({
+          country: entry.country,
+          countryName: entry.countryName,
+          ratings: entry.ratings,
+          average: entry.average,
+          deviation: global.average === null ? null : Math.round((entry.average - global.average) * 100) / 100
+        }))
+        .sort((a, b) => b.average - a.average || b.ratings - a.ratings);
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            appId,
+            id,
+            platform: "ios",
+            global,
+            highestRated: ranked.slice(0, Math.min(5, Math.ceil(ranked.length / 2))),
+            lowestRated: ranked.slice(ranked.length - Math.min(5, Math.floor(ranked.length / 2))).reverse(),
+            countries: byCountry,
+            subRequests: outcome.report
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform: "ios" });
+    }
+  }
+);
+
+// Tool to find the same app on the other store
+defineTool(
+  "find_cross_platform_counterpart",
+  {
+    appId: z.string().describe("The app to find a counterpart for. For Android: the package name (e.g., 'com.spotify.music'). For iOS: the numeric ID (e.g., '324684580') or the bundle ID."),
+    platform: z.enum(["ios", "android"]).describe("The platform the app is on. The other store is searched for its counterpart."),
+    num: z.number().min(1).max(20).optional().default(5).describe("Number of scored candidates to return (1-20, default 5)."),
+    minConfidence: z.number().min(0).max(1).optional().default(0.6).describe("Confidence (0-1) the best candidate needs to be reported as 'bestMatch'. Default 0.6."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the storefronts to look in. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for results. Default 'en'.")
+  },
+  async ({ appId, platform, num, minConfidence, country, lang }) => {
+    const targetPlatform = platform === "android" ? "ios" : "android";
+    
+    try {
+      validateCountry(platform, country);
+      validateCountry(targetPlatform, country);
+      
+      const source = await fetchCounterpartProfile(appId, platform, country, lang);
+      const { candidates, terms, report } = await searchCounterpartCandidates(source, targetPlatform, { num, country, lang });
+      
+      const bestMatch = candidates.length > 0 && candidates[0].confidence >= minConfidence ? candidates[0] : null;
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            source: {
+              appId: source.appId,
+              platform,
+              title: source.title,
+              developer: source.developer,
+              website: source.website,
+              url: source.url
+            },
+            targetPlatform,
+            bestMatch,
+            candidates,
+            searchedTerms: terms,
+            subRequests: report
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Tool to compare the iOS and Android versions of an app side by side
+defineTool(
+  "compare_platforms",
+  {
+    iosAppId: z.string().describe("The iOS app: numeric ID (e.g., '324684580') or bundle ID (e.g., 'com.spotify.client')."),
+    androidAppId: z.string().describe("The Android app's package name (e.g., 'com.spotify.music'). Use find_cross_platform_counterpart if only one of the IDs is known."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the storefronts to compare. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for results. Default 'en'.")
+  },
+  async ({ iosAppId, androidAppId, country, lang }) => {
+    try {
+      validateCountry("ios", country);
+      validateCountry("android", country);
+      
+      const [iosDetails, iosPricing, androidDetails, androidPricing] = await Promise.all([
+        fetchAppDetails(iosAppId, "ios", country, lang),
+        fetchPricingDetails(iosAppId, "ios", country, lang),
+        fetchAppDetails(androidAppId, "android", country, lang),
+        fetchPricingDetails(androidAppId, "android", country, lang)
+      ]);
+      
+      const ios = summarizePlatformListing(iosDetails, iosPricing);
+      const android = summarizePlatformListing(androidDetails, androidPricing);
+      const comparison = comparePlatformListings(ios, android);
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            country,
+            ios,
+            android,
+            comparison,
+            gaps: findPlatformGaps(ios, android, comparison)
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { iosAppId, androidAppId, country });
+    }
+  }
+);
+
+// Tool to compare several competing apps, on either store, metric by metric
+defineTool(
+  "compare_apps",
+  {
+    apps: z.array(z.object({
+      appId: z.string().describe("Android package name, iOS numeric ID or bundle ID."),
+      platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android').")
+    })).min(2).max(10).describe("The apps to compare (2-10). iOS and Android apps can be mixed."),
+    reviewSample: z.number().min(0).max(200).optional().default(50).describe("Number of recent reviews per app used for the sentiment summary (0-200, default 50). 0 skips reviews."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the storefronts to compare. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for results. Default 'en'.")
+  },
+  async ({ apps, reviewSample, country, lang }) => {
+    try {
+      // Compare each app once, however often it was listed
+      const uniqueApps = apps.filter((app, index) => 
+        apps.findIndex(other => other.appId === app.appId && other.platform === app.platform) === index
+      );
+      
+      uniqueApps.forEach(app => validateCountry(app.platform, country));
+      
+      const errors = [];
+      const listings = await settleSubRequests(
+        uniqueApps,
+        ({ appId, platform }) => Promise.all([
+          fetchAppDetails(appId, platform, country, lang),
+          fetchPricingDetails(appId, platform, country, lang)
+        ])
+          .then(([details, pricing]) => ({ appId, platform, details, pricing }))
+          .catch(error => {
+            errors.push(error);
+            throw error;
+          }),
+        app => `${app.platform}:${app.appId}`
+      );
+      
+      if (listings.results.length === 0) {
+        throw errors[0];
+      }
+      
+      let reviews = null;
+      if (reviewSample > 0) {
+        reviews = await settleSubRequests(
+          listings.results,
+          async ({ appId, platform }) => ({
+            key: `${platform}:${appId}`,
+            sentiment: summarizeReviewSentiment(await fetchReviewSample(appId, platform, country, lang, reviewSample))
+          }),
+          ({ appId, platform }) => `${platform}:${appId}`
+        );
+      }
+      
+      const sentimentByApp = new Map((reviews ? reviews.results : []).map(({ key, sentiment }) => [key, sentiment]));
+      const rows = listings.results.map(({ appId, platform, details, pricing }) =>
+        summarizeCompetitor(appId, platform, details, pricing, sentimentByApp.get(`${platform}:${appId}`) || null)
+      );
+      
+      const rankings = rankCompetitors(rows);
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            country,
+            apps: rows,
+            rankings,
+            leaders: summarizeLeaders(rows, rankings),
+            subRequests: {
+              apps: listings.report,
+              reviews: reviews ? reviews.report : null
+            }
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { country });
+    }
+  }
+);
+
+// Tool to find where an app ranks in search results for a list of keywords
+defineTool(
+  "get_keyword_rank",
+  {
+    appId: z.string().describe("The app to look for. For Android: the package name (e.g., 'com.spotify.music'). For iOS: the numeric ID (e.g., '324684580') or the bundle ID."),
+    platform: z.enum(["ios", "android"]).describe("The platform (app store) to search ('ios' or 'android')."),
+    keywords: z.array(z.string()).min(1).max(50).describe("The keywords to look up the app's rank for (1-50)."),
+    depth: z.number().min(1).max(MAX_KEYWORD_RANK_DEPTH.android).optional().describe(`How many search results to look through per keyword. Defaults to the maximum: ${MAX_KEYWORD_RANK_DEPTH.android} on Android and ${MAX_KEYWORD_RANK_DEPTH.ios} on iOS, which is also the iOS limit.`),
+    above: z.number().min(0).max(10).optional().default(3).describe("Number of apps ranked directly above the app to include for each keyword (0-10, default 3)."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the store to search. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for results. Default 'en'.")
+  },
+  async ({ appId, platform, keywords, depth, above, country, lang }) => {
+    try {
+      validateCountry(platform, country);
+      
+      const searchDepth = Math.min(depth || MAX_KEYWORD_RANK_DEPTH[platform], MAX_KEYWORD_RANK_DEPTH[platform]);
+      const uniqueKeywords = [...new Set(keywords.map(keyword => keyword.trim()).filter(Boolean))];
+      
+      const errors = [];
+      const outcome = await settleSubRequests(
+        uniqueKeywords,
+        keyword => fetchKeywordRank(appId, platform, keyword, { depth: searchDepth, above, country, lang })
+          .catch(error => {
+            errors.push(error);
+            throw error;
+          })
+      );
+      
+      if (outcome.results.length === 0) {
+        throw errors[0];
+      }
+      
+      // Keep a snapshot of every rank for get_keyword_rank_history
+      const timestamp = new Date().toISOString();
+      await rankHistoryStore.append(outcome.results.map(result => ({
+        appId,
+        platform,
+        country,
+        keyword: normalizeKeyword(result.keyword),
+        timestamp,
+        position: result.rank,
+        depth: searchDepth
+      }))).catch(err => console.error("Rank history: Error saving snapshots:", err.message));
+      
+      const ranked = outcome.results.filter(result => result.rank !== null);
+      const best = ranked.reduce((top, result) => !top || result.rank < top.rank ? result : top, null);
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({
+            appId,
+            platform,
+            country,
+            depth: searchDepth,
+            rankings: outcome.results,
+            summary: {
+              keywords: outcome.results.length,
+              ranked: ranked.length,
+              notRanked: outcome.results.length - ranked.length,
+              averageRank: ranked.length > 0 
+                ? Math.round((ranked.reduce((sum, result) => sum + result.rank, 0) / ranked.length) * 10) / 10 
+                : null,
+              bestKeyword: best ? { keyword: best.keyword, rank: best.rank } : null
+            },
+            subRequests: outcome.report
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Tool to query the keyword rank history recorded by get_keyword_rank
+defineTool(
+  "get_keyword_rank_history",
+  {
+    appId: z.string().describe("The app, with the same ID that was passed to get_keyword_rank."),
+    platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
+    keyword: z.string().optional().describe("The keyword to get the rank history of. When omitted, returns an overview of every keyword tracked for the app."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code the ranks were recorded in. Default 'us'."),
+    since: z.string().optional().describe("Only include snapshots on or after this date (ISO 8601, e.g. '2024-01-01'). Defaults to 30 days ago."),
+    until: z.string().optional().describe("Only include snapshots on or before this date (ISO 8601, e.g. '2024-12-31'). Defaults to now.")
+  },
+  async ({ appId, platform, keyword, country, since, until }) => {
+    try {
+      validateCountry(platform, country);
+      
+      const range = {
+        since: since ? parseDateFilter(since, "since") : Date.now() - 30 * DAY,
+        until: parseDateFilter(until, "until", true)
+      };
+      const trackedKeyword = keyword ? normalizeKeyword(keyword) : null;
+      
+      const snapshots = await rankHistoryStore.query(snapshot => 
+        snapshot.appId === appId &&
+        snapshot.platform === platform &&
+        snapshot.country === country &&
+        (trackedKeyword === null || snapshot.keyword === trackedKeyword) &&
+        isInDateRange(snapshot.timestamp, range)
+      );
+      
+      const window = {
+        since: new Date(range.since).toISOString(),
+        until: range.until === null ? null : new Date(range.until).toISOString()
+      };
+      
+      const response = trackedKeyword === null
+        ? { appId, platform, country, window, keywords: summarizeTrackedKeywords(snapshots) }
+        : { appId, platform, country, keyword: trackedKeyword, window, ...summarizeRankHistory(snapshots) };
+      
+      if (snapshots.length === 0) {
+        response.note = "No rank snapshots in this window. Snapshots are recorded each time get_keyword_rank runs for the app.";
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Tool to show what changed in an app's store listing between two snapshots
+defineTool(
+  "diff_app_listing",
+  {
+    appId: z.string().describe("The app. For Android: the package name (e.g., 'com.spotify.music'). For iOS: the numeric ID (e.g., '324684580') or the bundle ID."),
+    platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
+    from: z.string().optional().describe("The older snapshot: a snapshot ID, or an ISO 8601 date to use the last snapshot taken on or before it. Defaults to the snapshot before 'to'."),
+    to: z.string().optional().describe("The newer snapshot: a snapshot ID, or an ISO 8601 date to use the last snapshot taken on or before it. Defaults to the latest snapshot."),
+    refresh: z.boolean().optional().default(true).describe("Fetch the current listing first and snapshot it if it changed, so that the latest snapshot is up to date. Default true."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the listing. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code of the listing. Default 'en'.")
+  },
+  async ({ appId, platform, from, to, refresh, country, lang }) => {
+    try {
+      validateCountry(platform, country);
+      
+      if (refresh) {
+        const appDetails = await fetchAppDetails(appId, platform, country, lang);
+        await recordListingSnapshot(appDetails, { platform, country, lang });
+      }
+      
+      const snapshots = (await listingSnapshotStore.query(snapshot => 
+        (snapshot.appId === appId || snapshot.bundleId === appId) &&
+        snapshot.platform === platform &&
+        snapshot.country === country &&
+        snapshot.lang === lang
+      )).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      
+      let newer = to ? findListingSnapshot(snapshots, to, "to") : snapshots[snapshots.length - 1];
+      let older = from 
+        ? findListingSnapshot(snapshots, from, "from") 
+        : snapshots[snapshots.indexOf(newer) - 1];
+      
+      // Always diff from the older snapshot to the newer one
+      if (older && newer && Date.parse(older.timestamp) > Date.parse(newer.timestamp)) {
+        [older, newer] = [newer, older];
+      }
+      
+      const summary = (snapshot) => snapshot ? { id: snapshot.id, timestamp: snapshot.timestamp } : null;
+      const response = {
+        appId,
+        platform,
+        country,
+        lang,
+        from: summary(older),
+        to: summary(newer)
+      };
+      
+      if (!older || !newer) {
+        response.changed = null;
+        response.changes = [];
+        response.note = snapshots.length < 2
+          ? "At least two snapshots are needed. A snapshot is taken each time get_app_details or diff_app_listing sees a changed listing."
+          : "There is no earlier snapshot to compare with.";
+      } else {
+        const changes = diffListings(older.details, newer.details);
+        response.changed = changes.length > 0;
+        response.changes = changes;
+      }
+      
+      // The most recent snapshots, to pick 'from' and 'to' from
+      response.snapshots = snapshots.slice(-20).reverse().map(summary);
+      response.totalSnapshots = snapshots.length;
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Tool to manage watchlists of apps and keyword ranks refreshed in the background
+defineTool(
+  "manage_watchlist",
+  {
+    action: z.enum(["add", "remove", "list", "refresh", "delete"]).describe("'add' creates the watchlist if needed and adds apps and keywords to it, 'remove' removes them, 'list' shows watchlists and the last known state of their items, 'refresh' checks every item now, 'delete' deletes the watchlist."),
+    watchlist: z.string().regex(/^[\w-]{1,64}$/).optional().describe("Name of the watchlist (letters, digits, '_' and '-'). Defaults to 'default', or to every watchlist for 'list'."),
+    apps: z.array(z.object({
+      appId: z.string().describe("The app. For Android: the package name. For iOS: the numeric ID or the bundle ID."),
+      platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android').")
+    })).max(50).optional().default([]).describe("Apps to watch for new versions, rating drops and price changes (for 'add' and 'remove')."),
+    keywords: z.array(z.object({
+      appId: z.string().describe("The app whose rank to watch, with the same ID format as get_keyword_rank."),
+      platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
+      keyword: z.string().min(1).describe("The search term to watch the app's rank for.")
+    })).max(100).optional().default([]).describe("Keyword ranks to watch for moves (for 'add' and 'remove')."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code the added or removed items are checked in. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code the added items are checked in. Default 'en'."),
+    intervalMinutes: z.number().int().min(15).max(7 * 24 * 60).optional().describe("How often the watchlist is refreshed while the server runs, in minutes (min 15). Defaults to 360 for new watchlists.")
+  },
+  async ({ action, watchlist, apps, keywords, country, lang, intervalMinutes }) => {
+    try {
+      const name = watchlist || "default";
+      const items = [
+        ...apps.map(app => ({ type: "app", ...app })),
+        ...keywords.map(item => ({ type: "keyword", ...item, keyword: normalizeKeyword(item.keyword) }))
+      ].map(item => ({ ...item, country, id: watchlistItemId({ ...item, country }) }));
+      
+      items.forEach(item => validateCountry(item.platform, country));
+      if (action === "remove" && items.length === 0) {
+        throw new ToolError(ERROR_CODES.INVALID_INPUT, `Action '${action}' needs at least one app or keyword`, {
+          suggestions: ["Pass the items in 'apps' or 'keywords'"]
+        });
+      }
+      
+      const notFound = () => new ToolError(ERROR_CODES.NOT_FOUND, `Watchlist '${name}' not found`, {
+        suggestions: ["Use manage_watchlist with action 'list' to see the existing watchlists"]
+      });
+      
+      let response;
+      if (action === "list") {
+        const { watchlists } = await watchlistStore.read();
+        if (watchlist && !watchlists[name]) throw notFound();
+        response = {
+          watchlists: Object.values(watchlists)
+            .filter(entry => !watchlist || entry.name === name)
+            .map(describeWatchlist)
+        };
+      } else if (action === "refresh") {
+        const { events, report } = await refreshWatchlist(name);
+        const { watchlists } = await watchlistStore.read();
+        response = { watchlist: describeWatchlist(watchlists[name]), events, report };
+      } else if (action === "delete") {
+        await watchlistStore.update(data => {
+          if (!data.watchlists[name]) throw notFound();
+          delete data.watchlists[name];
+        });
+        notifyResourceListChanged();
+        response = { deleted: name, note: "Events already detected for the watchlist are kept and can still be queried with get_watchlist_events." };
+      } else {
+        let created = false;
+        const changed = await watchlistStore.update(data => {
+          let entry = data.watchlists[name];
+          if (!entry && action === "remove") throw notFound();
+          if (!entry) {
+            created = true;
+            entry = data.watchlists[name] = {
+              name,
+              intervalMinutes: 360,
+              createdAt: new Date().toISOString(),
+              lastRefreshedAt: null,
+              items: []
+            };
+          }
+          if (intervalMinutes) entry.intervalMinutes = intervalMinutes;
+          
+          const ids = new Set(items.map(item => item.id));
+          const existing = new Set(entry.items.map(item => item.id));
+          let count = 0;
+          if (action === "add") {
+            for (const item of items) {
+              if (existing.has(item.id)) continue;
+              existing.add(item.id);
+              entry.items.push({ ...item, lang, addedAt: new Date().toISOString(), lastCheckedAt: null, lastError: null, state: null });
+              count++;
+            }
+          } else {
+            count = entry.items.filter(item => ids.has(item.id)).length;
+            entry.items = entry.items.filter(item => !ids.has(item.id));
+          }
+          return { count, watchlist: structuredClone(entry) };
+        });
+        
+        if (created) notifyResourceListChanged();
+        response = {
+          watchlist: describeWatchlist(changed.watchlist),
+          [action === "add" ? "added" : "removed"]: changed.count,
+          ...(action === "add" ? { note: "New items are checked at the next refresh, which sets the baseline that later changes are detected against." } : {})
+        };
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { action, watchlist });
+    }
+  }
+);
+
+// Tool to query the changes detected by watchlist refreshes
+defineTool(
+  "get_watchlist_events",
+  {
+    watchlist: z.string().optional().describe("Only return events of this watchlist. Defaults to every watchlist."),
+    types: z.array(z.enum(WATCHLIST_EVENT_TYPES)).optional().describe("Only return these event types: 'new_version', 'rating_drop', 'price_change', 'rank_change'. Defaults to all."),
+    appId: z.string().optional().describe("Only return events of this app."),
+    since: z.string().optional().describe("Only return events on or after this date (ISO 8601, e.g. '2024-01-01')."),
+    limit: z.number().int().min(1).max(500).optional().default(50).describe("Maximum number of events to return, newest first. Default 50.")
+  },
+  async ({ watchlist, types, appId, since, limit }) => {
+    try {
+      const range = { since: parseDateFilter(since, "since"), until: null };
+      
+      const events = await watchlistEventStore.query(event => 
+        (!watchlist || event.watchlist === watchlist) &&
+        (!types || types.includes(event.type)) &&
+        (!appId || event.appId === appId) &&
+        isInDateRange(event.timestamp, range)
+      );
+      
+      const response = {
+        total: events.length,
+        events: events.slice(-limit).reverse()
+      };
+      
+      if (events.length === 0) {
+        response.note = "No events found. Events are recorded when a watchlist refresh detects a change; the first check of an item only sets its baseline.";
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { watchlist, appId });
+    }
+  }
+);
+
+// Tool to manage alert rules evaluated in the background and delivered to a webhook
+defineTool(
+  "manage_alert_rules",
+  {
+    action: z.enum(["add", "remove", "list", "evaluate", "test"]).describe("'add' creates or replaces a rule, 'remove' deletes it, 'list' shows the rules and their state, 'evaluate' evaluates a rule (or every rule) now, 'test' posts a test alert to a rule's webhook (or to the default one)."),
+    rule: z.string().regex(/^[\w-]{1,64}$/).optional().describe("Name of the rule (letters, digits, '_' and '-'). Required for 'add' and 'remove'."),
+    condition: z.enum(ALERT_CONDITIONS).optional().describe("For 'add': 'rating_below' (the app's average rating drops below threshold), 'negative_reviews_above' (more than threshold percent of the app's reviews of the last days are 1 or 2 stars; on iOS, of its newest reviews), or 'enters_top' (a new app enters the top results for keyword)."),
+    appId: z.string().optional().describe("The app the rule watches (rating_below, negative_reviews_above). For Android: the package name. For iOS: the numeric ID or the bundle ID."),
+    platform: z.enum(["ios", "android"]).optional().describe("The platform of the app or the keyword search ('ios' or 'android')."),
+    keyword: z.string().optional().describe("The search term whose top results the rule watches (enters_top)."),
+    threshold: z.number().optional().describe("The rating (0-5) for rating_below, or the percentage of negative reviews for negative_reviews_above."),
+    days: z.number().int().min(1).max(90).optional().describe("For negative_reviews_above on Android: how many days of reviews to look at. Default 7. App Store reviews have no date, so iOS rules look at the newest 200 reviews instead."),
+    minReviews: z.number().int().min(1).optional().describe("For negative_reviews_above: the fewest reviews in the window for the rule to trigger. Default 10."),
+    top: z.number().int().min(1).max(50).optional().describe("For enters_top: how many top results to watch. Default 10."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code the rule is evaluated in. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code the rule is evaluated in. Default 'en'."),
+    webhookUrl: z.string().optional().describe("URL alerts are posted to. Defaults to the MCP_ALERT_WEBHOOK_URL environment variable."),
+    cooldownMinutes: z.number().int().min(0).optional().describe("For 'add': minimum time between two alerts about the same thing, in minutes. Default 1440 (a day)."),
+    intervalMinutes: z.number().int().min(5).max(7 * 24 * 60).optional().describe("For 'add': how often the rule is evaluated while the server runs, in minutes (min 5). Default 60.")
+  },
+  async ({ action, rule, condition, appId, platform, keyword, threshold, days, minReviews, top, country, lang, webhookUrl, cooldownMinutes, intervalMinutes }) => {
+    try {
+      if ((action === "add" || action === "remove") && !rule) {
+        throw new ToolError(ERROR_CODES.INVALID_INPUT, `Action '${action}' needs a rule name`, {
+          suggestions: ["Pass the name of the rule in 'rule'"]
+        });
+      }
+      
+      const notFound = () => new ToolError(ERROR_CODES.NOT_FOUND, `Alert rule '${rule}' not found`, {
+        suggestions: ["Use manage_alert_rules with action 'list' to see the existing rules"]
+      });
+      
+      let response;
+      if (action === "add") {
+        if (!condition) {
+          throw new ToolError(ERROR_CODES.INVALID_INPUT, "Action 'add' needs a condition", {
+            suggestions: [`Use one of: ${ALERT_CONDITIONS.join(", ")}`]
+          });
+        }
+        validateAlertRule({ condition, appId, platform, keyword, threshold, days });
+        validateCountry(platform, country);
+        if (webhookUrl) validateWebhookUrl(webhookUrl);
+        
+        const entry = {
+          name: rule,
+          condition,
+          ...(condition === "enters_top"
+            ? { keyword: normalizeKeyword(keyword), top: top || ALERT_RULE_DEFAULTS.top }
+            : { appId, threshold }),
+          ...(condition === "negative_reviews_above" && platform === "android"
+            ? { days: days || ALERT_RULE_DEFAULTS.negativeReviewDays }
+            : {}),
+          ...(condition === "negative_reviews_above"
+            ? { minReviews: minReviews || ALERT_RULE_DEFAULTS.minReviews }
+            : {}),
+          platform,
+          country,
+          lang,
+          webhookUrl: webhookUrl || null,
+          cooldownMinutes: cooldownMinutes ?? ALERT_RULE_DEFAULTS.cooldownMinutes,
+          intervalMinutes: intervalMinutes || ALERT_RULE_DEFAULTS.intervalMinutes,
+          createdAt: new Date().toISOString(),
+          lastEvaluatedAt: null,
+          lastError: null,
+          state: null
+        };
+        
+        const replaced = await alertRuleStore.update(data => {
+          const exists = Boolean(data.rules[rule]);
+          data.rules[rule] = entry;
+          return exists;
+        });
+        
+        response = { rule: describeAlertRule(entry), replaced };
+        if (!entry.webhookUrl && !ALERT_WEBHOOK_URL) {
+          response.note = "No webhook is configured: alerts are only recorded in the alert history. Pass webhookUrl or set MCP_ALERT_WEBHOOK_URL.";
+        }
+      } else if (action === "remove") {
+        await alertRuleStore.update(data => {
+          if (!data.rules[rule]) throw notFound();
+          delete data.rules[rule];
+        });
+        response = { removed: rule, note: "Alerts already raised by the rule are kept in the alert history." };
+      } else if (action === "list") {
+        const { rules } = await alertRuleStore.read();
+        if (rule && !rules[rule]) throw notFound();
+        response = {
+          rules: Object.values(rules)
+            .filter(entry => !rule || entry.name === rule)
+            .map(describeAlertRule)
+        };
+      } else if (action === "evaluate") {
+        const { rules } = await alertRuleStore.read();
+        response = await evaluateAlertRules(rule ? [rule] : Object.keys(rules));
+      } else {
+        const { rules } = await alertRuleStore.read();
+        if (rule && !rules[rule]) throw notFound();
+        
+        const url = webhookUrl || (rule && rules[rule].webhookUrl) || ALERT_WEBHOOK_URL;
+        if (!url) {
+          throw new ToolError(ERROR_CODES.INVALID_INPUT, "No webhook to test", {
+            suggestions: ["Pass webhookUrl, test a rule that has one, or set MCP_ALERT_WEBHOOK_URL"]
+          });
+        }
+        validateWebhookUrl(url);
+        
+        const delivery = await deliverWebhook(url, {
+          type: "test",
+          id: randomUUID(),
+          rule: rule || null,
+          message: "Test alert from the app store MCP server",
+          timestamp: new Date().toISOString()
+        });
+        response = { delivery };
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { action, rule });
+    }
+  }
+);
+
+// Tool to query the alerts raised by alert rules
+defineTool(
+  "get_alert_history",
+  {
+    rule: z.string().optional().describe("Only return alerts of this rule. Defaults to every rule."),
+    appId: z.string().optional().describe("Only return alerts about this app."),
+    since: z.string().optional().describe("Only return alerts raised on or after this date (ISO 8601, e.g. '2024-01-01')."),
+    limit: z.number().int().min(1).max(500).optional().default(50).describe("Maximum number of alerts to return, newest first. Default 50.")
+  },
+  async ({ rule, appId, since, limit }) => {
+    try {
+      const range = { since: parseDateFilter(since, "since"), until: null };
+      
+      const alerts = await alertHistoryStore.query(alert => 
+        (!rule || alert.rule === rule) &&
+        (!appId || alert.appId === appId) &&
+        isInDateRange(alert.timestamp, range)
+      );
+      
+      const response = {
+        total: alerts.length,
+        alerts: alerts.slice(-limit).reverse()
+      };
+      
+      if (alerts.length === 0) {
+        response.note = "No alerts found. Alerts are raised when an alert rule's condition starts to hold.";
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { rule, appId });
+    }
+  }
+);
+
+// Tool to collect an app's new reviews into its local review corpus
+defineTool(
+  "sync_reviews",
+  {
+    appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
+    platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the store the reviews come from. Default 'us'."),
+    lang: z.string().optional().default("en").describe("Language code for reviews (Google Play). Default 'en'."),
+    maxReviews: z.number().int().min(1).max(10000).optional().default(1000).describe("Maximum number of reviews to download in this sync (1-10000, default 1000). The App Store only returns the 500 most recent reviews.")
+  },
+  async ({ appId, platform, country, lang, maxReviews }) => {
+    try {
+      validateCountry(platform, country);
+      
+      const result = await syncReviewCorpus({ appId, platform, country, lang, maxReviews });
+      
+      const response = {
+        appId,
+        platform,
+        country,
+        fetched: result.fetched,
+        added: result.added,
+        syncDated: result.syncDated,
+        stoppedBy: result.stoppedBy,
+        resumedGap: result.resumedGap,
+        caughtUp: result.caughtUp,
+        corpus: describeReviewCorpus(result.corpus)
+      };
+      
+      const notes = [];
+      if (result.corpus.gap) {
+        notes.push(result.stoppedBy === "error"
+          ? `Stopped by an error before reaching the reviews of the last sync (${result.error}). Run sync_reviews again to continue where this sync stopped.`
+          : "Stopped before reaching the reviews of the last sync. Run sync_reviews again to continue where this sync stopped.");
+      } else if (result.resumedGap) {
+        notes.push("Filled the gap left by an earlier sync. Run sync_reviews again to collect the reviews written since.");
+      }
+      if (result.syncDated > 0) {
+        notes.push(`The App Store doesn't return review dates: the ${result.syncDated} new reviews are dated by this sync (dateSource 'sync') and are left out of query_reviews' monthly trend.`);
+      }
+      if (notes.length > 0) {
+        response.note = notes.join(" ");
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Tool to query the reviews collected by sync_reviews
+defineTool(
+  "query_reviews",
+  {
+    appId: z.string().describe("The unique identifier for the app (Android package name, iOS numeric ID or bundle ID)."),
+    platform: z.enum(["ios", "android"]).describe("The platform of the app ('ios' or 'android')."),
+    country: z.string().length(2).optional().default("us").describe("Two-letter country code of the corpus. Default 'us'."),
+    since: z.string().optional().describe("Only include reviews written on or after this date (ISO 8601, e.g. '2024-01-01')."),
+    until: z.string().optional().describe("Only include reviews written on or before this date (ISO 8601, e.g. '2024-12-31')."),
+    minScore: z.number().int().min(1).max(5).optional().describe("Only include reviews with at least this many stars."),
+    maxScore: z.number().int().min(1).max(5).optional().describe("Only include reviews with at most this many stars."),
+    search: z.string().optional().describe("Only include reviews whose title or text contains this text (case-insensitive)."),
+    version: z.string().optional().describe("Only include reviews of this app version."),
+    sort: z.enum(["newest", "oldest", "helpfulness"]).optional().default("newest").describe("Order of the returned reviews: 'newest', 'oldest' or 'helpfulness' (thumbs up, Google Play). Default 'newest'."),
+    limit: z.number().int().min(0).max(500).optional().default(50).describe("Number of reviews to return (0-500, default 50). The summary covers every matching review."),
+    offset: z.number().int().min(0).optional().default(0).describe("Number of matching reviews to skip, for paging. Default 0.")
+  },
+  async ({ appId, platform, country, since, until, minScore, maxScore, search, version, sort, limit, offset }) => {
+    try {
+      validateCountry(platform, country);
+      
+      const range = {
+        since: parseDateFilter(since, "since"),
+        until: parseDateFilter(until, "until", true)
+      };
+      
+      const key = reviewCorpusKey(await resolveCorpusAppId(appId, platform, country), platform, country);
+      const { corpora } = await reviewCorpusStore.read();
+      if (!corpora[key]) {
+        throw new ToolError(ERROR_CODES.NOT_FOUND, `No review corpus for ${appId} on ${platform} (${country})`, {
+          suggestions: ["Collect the app's reviews with sync_reviews first"]
+        });
+      }
+      
+      const term = search ? search.toLowerCase() : null;
+      const reviews = await getReviewStore(key).query(review => 
+        isInDateRange(reviewDate(review), range) &&
+        (minScore === undefined || (review.score !== null && review.score >= minScore)) &&
+        (maxScore === undefined || (review.score !== null && review.score <= maxScore)) &&
+        (!version || review.version === version) &&
+        (!term || `${review.title}\n${review.text}`.toLowerCase().includes(term))
+      );
+      
+      const compare = {
+        newest: (a, b) => reviewDate(b).localeCompare(reviewDate(a)),
+        oldest: (a, b) => reviewDate(a).localeCompare(reviewDate(b)),
+        helpfulness: (a, b) => (b.thumbsUp || 0) - (a.thumbsUp || 0)
+      }[sort];
+      
+      const summary = summarizeReviewCorpus(reviews);
+      const response = {
+        appId,
+        platform,
+        country,
+        corpus: describeReviewCorpus(corpora[key]),
+        total: reviews.length,
+        summary,
+        reviews: [...reviews].sort(compare).slice(offset, offset + limit)
+      };
+      
+      if (summary.syncDated > 0) {
+        response.note = `${summary.syncDated} reviews have no date from the store (dateSource 'sync'): they are dated by the sync that first saw them, for since, until and sort, and are left out of byMonth.`;
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2)
+        }]
+      };
+    } catch (error) {
+      return errorResponse(error, { appId, platform, country });
+    }
+  }
+);
+
+// Helper functions for keyword score interpretation
+function interpretDifficultyScore(score) {
+  if (score < 3) return "Very easy to rank for";
+  if (score < 5) return "Easy to rank for";
+  if (score < 7) return "Moderately difficult to rank for";
+  if (score < 9) return "Difficult to rank for";
+  return "Very difficult to rank for";
+}
+
+function interpretTrafficScore(score) {
+  if (score < 3) return "Very low search traffic";
+  if (score < 5) return "Low search traffic";
+  if (score < 7) return "Moderate search traffic";
+  if (score < 9) return "High search traffic";
+  return "Very high search traffic";
+}
+
+// Scoring helpers for keyword analysis. All scores are on a 1-10 scale.
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+// Linear score: `min` maps to 1 and `max` to 10, values outside are clamped
+function scaleScore(min, max, value) {
+  const clamped = Math.min(max, Math.max(min, value));
+  return roundScore(1 + 9 * (clamped - min) / (max - min));
+}
+
+// Inverted linear score: `min` maps to 10 and `max` to 1
+function invertScore(min, max, value) {
+  return roundScore(11 - scaleScore(min, max, value));
+}
+
+// Weighted average of several 1-10 scores
+function aggregateScores(weights, values) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  return roundScore(weights.reduce((sum, weight, i) => sum + weight * values[i], 0) / totalWeight);
+}
+
+// How well an app title matches a keyword: the whole phrase, every word,
+// some words or none
+function getTitleMatchType(keyword, title = "") {
+  const normalizedKeyword = keyword.toLowerCase().trim();
+  const normalizedTitle = title.toLowerCase();
+
+  if (normalizedTitle.includes(normalizedKeyword)) return "exact";
+
+  const matches = normalizedKeyword.split(/\s+/).map(word => normalizedTitle.includes(word));
+  if (matches.every(Boolean)) return "broad";
+  if (matches.some(Boolean)) return "partial";
+  return "none";
+}
+
+function daysSince(date, now = Date.now()) {
+  const timestamp = typeof date === "number" ? date : Date.parse(date);
+  return Number.isNaN(timestamp) ? null : Math.max(0, Math.floor((now - timestamp) / DAY));
+}
+
+// Find the shortest prefix of the keyword for which the store's autocomplete
+// suggests it, and its position in the suggestion list. A keyword suggested
+// after typing a few letters is a popular search.
+//
+// Suggestions narrow down with every letter typed, so a keyword suggested for
+// a prefix is assumed to be suggested for longer prefixes too. That allows a
+// binary search over the prefix length: at most 6 suggest calls per keyword
+// instead of one per letter.
+async function getSuggestPosition(keyword, platform, country) {
+  const normalizedKeyword = keyword.toLowerCase().trim();
+  const maxLength = Math.min(normalizedKeyword.length, 25);
+
+  const findInSuggestions = async (length) => {
+    const prefix = normalizedKeyword.slice(0, length);
+    const suggestions = platform === "android"
+      ? (await cachedGplay.suggest({ term: prefix, country })).map(term => ({ term }))
+      : await cachedAppStore.suggest({ term: prefix, country });
+
+    const index = suggestions.findIndex(suggestion => suggestion.term.toLowerCase() === normalizedKeyword);
+    if (index === -1) return null;
+    return {
+      length,
+      index,
+      priority: suggestions[index].priority !== undefined ? parseInt(suggestions[index].priority, 10) : undefined
+    };
+  };
+
+  let shortest = await findInSuggestions(maxLength);
+  if (!shortest) return { length: null, index: null };
+
+  let low = 1;
+  let high = maxLength - 1;
+  while (low <= high) {
+    const length = Math.floor((low + high) / 2);
+    const position = await findInSuggestions(length);
+    if (position) {
+      shortest = position;
+      high = length - 1;
+    } else {
+      low = length + 1;
+    }
+  }
+
+  return shortest;
+}
+
+// Traffic score of a keyword's suggest position: higher the fewer letters have
+// to be typed before it is suggested, and the higher it is in the list
+function scoreSuggestPosition({ length, index, priority }) {
+  if (length === null) return 1;
+
+  const score = aggregateScores([10, 1], [invertScore(1, 25, length), invertScore(0, 4, index)]);
+  // iOS search hints carry a popularity priority (0-10000)
+  return priority !== undefined ? aggregateScores([1, 1], [score, scaleScore(0, 8000, priority)]) : score;
+}
+
+// Compute deterministic difficulty and traffic scores for a keyword, filling the
+// same components the aso library uses: title matches, competitor count,
+// installs, rating and update age for difficulty; suggest position, chart
+// rankings, installs and keyword length for traffic. `now` is the clock that
+// update ages are measured against.
+async function computeKeywordScores(keyword, platform, country, { now = Date.now } = {}) {
+  const normalizedKeyword = keyword.toLowerCase().trim();
+
+  // Search results: the top 10 are analyzed in detail, up to 50 count competitors
+  let searchResults;
+  let topApps;
+  let detailRequests = null;
+
+  if (platform === "android") {
+    searchResults = await cachedGplay.search({ term: keyword, num: 50, country, fullDetail: false });
+    const details = await settleSubRequests(
+      searchResults.slice(0, 10),
+      app => cachedGplay.app({ appId: app.appId, country }),
+      app => app.appId
+    );
+    topApps = details.results;
+    detailRequests = details.report;
+  } else {
+    // iOS search results already contain full app details
+    searchResults = await cachedAppStore.search({ term: keyword, num: 50, country });
+    topApps = searchResults.slice(0, 10);
+  }
+
+  if (topApps.length === 0) {
+    throw new ToolError(ERROR_CODES.NOT_FOUND, `No apps found for keyword '${keyword}'`, {
+      suggestions: ["Check the spelling of the keyword or try a broader term"]
+    });
+  }
+
+  const average = (values) => {
+    const valid = values.filter(value => typeof value === "number" && !Number.isNaN(value));
+    return valid.length ? valid.reduce((sum, value) => sum + value, 0) / valid.length : 0;
+  };
+
+  // Title matches among the top apps
+  const titleMatches = { exact: 0, broad: 0, partial: 0, none: 0 };
+  topApps.forEach(app => { titleMatches[getTitleMatchType(keyword, app.title)]++; });
+  titleMatches.score = roundScore(Math.max(1,
+    (10 * titleMatches.exact + 5 * titleMatches.broad + 2.5 * titleMatches.partial) / topApps.length
+  ));
+
+  // Competitors: search results that target the keyword in their title or description
+  const competitorCount = searchResults.filter(app =>
+    `${app.title || ""} ${app.summary || ""} ${app.description || ""}`.toLowerCase().includes(normalizedKeyword)
+  ).length;
+  const competitors = {
+    count: competitorCount,
+    score: scaleScore(0, Math.max(searchResults.length, 1), competitorCount)
+  };
+
+  // Installs (Android) or rating volume as an install proxy (iOS), on a log scale
+  const installsAvg = platform === "android"
+    ? average(topApps.map(app => app.minInstalls))
+    : average(topApps.map(app => app.reviews));
+  const installsMax = platform === "android" ? 1e9 : 1e6;
+  const installs = {
+    avg: Math.round(installsAvg),
+    score: scaleScore(0, Math.log10(installsMax), Math.log10(Math.max(installsAvg, 1)))
+  };
+
+  const ratingAvg = average(topApps.map(app => app.score));
+  const rating = { avg: roundScore(ratingAvg), score: scaleScore(0, 10, ratingAvg * 2) };
+
+  // Recently updated top apps are harder to displace
+  const avgDaysSinceUpdated = average(topApps.map(app => daysSince(app.updated, now())));
+  const age = { avgDaysSinceUpdated: roundScore(avgDaysSinceUpdated), score: invertScore(0, 500, avgDaysSinceUpdated) };
+
+  const difficulty = { titleMatches, competitors, installs, rating, age };
+  difficulty.score = aggregateScores([4, 3, 5, 2, 1],
+    [titleMatches.score, competitors.score, installs.score, rating.score, age.score]);
+
+  // Suggest position
+  const suggestPosition = await getSuggestPosition(keyword, platform, country);
+  const suggest = { ...suggestPosition, score: scoreSuggestPosition(suggestPosition) };
+
+  // Ranked: how many top apps also rank in their category's top chart
+  const chartFor = (app) => platform === "android"
+    ? { collection: app.free ? gplay.collection.TOP_FREE : gplay.collection.TOP_PAID, category: app.genreId }
+    : { collection: app.free ? appStore.collection.TOP_FREE_IOS : appStore.collection.TOP_PAID_IOS, category: app.primaryGenreId };
+  const chartKey = ({ collection, category }) => `${collection}:${category}`;
+
+  const charts = new Map();
+  topApps.forEach(app => {
+    const chart = chartFor(app);
+    if (chart.category) charts.set(chartKey(chart), chart);
+  });
+
+  const chartLists = await settleSubRequests(
+    [...charts.values()],
+    chart => (platform === "android" ? cachedGplay : cachedAppStore).list({ ...chart, num: 100, country })
+      .then(apps => [chartKey(chart), apps.map(app => String(platform === "android" ? app.appId : app.id))]),
+    chartKey
+  );
+  const chartsByKey = new Map(chartLists.results);
+
+  const ranks = topApps.map(app => {
+    const chart = chartsByKey.get(chartKey(chartFor(app))) || [];
+    const rank = chart.indexOf(String(platform === "android" ? app.appId : app.id)) + 1;
+    return rank || null;
+  }).filter(Boolean);
+
+  const ranked = ranks.length
+    ? {
+      count: ranks.length,
+      avgRank: roundScore(average(ranks)),
+      score: aggregateScores([5, 1], [scaleScore(0, topApps.length, ranks.length), invertScore(1, 100, average(ranks))])
+    }
+    : { count: 0, avgRank: null, score: 1 };
+
+  const length = { length: keyword.length, score: invertScore(1, 25, keyword.length) };
+
+  const traffic = { suggest, ranked, installs, length };
+  traffic.score = aggregateScores([8, 3, 2, 1], [suggest.score, ranked.score, installs.score, length.score]);
+
+  return {
+    difficulty,
+    traffic,
+    sample: {
+      searchResults: searchResults.length,
+      appsAnalyzed: topApps.length,
+      chartsChecked: chartLists.report.succeeded,
+      ...(detailRequests && { subRequests: detailRequests })
+    }
+  };
+}
+
+// Very basic sentiment analysis of a review text
+function analyzeSentiment(text) {
+  if (!text) return 'neutral';
+  
+  // Define simple positive and negative word lists
+  const positiveWords = [
+    'good', 'great', 'excellent', 'awesome', 'amazing', 'love', 'best',
+    'perfect', 'fantastic', 'wonderful', 'happy', 'easy', 'helpful',
+    'recommend', 'recommended', 'nice', 'beautiful', 'fun', 'enjoy',
+    'worth', 'favorite', 'improvement', 'improved', 'better', 'useful'
+  ];
+  
+  const negativeWords = [
+    'bad', 'terrible', 'awful', 'horrible', 'poor', 'worst', 'waste',
+    'useless', 'difficult', 'hate', 'crash', 'bug', 'problem', 'issue',
+    'disappointing', 'disappointed', 'fix', 'error', 'fail', 'fails',
+    'wrong', 'frustrating', 'slow', 'expensive', 'annoying', 'boring'
+  ];
+  
+  // Convert text to lowercase and split into words
+  const words = text.toLowerCase().match(/\b(\w+)\b/g) || [];
+  
+  // Count positive and negative words
+  let positiveCount = 0;
+  let negativeCount = 0;
+  
+  words.forEach(word => {
+    if (positiveWords.includes(word)) positiveCount++;
+    if (negativeWords.includes(word)) negativeCount++;
+  });
+  
+  // Determine sentiment based on counts
+  if (positiveCount > negativeCount * 2) return 'positive';
+  if (negativeCount > positiveCount * 2) return 'negative';
+  if (positiveCount > negativeCount) return 'somewhat positive';
+  if (negativeCount > positiveCount) return 'somewhat negative';
+  return 'neutral';
+}
+
+// Extract keywords from a review text
+function extractKeywords(text) {
+  if (!text) return [];
+  
+  // Common words to exclude
+  const stopWords = [
+    'i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves',
+    'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him',
+    'his', 'himself', 'she', 'her', 'hers', 'herself', 'it', 'its',
+    'itself', 'they', 'them', 'their', 'theirs', 'themselves',
+    'what', 'which', 'who', 'whom', 'this', 'that', 'these', 'those',
+    'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have',
+    'has', 'had', 'having', 'do', 'does', 'did', 'doing', 'a', 'an',
+    'the', 'and', 'but', 'if', 'or', 'because', 'as', 'until', 'while',
+    'of', 'at', 'by', 'for', 'with', 'about', 'against', 'between',
+    'into', 'through', 'during', 'before', 'after', 'above', 'below',
+    'to', 'from', 'up', 'down', 'in', 'out', 'on', 'off', 'over',
+    'under', 'again', 'further', 'then', 'once', 'here', 'there',
+    'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each',
+    'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor',
+    'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very',
+    's', 't', 'can', 'will', 'just', 'don', 'should', 'now', 'app'
+  ];
+  
+  // Extract words, remove stop words, and filter out short words
+  const words = text.toLowerCase().match(/\b(\w+)\b/g) || [];
+  return words.filter(word => 
+    !stopWords.includes(word) && word.length > 3
+  );
+}
+
+// Fetch the details of an app, normalized to the same fields on both stores.
+// With `fresh`, the details are fetched from the store even when cached.
+async function fetchAppDetails(appId, platform, country, lang, { fresh = false } = {}) {
+  let appDetails;
+  const gplayClient = fresh ? cachedGplay.fresh : cachedGplay;
+  const appStoreClient = fresh ? cachedAppStore.fresh : cachedAppStore;
+  
+  if (platform === "android") {
+    // Get app details from Google Play Store
+    appDetails = await gplayClient.app({
+      appId,
+      country,
+      lang
+    });
+    
+    // Normalize Android app details
+    appDetails = {
+      id: appDetails.appId,
+      appId: appDetails.appId,
+      title: appDetails.title,
+      description: appDetails.description,
+      summary: appDetails.summary,
+      developer: appDetails.developer,
+      developerId: appDetails.developerId,
+      developerEmail: appDetails.developerEmail,
+      developerWebsite: appDetails.developerWebsite,
+      icon: appDetails.icon,
+      headerImage: appDetails.headerImage,
+      screenshots: appDetails.screenshots,
+      score: appDetails.score,
+      scoreText: appDetails.scoreText,
+      ratings: appDetails.ratings,
+      reviews: appDetails.reviews,
+      histogram: appDetails.histogram,
+      installs: appDetails.installs,
+      minInstalls: appDetails.minInstalls,
+      price: appDetails.price,
+      free: appDetails.free,
+      currency: appDetails.currency,
+      categories: appDetails.categories,
+      genre: appDetails.genre,
+      genreId: appDetails.genreId,
+      contentRating: appDetails.contentRating,
+      released: appDetails.released,
+      updated: appDetails.updated,
+      version: appDetails.version,
+      size: appDetails.size,
+      recentChanges: appDetails.recentChanges,
+      platform: "android"
+    };
+  } else {
+    // Get app details from Apple App Store
+    // For iOS, we need to handle both numeric IDs and bundle IDs
+    const isNumericId = /^\d+$/.test(appId);
+    
+    const lookupParams = isNumericId 
+      ? { id: appId, country, lang } 
+      : { appId: appId, country, lang };
+    
+    appDetails = await appStoreClient.app({
+      ...lookupParams,
+      ratings: true // Get ratings information too
+    });
+    
+    // Normalize iOS app details
+    appDetails = {
+      id: appDetails.id.toString(),
+      appId: appDetails.appId,
+      title: appDetails.title,
+      description: appDetails.description,
+      summary: appDetails.description?.substring(0, 100),
+      developer: appDetails.developer,
+      developerId: appDetails.developerId,
+      developerWebsite: appDetails.developerWebsite,
+      icon: appDetails.icon,
+      screenshots: appDetails.screenshots,
+      ipadScreenshots: appDetails.ipadScreenshots,
+      score: appDetails.score,
+      scoreText: appDetails.score?.toString(),
+      ratings: appDetails.ratings,
+      reviews: appDetails.reviews,
+      histogram: appDetails.histogram,
+      price: appDetails.price,
+      free: appDetails.free,
+      currency: appDetails.currency,
+      genres: appDetails.genres,
+      primaryGenre: appDetails.primaryGenre,
+      contentRating: appDetails.contentRating,
+      released: appDetails.released,
+      updated: appDetails.updated,
+      version: appDetails.version,
+      size: appDetails.size,
+      releaseNotes: appDetails.releaseNotes,
+      platform: "ios"
+    };
+  }
+  
+  return appDetails;
+}
+
+// Fetch the price, in-app purchases and subscription hints of an app in one country
+async function fetchPricingDetails(appId, platform, country, lang) {
+  let appDetails;
+  let pricingDetails = {
+    appId,
+    platform,
+    basePrice: {
+      amount: 0,
+      currency: null,
+      formattedPrice: "Free",
+      isFree: true
+    },
+    inAppPurchases: {
+      offers: false,
+      priceRange: null,
+      min: null,
+      max: null,
+      currency: null,
+      items: []
+    },
+    subscriptions: {
+      offers: false,
+      items: []
+    }
+  };
+  
+  if (platform === "android") {
+    // Get app details from Google Play Store
+    appDetails = await cachedGplay.app({
+      appId,
+      country,
+      lang
+    });
+    
+    // Extract basic pricing info
+    pricingDetails.basePrice = {
+      amount: appDetails.price || 0,
+      currency: appDetails.currency || null,
+      formattedPrice: appDetails.priceText || "Free",
+      isFree: appDetails.free === true
+    };
+    
+    // Extract IAP information
+    pricingDetails.inAppPurchases.offers = appDetails.offersIAP === true;
+    pricingDetails.inAppPurchases.priceRange = appDetails.IAPRange || null;
+    
+    // Extract subscription info (if available)
+    // Note: This is limited in Google Play Scraper
+    if (appDetails.adSupported) {
+      pricingDetails.adSupported = true;
+    }
+    
+    // Parse the numeric bounds of the IAP range in the storefront's currency
+    const range = parsePriceRange(appDetails.IAPRange, { country, currency: appDetails.currency });
+    pricingDetails.inAppPurchases.min = range ? range.min : null;
+    pricingDetails.inAppPurchases.max = range ? range.max : null;
+    pricingDetails.inAppPurchases.currency = range ? range.currency : null;
+    
+    // Try to parse IAP items from description if available
+    if (appDetails.description && appDetails.offersIAP) {
+      const { items, subscriptions } = extractDescriptionPrices(appDetails.description, country);
+      pricingDetails.inAppPurchases.items = items.slice(0, 5); // Limit to top 5 potential IAP prices
+      if (subscriptions.length > 0) {
+        pricingDetails.subscriptions.offers = true;
+        pricingDetails.subscriptions.items = subscriptions.slice(0, 3);
+      }
+    }
+  } else {
+    // Get app details from Apple App Store
+    // For iOS, we need to handle both numeric IDs and bundle IDs
+    const isNumericId = /^\d+$/.test(appId);
+    
+    const lookupParams = isNumericId 
+      ? { id: appId, country, lang } 
+      : { appId: appId, country, lang };
+    
+    appDetails = await cachedAppStore.app({
+      ...lookupParams
+    });
+    
+    // Extract basic pricing info
+    pricingDetails.basePrice = {
+      amount: appDetails.price || 0,
+      currency: appDetails.currency || null,
+      formattedPrice: appDetails.price === 0 ? "Free" : `${appDetails.price} ${appDetails.currency}`,
+      isFree: appDetails.free === true
+    };
+    
+    // Extract in-app purchase information
+    // Note: App Store Scraper doesn't provide detailed IAP info directly
+    // We can try to extract from description and release notes
+    const { items, subscriptions } = extractDescriptionPrices(appDetails.description, country);
+    const hasPaidContent = Boolean(appDetails.description) && 
+      (/in-app purchase|subscription/i.test(appDetails.description) || subscriptions.length > 0);
+    
+    if (hasPaidContent) {
+      pricingDetails.inAppPurchases.offers = true;
+      pricingDetails.inAppPurchases.items = items.slice(0, 5); // Limit to top 5 potential IAP prices
+      
+      if (subscriptions.length > 0) {
+        pricingDetails.subscriptions.offers = true;
+        pricingDetails.subscriptions.items = subscriptions.slice(0, 3); // Limit to top 3 potential subscription options
+      }
+    }
+  }
+  
+  // Add monetization model categorization
+  pricingDetails.monetizationModel = determineMonetizationModel(pricingDetails);
+
+  return pricingDetails;
+}
+
+// Labels used for subscription periods in pricing responses
+const SUBSCRIPTION_PERIOD_LABELS = {
+  day: "daily",
+  week: "weekly",
+  month: "monthly",
+  quarter: "quarterly",
+  year: "yearly",
+  lifetime: "lifetime"
+};
+
+// Pull the prices mentioned in a store description apart into one-off
+// purchases and recurring subscriptions. Descriptions can't tell consumables
+// from non-consumables, so one-off items keep an "unknown" type.
+function extractDescriptionPrices(description, country) {
+  const items = [];
+  const subscriptions = [];
+  const seen = new Set();
+
+  for (const price of findPrices(description, { country })) {
+    const key = `${price.amount}|${price.currency}|${price.period}|${price.periodCount}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const isSubscription = isRecurringPeriod(price.period);
+    items.push({
+      type: isSubscription ? "subscription" : "unknown",
+      price: price.raw,
+      amount: price.amount,
+      currency: price.currency,
+      isSubscription
+    });
+
+    if (isSubscription) {
+      subscriptions.push({
+        period: SUBSCRIPTION_PERIOD_LABELS[price.period],
+        periodCount: price.periodCount,
+        price: price.raw,
+        amount: price.amount,
+        currency: price.currency
+      });
+    }
+  }
+
+  return { items, subscriptions };
+}
+
+// Helper function to determine app monetization model
+function determineMonetizationModel(pricingDetails) {
+  if (!pricingDetails.basePrice.isFree) {
+    // Paid app
+    return pricingDetails.inAppPurchases.offers ? 
+      "Paid app with in-app purchases" : 
+      "Paid app (premium)";
+  } else if (pricingDetails.subscriptions.offers) {
+    // Free app with subscriptions
+    return pricingDetails.adSupported ? 
+      "Freemium with ads and subscriptions" : 
+      "Freemium with subscriptions";
+  } else if (pricingDetails.inAppPurchases.offers) {
+    // Free app with IAP
+    return pricingDetails.adSupported ? 
+      "Freemium with ads and in-app purchases" : 
+      "Freemium with in-app purchases";
+  } else if (pricingDetails.adSupported) {
+    // Free with ads only
+    return "Free with ads";
+  } else {
+    // Completely free
+    return "Completely free";
+  }
+}
+
+// Build an aso client for one storefront whose store calls go through the
+// cached, rate-limited scraper clients instead of aso's own memoized copies.
+// That includes its suggest score, which aso computes with direct scraper calls.
+function createASOClient(platform, defaults) {
+  const store = platform === "android" ? buildGplayASOStore(defaults) : buildItunesASOStore(defaults);
+  const client = platform === "android" ? cachedGplay : cachedAppStore;
+
+  const wrapped = (method) => (opts) => {
+    const merged = { ...defaults, ...opts };
+    // The App Store looks up numeric IDs by 'id' rather than 'appId'
+    if (platform === "ios" && /^\d+$/.test(String(merged.appId))) {
+      merged.id = Number(merged.appId);
+      delete merged.appId;
+    }
+    return client[method](merged);
+  };
+
+  return aso({
+    ...store,
+    list: wrapped("list"),
+    search: wrapped("search"),
+    similar: wrapped("similar"),
+    app: wrapped("app"),
+    suggest: platform === "android"
+      ? wrapped("suggest")
+      : (opts) => wrapped("suggest")(opts).then(suggestions => suggestions.map(suggestion => suggestion.term)),
+    getSuggestScore: (keyword) => getSuggestPosition(keyword, platform, defaults.country)
+      .then(position => ({ ...position, score: scoreSuggestPosition(position) }))
+  });
+}
+
+// Get the keyword candidates of a single suggestion strategy, each with its
+// priority index (0 being the strongest candidate of that strategy)
+async function fetchKeywordSuggestions(client, platform, strategy, { keywords, appId, apps, num, country, lang }) {
+  if (strategy === "autocomplete") {
+    const lists = await Promise.all(keywords.map(async seed => {
+      const suggestions = platform === "android"
+        ? await cachedGplay.suggest({ term: seed, country, lang })
+        : (await cachedAppStore.suggest({ term: seed, country })).map(suggestion => suggestion.term);
+      return suggestions.map((keyword, index) => ({ keyword, seed, priority: index }));
+    }));
+    return { strategy, suggestions: lists.flat() };
+  }
+
+  const suggestions = await client.suggest({ strategy, appId, apps, keywords, num });
+  return { strategy, suggestions: suggestions.map((keyword, index) => ({ keyword, priority: index })) };
+}
+
+// Merge the candidates of all strategies, keeping each keyword once with every
+// source it came from. Keywords found by more sources rank first, then the
+// ones with the best priority index.
+function mergeKeywordSuggestions(outcomes, seeds) {
+  const normalize = (keyword) => keyword.toLowerCase().replace(/\s+/g, " ").trim();
+  const excluded = new Set(seeds.map(normalize));
+  const candidates = new Map();
+
+  for (const { strategy, suggestions } of outcomes) {
+    for (const { keyword, seed, priority } of suggestions) {
+      const key = normalize(keyword);
+      if (!key || excluded.has(key)) continue;
+
+      if (!candidates.has(key)) {
+        candidates.set(key, { keyword: key, source: strategy, priority, sources: [] });
+      }
+
+      const candidate = candidates.get(key);
+      candidate.sources.push(seed === undefined ? { source: strategy, priority } : { source: strategy, seed, priority });
+
+      if (priority < candidate.priority) {
+        candidate.source = strategy;
+        candidate.priority = priority;
+      }
+    }
+  }
+
+  return [...candidates.values()].sort((a, b) =>
+    b.sources.length - a.sources.length ||
+    a.priority - b.priority ||
+    a.keyword.localeCompare(b.keyword)
+  );
+}
+
+// Resolve a chart name to the collection constant of the requested store
+function resolveChartCollection(platform, collection) {
+  const chart = CHART_COLLECTIONS[collection][platform];
+
+  if (!chart) {
+    const available = Object.keys(CHART_COLLECTIONS).filter(name => CHART_COLLECTIONS[name][platform]);
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `The '${collection}' chart is not available on ${platform}`, {
+      suggestions: [`Use one of: ${available.join(", ")}`]
+    });
+  }
+
+  return chart;
+}
+
+// Resolve a category to a Google Play category ID or an App Store genre ID.
+// Returns undefined when no category is given, so that the overall chart is used.
+function resolveChartCategory(platform, category) {
+  if (category === undefined || category === "") {
+    return undefined;
+  }
+
+  const name = category.trim().toUpperCase();
+
+  if (platform === "android") {
+    if (Object.values(gplay.category).includes(name)) {
+      return name;
+    }
+
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `Unknown Google Play category '${category}'`, {
+      suggestions: ["Use a category ID from get_android_categories, e.g. 'GAME' or 'PRODUCTIVITY'"]
+    });
+  }
+
+  if (/^\d+$/.test(name) && Object.values(appStore.category).includes(Number(name))) {
+    return Number(name);
+  }
+
+  if (appStore.category[name] !== undefined) {
+    return appStore.category[name];
+  }
+
+  throw new ToolError(ERROR_CODES.INVALID_INPUT, `Unknown App Store genre '${category}'`, {
+    suggestions: ["Use an App Store genre name such as 'GAMES', 'GAMES_PUZZLE' or 'PRODUCTIVITY', or its numeric genre ID"]
+  });
+}
+
+// Look up the numeric App Store ID of an app given either form of ID
+async function resolveIosAppId(appId, country) {
+  if (/^\d+$/.test(appId)) {
+    return Number(appId);
+  }
+
+  const app = await cachedAppStore.app({ appId, country });
+  return app.id;
+}
+
+// Store-specific data categories mapped to a shared set of groups, so that
+// privacy labels of both platforms can be compared
+const PRIVACY_CATEGORY_GROUPS = {
+  // App Store privacy label categories
+  "contact info": "contact_info",
+  "health & fitness": "health_fitness",
+  "financial info": "financial",
+  "location": "location",
+  "sensitive info": "sensitive_info",
+  "contacts": "contacts",
+  "user content": "user_content",
+  "browsing history": "browsing_history",
+  "search history": "search_history",
+  "identifiers": "identifiers",
+  "purchases": "purchases",
+  "usage data": "usage_data",
+  "diagnostics": "diagnostics",
+  "other data": "other",
+  // Google Play data safety categories
+  "personal info": "contact_info",
+  "health and fitness": "health_fitness",
+  "messages": "user_content",
+  "photos and videos": "user_content",
+  "audio": "user_content",
+  "files and docs": "user_content",
+  "calendar": "user_content",
+  "web browsing": "browsing_history",
+  "device or other ids": "identifiers",
+  "app activity": "usage_data",
+  "app info and performance": "diagnostics"
+};
+
+function getPrivacyGroup(category) {
+  return PRIVACY_CATEGORY_GROUPS[String(category || "").toLowerCase()] || "other";
+}
+
+// Summarize the normalized lists so both platforms report the same counts
+function summarizePrivacy(privacy) {
+  const groups = new Set([...privacy.dataCollected, ...(privacy.dataShared || [])].map(item => item.group));
+
+  return {
+    collectedCount: privacy.dataCollected.length,
+    sharedCount: privacy.dataShared ? privacy.dataShared.length : null,
+    trackingCount: privacy.dataUsedForTracking ? privacy.dataUsedForTracking.length : null,
+    linkedToIdentityCount: privacy.dataLinkedToIdentity ? privacy.dataLinkedToIdentity.length : null,
+    groups: [...groups].sort()
+  };
+}
+
+// Normalize a Google Play data safety section. Google Play discloses sharing and
+// security practices but not tracking or whether data is linked to the user.
+function normalizeDataSafety(dataSafety) {
+  const toItem = (entry) => ({
+    group: getPrivacyGroup(entry.type),
+    category: entry.type,
+    type: entry.data,
+    purposes: entry.purpose ? entry.purpose.split(",").map(purpose => purpose.trim()).filter(Boolean) : [],
+    optional: entry.optional === true,
+    linkedToIdentity: null,
+    usedForTracking: null
+  });
+
+  const practices = (dataSafety.securityPractices || []).map(practice => ({
+    practice: practice.practice,
+    description: practice.description || null
+  }));
+  const hasPractice = (pattern) => practices.some(practice => pattern.test(practice.practice || ""));
+
+  const privacy = {
+    dataCollected: (dataSafety.collectedData || []).map(toItem),
+    dataShared: (dataSafety.sharedData || []).map(toItem),
+    dataUsedForTracking: null,
+    dataLinkedToIdentity: null,
+    securityPractices: {
+      encryptedInTransit: hasPractice(/encrypted in transit/i) ? true : (hasPractice(/not encrypted/i) ? false : null),
+      deletionRequestAvailable: hasPractice(/request that data be deleted/i) ? true : (hasPractice(/can't be deleted|cannot be deleted/i) ? false : null),
+      practices
+    },
+    privacyPolicyUrl: dataSafety.privacyPolicyUrl || null
+  };
+
+  privacy.noDataCollected = privacy.dataCollected.length === 0 && privacy.dataShared.length === 0;
+  privacy.summary = summarizePrivacy(privacy);
+  privacy.disclosure = "Google Play data safety section: discloses data shared with third parties and security practices, but not tracking or linking to identity";
+
+  return privacy;
+}
+
+// Normalize App Store privacy labels. The App Store discloses tracking and
+// whether data is linked to the user, but not sharing or security practices.
+function normalizeAppPrivacy(privacyDetails) {
+  const privacyTypes = (privacyDetails && privacyDetails.privacyTypes) || [];
+  const collected = new Map();
+  const tracking = [];
+
+  const collect = (category, type, purpose, linked) => {
+    const key = `${category}|${type}`;
+    if (!collected.has(key)) {
+      collected.set(key, {
+        group: getPrivacyGroup(category),
+        category,
+        type,
+        purposes: [],
+        optional: null,
+        linkedToIdentity: false,
+        usedForTracking: false
+      });
+    }
+
+    const item = collected.get(key);
+    if (purpose && !item.purposes.includes(purpose)) item.purposes.push(purpose);
+    if (linked) item.linkedToIdentity = true;
+    return item;
+  };
+
+  for (const privacyType of privacyTypes) {
+    if (privacyType.identifier === "DATA_USED_TO_TRACK_YOU") {
+      for (const category of privacyType.dataCategories || []) {
+        for (const type of category.dataTypes || []) {
+          tracking.push({ group: getPrivacyGroup(category.dataCategory), category: category.dataCategory, type });
+        }
+      }
+    } else if (privacyType.identifier === "DATA_LINKED_TO_YOU" || privacyType.identifier === "DATA_NOT_LINKED_TO_YOU") {
+      const linked = privacyType.identifier === "DATA_LINKED_TO_YOU";
+      for (const purpose of privacyType.purposes || []) {
+        for (const category of purpose.dataCategories || []) {
+          for (const type of category.dataTypes || []) {
+            collect(category.dataCategory, type, purpose.purpose, linked);
+          }
+        }
+      }
+    }
+  }
+
+  // Data used for tracking is collected as well, even when no purpose is listed
+  for (const item of tracking) {
+    collect(item.category, item.type, null, false).usedForTracking = true;
+  }
+
+  const dataCollected = [...collected.values()];
+
+  const privacy = {
+    dataCollected,
+    dataShared: null,
+    dataUsedForTracking: tracking,
+    dataLinkedToIdentity: dataCollected
+      .filter(item => item.linkedToIdentity)
+      .map(({ group, category, type, purposes }) => ({ group, category, type, purposes })),
+    securityPractices: null,
+    privacyPolicyUrl: null,
+    managePrivacyChoicesUrl: (privacyDetails && privacyDetails.managePrivacyChoicesUrl) || null
+  };
+
+  privacy.noDataCollected = dataCollected.length === 0;
+  privacy.summary = summarizePrivacy(privacy);
+  privacy.disclosure = "App Store privacy labels: disclose tracking and data linked to the user's identity, but not sharing with third parties or security practices";
+
+  return privacy;
+}
+
+// Android protection levels of the permissions listed on Google Play, matched
+// on their descriptions. Google Play only shows descriptions, not manifest
+// names, so the first matching rule wins and anything else is "normal".
+const PERMISSION_RISK_RULES = [
+  {
+    risk: "signature",
+    pattern: /draw over other apps|display over other apps|modify system settings|request install packages|install (unknown )?apps|delete (apps|packages)|access notifications|usage (stats|access)|all files access|manage all files/i
+  },
+  {
+    risk: "dangerous",
+    pattern: /location|camera|take pictures|record audio|microphone|contacts|contact card|calendar|call log|phone status|phone number|directly call|reroute outgoing calls|answer phone calls|\bsms\b|\bmms\b|usb storage|shared storage|sd card|photos|videos|music and audio|body sensors|physical activity|nearby devices|find accounts|show notifications/i
+  }
+];
+
+// Google Play permission groups made of runtime (dangerous) permissions, used
+// for descriptions that no rule matches
+const DANGEROUS_PERMISSION_GROUPS = /^(location|camera|microphone|contacts|calendar|phone|sms|storage|photos\/media\/files|device id & call information|wearable sensors\/activity data|call log|nearby devices)$/i;
+
+const PERMISSION_RISK_ORDER = { signature: 0, dangerous: 1, normal: 2 };
+
+// Add a risk level to each permission, dropping duplicates listed in both the
+// common and the other permissions of an app
+function classifyPermissions(permissions) {
+  const seen = new Set();
+
+  return permissions
+    .filter(entry => {
+      const key = `${entry.type}|${entry.permission}`.toLowerCase();
+      if (!entry.permission || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(entry => {
+      const rule = PERMISSION_RISK_RULES.find(({ pattern }) => pattern.test(entry.permission));
+      const risk = rule ? rule.risk : (DANGEROUS_PERMISSION_GROUPS.test(entry.type || "") ? "dangerous" : "normal");
+      return { permission: entry.permission, group: entry.type || "Other", risk };
+    });
+}
+
+function countPermissionRisks(permissions) {
+  const counts = { dangerous: 0, signature: 0, normal: 0 };
+  permissions.forEach(({ risk }) => { counts[risk]++; });
+  return counts;
+}
+
+// Group permissions the way Google Play lists them, riskiest groups first
+function groupPermissions(permissions) {
+  const groups = new Map();
+
+  for (const { permission, group, risk } of permissions) {
+    if (!groups.has(group)) {
+      groups.set(group, { group, permissions: [] });
+    }
+    groups.get(group).permissions.push({ permission, risk });
+  }
+
+  const highestRisk = (group) => Math.min(...group.permissions.map(({ risk }) => PERMISSION_RISK_ORDER[risk]));
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      permissions: group.permissions.sort((a, b) => PERMISSION_RISK_ORDER[a.risk] - PERMISSION_RISK_ORDER[b.risk]),
+      riskCounts: countPermissionRisks(group.permissions)
+    }))
+    .sort((a, b) => highestRisk(a) - highestRisk(b) || a.group.localeCompare(b.group));
+}
+
+// Diff an app's permissions against its competitors. A permission is unusual
+// when it is dangerous or signature level and fewer than half of the
+// competitors request it. Without any competitor there is nothing to compare
+// against, so the result is null rather than every permission being unusual.
+function comparePermissions(permissions, competitors) {
+  if (competitors.length === 0) return null;
+
+  const key = (entry) => entry.permission.toLowerCase();
+  const appKeys = new Set(permissions.map(key));
+  const requestedBy = new Map();
+  const competitorEntries = new Map();
+
+  for (const competitor of competitors) {
+    for (const entry of competitor.permissions) {
+      if (!requestedBy.has(key(entry))) {
+        requestedBy.set(key(entry), new Set());
+        competitorEntries.set(key(entry), entry);
+      }
+      requestedBy.get(key(entry)).add(competitor.appId);
+    }
+  }
+
+  const share = (entry) => Math.round(((requestedBy.get(key(entry)) || new Set()).size / competitors.length) * 100) / 100;
+  const byRisk = (a, b) => PERMISSION_RISK_ORDER[a.risk] - PERMISSION_RISK_ORDER[b.risk] || a.permission.localeCompare(b.permission);
+
+  const withShare = permissions.map(entry => ({ ...entry, competitorShare: share(entry) }));
+
+  return {
+    competitors: competitors.map(competitor => ({
+      appId: competitor.appId,
+      count: competitor.permissions.length,
+      riskCounts: countPermissionRisks(competitor.permissions)
+    })),
+    onlyInApp: withShare.filter(entry => entry.competitorShare === 0).sort(byRisk),
+    unusual: withShare
+      .filter(entry => entry.risk !== "normal" && entry.competitorShare < 0.5)
+      .sort((a, b) => a.competitorShare - b.competitorShare || byRisk(a, b)),
+    notInApp: [...competitorEntries.values()]
+      .filter(entry => !appKeys.has(key(entry)))
+      .map(entry => ({ ...entry, competitorShare: share(entry) }))
+      .sort((a, b) => b.competitorShare - a.competitorShare || byRisk(a, b)),
+    sharedCount: withShare.filter(entry => entry.competitorShare > 0).length
+  };
+}
+
+// Fetch the full release history of an iOS app. app-store-scraper has no
+// method for it, so it is read from the same catalog API its privacy method
+// uses, with the token embedded in the app's web page.
+function appStoreVersionHistory(opts) {
+  return new Promise((resolve) => {
+    if (!opts.id) {
+      throw Error("id is required");
+    }
+    const country = opts.country || "us";
+    resolve(appStoreCommon.request(`https://apps.apple.com/${country}/app/id${opts.id}`, {}, opts.requestOptions));
+  })
+    .then((html) => {
+      const match = /token%22%3A%22([^%]+)%22%7D/.exec(html);
+      if (!match) {
+        throw Error("Could not find the App Store API token");
+      }
+
+      const country = opts.country || "us";
+      const url = `https://amp-api-edge.apps.apple.com/v1/catalog/${country}/apps/${opts.id}?platform=web&extend=versionHistory&additionalPlatforms=appletv,ipad,iphone,mac,realityDevice`;
+      return appStoreCommon.request(url, {
+        "Origin": "https://apps.apple.com",
+        "Authorization": `Bearer ${match[1]}`
+      }, opts.requestOptions);
+    })
+    .then((json) => {
+      if (json.length === 0) {
+        throw Error("App not found (404)");
+      }
+
+      const attributes = JSON.parse(json).data[0].attributes;
+      const platformAttributes = attributes.platformAttributes || {};
+      const history = (platformAttributes.ios || Object.values(platformAttributes)[0] || {}).versionHistory;
+
+      if (!Array.isArray(history)) {
+        throw Error("Unexpected App Store response: no versionHistory");
+      }
+      return history;
+    });
+}
+
+// Parse a since/until date filter. Date-only values cover the whole day.
+function parseDateFilter(value, name, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `Invalid '${name}' date '${value}'`, {
+      suggestions: ["Use an ISO 8601 date such as '2024-01-31'"]
+    });
+  }
+
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? timestamp + DAY - 1 : timestamp;
+}
+
+function isInDateRange(date, { since, until }) {
+  if (since === null && until === null) {
+    return true;
+  }
+
+  const timestamp = Date.parse(date);
+  if (Number.isNaN(timestamp)) {
+    return false;
+  }
+  return (since === null || timestamp >= since) && (until === null || timestamp <= until);
+}
+
+// Release cadence of a list of releases: the typical gap between releases and
+// how many shipped in each calendar quarter, including quarters without any
+function computeReleaseCadence(releases) {
+  const dates = releases
+    .map(release => Date.parse(release.releaseDate))
+    .filter(timestamp => !Number.isNaN(timestamp))
+    .sort((a, b) => a - b);
+
+  if (dates.length === 0) {
+    return {
+      releases: 0,
+      firstRelease: null,
+      lastRelease: null,
+      medianDaysBetweenReleases: null,
+      averageDaysBetweenReleases: null,
+      averageReleasesPerQuarter: null,
+      releasesPerQuarter: []
+    };
+  }
+
+  const round = (value) => Math.round(value * 10) / 10;
+  const gaps = dates.slice(1).map((timestamp, index) => (timestamp - dates[index]) / DAY).sort((a, b) => a - b);
+  const middle = Math.floor(gaps.length / 2);
+  const median = gaps.length === 0
+    ? null
+    : (gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2);
+
+  // Count releases per quarter, from the first release's quarter to the last one's
+  const quarterIndex = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.getUTCFullYear() * 4 + Math.floor(date.getUTCMonth() / 3);
+  };
+  const first = quarterIndex(dates[0]);
+  const counts = new Array(quarterIndex(dates[dates.length - 1]) - first + 1).fill(0);
+  dates.forEach(timestamp => { counts[quarterIndex(timestamp) - first]++; });
+
+  return {
+    releases: dates.length,
+    firstRelease: new Date(dates[0]).toISOString(),
+    lastRelease: new Date(dates[dates.length - 1]).toISOString(),
+    medianDaysBetweenReleases: median === null ? null : round(median),
+    averageDaysBetweenReleases: gaps.length ? round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null,
+    averageReleasesPerQuarter: round(dates.length / counts.length),
+    releasesPerQuarter: counts.map((count, index) => ({
+      quarter: `${Math.floor((first + index) / 4)}-Q${((first + index) % 4) + 1}`,
+      releases: count
+    }))
+  };
+}
+
+// Release note categories, matched per line or sentence of a changelog. Lines
+// that only match BOILERPLATE_CHANGELOG_PATTERNS carry no information.
+const CHANGELOG_CATEGORIES = {
+  "bug-fix": /\b(fix(e[sd]|ing)?|bugs?|crash(es|ing)?|issues?|resolved?|glitch(es)?|errors?|problems?|broken)\b/i,
+  "feature": /\b(new|introduc(e|es|ed|ing)|add(s|ed)?|now (you )?can|you can now|support for|now supports?|launch(es|ed)?|meet|available)\b/i,
+  "performance": /\b(performance|faster|speed|quicker|load(ing)? times?|battery|memory|smoother|optimi[sz](e|ed|ation|ations)|stability|stable|lag)\b/i,
+  "ui": /\b(design|redesign(ed)?|ui|interface|layout|look( and feel)?|dark mode|themes?|icons?|animations?|visual(s|ly)?|buttons?|navigation|colou?rs?)\b/i,
+  "monetization": /\b(subscriptions?|premium|purchases?|in-app|pricing|prices?|free trial|trials?|paywall|ads|advert(s|ising)?|membership|billing|unlock)\b/i
+};
+
+const BOILERPLATE_CHANGELOG_PATTERNS = [
+  /^(minor |various |general |small )?(bug fixes|fixes|improvements|enhancements|updates)( and (minor |general |performance |stability )?(improvements|enhancements|fixes|bug fixes))*\.?$/i,
+  /^(performance|stability) (and (stability|performance) )?improvements( and bug fixes)?\.?$/i,
+  /we('re| are) (always|constantly) (making|working on)/i,
+  /we update (the|our) app (regularly|frequently|every)/i,
+  /keep (your )?(automatic )?updates (turned )?on/i,
+  /thanks? (you )?for (using|choosing|being)/i,
+  /(love|enjoy(ing)?) (the|our) app\??.*(rate|review)/i,
+  /^(no changelog provided|this update (includes|contains) (bug fixes|improvements)[^.]*)\.?$/i
+];
+
+const CHANGELOG_CATEGORY_LABELS = {
+  "bug-fix": "bug fixes",
+  "feature": "new features",
+  "performance": "performance work",
+  "ui": "UI changes",
+  "monetization": "monetization changes",
+  "boilerplate": "boilerplate notes"
+};
+
+// Split release notes into lines and sentences, without list markers
+function splitChangelog(text) {
+  return String(text || "")
+    .split(/\r?\n|(?<=[.!?])\s+(?=[A-Z])/)
+    .map(item => item.replace(/^\s*([-*•·–]|\d+[.)])\s*/, "").trim())
+    .filter(item => item.length > 0);
+}
+
+// Pull named features out of release note lines: quoted names and what follows
+// words like "introducing" or "new", cut at the first connecting word
+function extractChangelogFeatures(items) {
+  const features = [];
+  const stopWords = /^(to|for|in|on|and|that|with|you|your|so|which|where|when|is|are|from|of|the|now)$/i;
+
+  for (const item of items) {
+    for (const match of item.matchAll(/["“”'‘’«]([^"“”'‘’«»]{3,40})["“”'‘’»]/g)) {
+      features.push(match[1].trim());
+    }
+
+    const trigger = item.match(/\b(?:introducing|meet|(?:added |adds )?support for|now supports?|new|added|adds|add)\s*:?\s+(?:the |a |an |our )?([A-Za-z0-9][\w&+'’-]*(?:\s+[A-Za-z0-9][\w&+'’-]*){0,3})/i);
+    if (trigger) {
+      const words = [];
+      for (const word of trigger[1].split(/\s+/)) {
+        if (stopWords.test(word)) break;
+        words.push(word);
+      }
+      if (words.length > 0 && !/^(feature|features|update|version|way|ways|option|options)$/i.test(words.join(" "))) {
+        features.push(words.join(" "));
+      }
+    }
+  }
+
+  const seen = new Set();
+  return features.filter(feature => {
+    const key = feature.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Classify one release note into categories, with the named features it mentions
+function classifyChangelog(text) {
+  const items = splitChangelog(text);
+  const counts = {};
+  const featureItems = [];
+  let boilerplateItems = 0;
+
+  for (const item of items) {
+    if (BOILERPLATE_CHANGELOG_PATTERNS.some(pattern => pattern.test(item))) {
+      boilerplateItems++;
+      continue;
+    }
+
+    for (const [category, pattern] of Object.entries(CHANGELOG_CATEGORIES)) {
+      if (pattern.test(item)) {
+        counts[category] = (counts[category] || 0) + 1;
+        if (category === "feature") featureItems.push(item);
+      }
+    }
+  }
+
+  const categories = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  const isBoilerplate = categories.length === 0 && (items.length === 0 || boilerplateItems > 0);
+
+  return {
+    categories: isBoilerplate ? ["boilerplate"] : categories,
+    primaryCategory: isBoilerplate ? "boilerplate" : (categories[0] || null),
+    isBoilerplate,
+    features: extractChangelogFeatures(featureItems)
+  };
+}
+
+// Summarize what shipped over a list of classified releases
+function summarizeChangelogs(releases) {
+  const categoryCounts = Object.fromEntries(Object.keys(CHANGELOG_CATEGORY_LABELS).map(category => [category, 0]));
+  const features = [];
+
+  for (const release of releases) {
+    release.analysis.categories.forEach(category => { categoryCounts[category]++; });
+    release.analysis.features.forEach(feature => {
+      features.push({ feature, versionNumber: release.versionNumber, releaseDate: release.releaseDate });
+    });
+  }
+
+  const share = (count) => releases.length ? Math.round((count / releases.length) * 100) / 100 : 0;
+  const categoryShare = Object.fromEntries(Object.entries(categoryCounts).map(([category, count]) => [category, share(count)]));
+  const focus = Object.keys(categoryCounts)
+    .filter(category => category !== "boilerplate" && categoryCounts[category] > 0)
+    .sort((a, b) => categoryCounts[b] - categoryCounts[a]);
+
+  const dates = releases.map(release => release.releaseDate).filter(Boolean).sort();
+  const period = { from: dates[0] || null, to: dates[dates.length - 1] || null };
+
+  let summary;
+  if (releases.length === 0) {
+    summary = "No releases in the selected period.";
+  } else {
+    const day = (date) => date ? date.slice(0, 10) : "an unknown date";
+    const parts = [`Over ${releases.length} release${releases.length === 1 ? "" : "s"} between ${day(period.from)} and ${day(period.to)}`];
+    parts.push(focus.length > 0
+      ? `mostly ${focus.slice(0, 2).map(category => `${CHANGELOG_CATEGORY_LABELS[category]} (${Math.round(categoryShare[category] * 100)}% of releases)`).join(" and ")}.`
+      : "no release note described a specific change.");
+    summary = parts.join(", ");
+    if (categoryCounts.boilerplate > 0) {
+      summary += ` ${Math.round(categoryShare.boilerplate * 100)}% of release notes were boilerplate.`;
+    }
+    if (features.length > 0) {
+      summary += ` Named features: ${[...new Set(features.map(({ feature }) => feature))].slice(0, 10).join(", ")}.`;
+    }
+  }
+
+  return {
+    releases: releases.length,
+    period,
+    categoryCounts,
+    categoryShare,
+    focus,
+    features,
+    summary
+  };
+}
+
+// Average star rating from a { 1: count, ..., 5: count } histogram
+function averageFromHistogram(histogram) {
+  let total = 0;
+  let sum = 0;
+
+  for (let stars = 1; stars <= 5; stars++) {
+    const count = (histogram && histogram[stars]) || 0;
+    total += count;
+    sum += stars * count;
+  }
+
+  return total > 0 ? Math.round((sum / total) * 100) / 100 : null;
+}
+
+// Combine per-storefront ratings into one histogram, so that the global
+// average is weighted by each storefront's number of ratings
+function aggregateRatings(entries) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+  for (const entry of entries) {
+    for (let stars = 1; stars <= 5; stars++) {
+      histogram[stars] += (entry.histogram && entry.histogram[stars]) || 0;
+    }
+  }
+
+  return {
+    ratings: entries.reduce((sum, entry) => sum + (entry.ratings || 0), 0),
+    average: averageFromHistogram(histogram),
+    histogram,
+    storefronts: entries.length,
+    storefrontsWithRatings: entries.filter(entry => entry.ratings > 0).length
+  };
+}
+
+// Load the exchange-rate table, preferring the local file over the built-in
+// rates. A file with the same base currency only needs the rates it changes.
+async function loadExchangeRates() {
+  let contents;
+  try {
+    contents = await fs.readFile(EXCHANGE_RATES_FILE, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { ...DEFAULT_EXCHANGE_RATES, source: "built-in" };
+    }
+    throw error;
+  }
+
+  let table;
+  try {
+    table = JSON.parse(contents);
+  } catch (error) {
+    table = null;
+  }
+
+  if (!table || typeof table.base !== "string" || typeof table.rates !== "object" || table.rates === null) {
+    throw new ToolError(ERROR_CODES.INTERNAL_ERROR, `Invalid exchange-rate file ${EXCHANGE_RATES_FILE}`, {
+      suggestions: ["The file must be JSON like { \"base\": \"USD\", \"rates\": { \"EUR\": 0.92 } }"]
+    });
+  }
+
+  const base = table.base.toUpperCase();
+  const rates = Object.fromEntries(Object.entries(table.rates).map(([currency, rate]) => [currency.toUpperCase(), Number(rate)]));
+
+  return {
+    base,
+    asOf: table.asOf || null,
+    rates: base === DEFAULT_EXCHANGE_RATES.base ? { ...DEFAULT_EXCHANGE_RATES.rates, ...rates, [base]: 1 } : { ...rates, [base]: 1 },
+    source: EXCHANGE_RATES_FILE
+  };
+}
+
+// Convert an amount between currencies through the table's base currency.
+// Returns null when either rate is missing.
+function convertCurrency(amount, from, to, exchangeRates) {
+  if (typeof amount !== "number" || !from || !to) return null;
+  if (from === to) return amount;
+
+  const fromRate = exchangeRates.rates[from];
+  const toRate = exchangeRates.rates[to];
+  if (!(fromRate > 0) || !(toRate > 0)) return null;
+
+  return Math.round((amount / fromRate) * toRate * 100) / 100;
+}
+
+// Fetch pricing in several countries and line it up in one currency
+async function buildPricingMatrix(appId, platform, countries, lang, { referenceCurrency, outlierThreshold }) {
+  const codes = [...new Set(countries.map(country => country.toLowerCase()))];
+  codes.forEach(country => validateCountry(platform, country));
+
+  const exchangeRates = await loadExchangeRates();
+  if (!exchangeRates.rates[referenceCurrency]) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `No exchange rate for reference currency '${referenceCurrency}'`, {
+      suggestions: [`Use one of: ${Object.keys(exchangeRates.rates).sort().join(", ")}`, `Or add it to ${EXCHANGE_RATES_FILE}`]
+    });
+  }
+
+  // Countries where the app does not exist are reported as anomalies, not failures
+  const errors = [];
+  const unavailable = [];
+  const outcome = await settleSubRequests(
+    codes,
+    country => fetchPricingDetails(appId, platform, country, lang)
+      .then(details => ({ country, details }))
+      .catch(error => {
+        errors.push(error);
+        if (classifyError(error).code === ERROR_CODES.NOT_FOUND) unavailable.push(country);
+        throw error;
+      })
+  );
+
+  if (outcome.results.length === 0) {
+    throw errors[0];
+  }
+
+  const rows = outcome.results.map(({ country, details }) => {
+    const { basePrice, inAppPurchases, subscriptions } = details;
+    const currency = basePrice.currency;
+    const convert = (amount) => convertCurrency(amount, currency, referenceCurrency, exchangeRates);
+    const range = inAppPurchases.min !== null
+      ? { min: inAppPurchases.min, max: inAppPurchases.max, currency: inAppPurchases.currency || currency }
+      : null;
+    const convertRange = (amount) => convertCurrency(amount, range.currency, referenceCurrency, exchangeRates);
+
+    return {
+      country,
+      currency,
+      price: basePrice.amount,
+      formattedPrice: basePrice.formattedPrice,
+      isFree: basePrice.isFree,
+      priceInReference: basePrice.isFree ? 0 : convert(basePrice.amount),
+      inAppPurchases: {
+        offers: inAppPurchases.offers,
+        priceRange: inAppPurchases.priceRange,
+        min: range ? range.min : null,
+        max: range ? range.max : null,
+        minInReference: range ? convertRange(range.min) : null,
+        maxInReference: range ? convertRange(range.max) : null
+      },
+      subscriptions: {
+        offers: subscriptions.offers,
+        hints: subscriptions.items
+      },
+      adSupported: details.adSupported === true,
+      monetizationModel: details.monetizationModel
+    };
+  });
+
+  const paid = rows.filter(row => !row.isFree && row.priceInReference !== null);
+  const medianPrice = median(paid.map(row => row.priceInReference));
+  const iapMax = rows.filter(row => row.inAppPurchases.maxInReference !== null);
+  const medianIAPMax = median(iapMax.map(row => row.inAppPurchases.maxInReference));
+  const byPrice = [...paid].sort((a, b) => a.priceInReference - b.priceInReference);
+
+  return {
+    appId,
+    platform,
+    referenceCurrency,
+    exchangeRates: {
+      source: exchangeRates.source,
+      base: exchangeRates.base,
+      asOf: exchangeRates.asOf
+    },
+    countries: rows,
+    summary: {
+      countries: rows.length,
+      freeIn: rows.filter(row => row.isFree).map(row => row.country),
+      paidIn: rows.filter(row => !row.isFree).map(row => row.country),
+      medianPriceInReference: medianPrice,
+      cheapest: byPrice.length ? { country: byPrice[0].country, priceInReference: byPrice[0].priceInReference } : null,
+      mostExpensive: byPrice.length ? { country: byPrice[byPrice.length - 1].country, priceInReference: byPrice[byPrice.length - 1].priceInReference } : null,
+      medianIAPMaxInReference: medianIAPMax
+    },
+    anomalies: detectPricingAnomalies(rows, { unavailable, medianPrice, medianIAPMax, outlierThreshold, referenceCurrency }),
+    subRequests: outcome.report
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(value * 100) / 100;
+}
+
+// Flag regional pricing differences worth a closer look
+function detectPricingAnomalies(rows, { unavailable, medianPrice, medianIAPMax, outlierThreshold, referenceCurrency }) {
+  const anomalies = [];
+  const freeIn = rows.filter(row => row.isFree).map(row => row.country);
+  const paidIn = rows.filter(row => !row.isFree).map(row => row.country);
+
+  if (freeIn.length > 0 && paidIn.length > 0) {
+    anomalies.push({
+      type: "free_vs_paid",
+      freeIn,
+      paidIn,
+      message: `Free in ${freeIn.join(", ")} but paid in ${paidIn.join(", ")}`
+    });
+  }
+
+  const withIAP = rows.filter(row => row.inAppPurchases.offers).map(row => row.country);
+  if (withIAP.length > 0 && withIAP.length < rows.length) {
+    const withoutIAP = rows.filter(row => !row.inAppPurchases.offers).map(row => row.country);
+    anomalies.push({
+      type: "iap_availability",
+      withIAP,
+      withoutIAP,
+      message: `In-app purchases offered in ${withIAP.join(", ")} but not in ${withoutIAP.join(", ")}`
+    });
+  }
+
+  // Prices far from the median of all paid countries
+  const outliers = (type, label, valueOf, reference) => {
+    if (reference === null || reference === 0) return;
+
+    for (const row of rows) {
+      const value = valueOf(row);
+      if (value === null || value === undefined) continue;
+
+      const deviation = Math.round((value / reference - 1) * 100) / 100;
+      if (Math.abs(deviation) > outlierThreshold) {
+        anomalies.push({
+          type,
+          country: row.country,
+          valueInReference: value,
+          medianInReference: reference,
+          deviation,
+          message: `${label} in ${row.country} is ${Math.abs(Math.round(deviation * 100))}% ${deviation > 0 ? "above" : "below"} the median (${value} vs ${reference} ${referenceCurrency})`
+        });
+      }
+    }
+  };
+
+  outliers("price_outlier", "Price", row => (row.isFree ? null : row.priceInReference), medianPrice);
+  outliers("iap_outlier", "Highest in-app purchase price", row => row.inAppPurchases.maxInReference, medianIAPMax);
+
+  const unconverted = rows.filter(row => (!row.isFree && row.priceInReference === null) || (row.inAppPurchases.max !== null && row.inAppPurchases.maxInReference === null));
+  if (unconverted.length > 0) {
+    const currencies = [...new Set(unconverted.map(row => row.currency || "unknown"))];
+    anomalies.push({
+      type: "missing_exchange_rate",
+      countries: unconverted.map(row => row.country),
+      currencies,
+      message: `No exchange rate for ${currencies.join(", ")}, so prices in ${unconverted.map(row => row.country).join(", ")} could not be compared`
+    });
+  }
+
+  if (unavailable.length > 0) {
+    anomalies.push({
+      type: "unavailable",
+      countries: unavailable,
+      message: `Not available in ${unavailable.join(", ")}`
+    });
+  }
+
+  return anomalies;
+}
+
+// Price parsing
+//
+// Store descriptions and Google Play's IAPRange write prices the way the
+// storefront's locale does ("$4.99", "4,99 €", "¥600", "1 299 Kč"), often with
+// a billing period after or before them ("£2.49/month", "Jahresabo 29,99 €").
+
+// Currency symbols, longest first when matching. Symbols shared by several
+// currencies resolve to the storefront's currency through SHARED_CURRENCY_SYMBOLS.
+const CURRENCY_SYMBOLS = {
+  "US$": "USD", "CA$": "CAD", "C$": "CAD", "A$": "AUD", "AU$": "AUD", "NZ$": "NZD", "HK$": "HKD",
+  "NT$": "TWD", "S$": "SGD", "MX$": "MXN", "R$": "BRL", "E£": "EGP", "RM": "MYR", "Rp": "IDR",
+  "CHF": "CHF", "zł": "PLN", "Kč": "CZK", "Ft": "HUF", "lei": "RON", "лв": "BGN", "kr": "SEK",
+  "$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "￥": "JPY", "₹": "INR", "₩": "KRW", "₽": "RUB",
+  "₺": "TRY", "₫": "VND", "฿": "THB", "₱": "PHP", "₪": "ILS", "₴": "UAH", "₦": "NGN", "₸": "KZT",
+  "R": "ZAR"
+};
+
+const SHARED_CURRENCY_SYMBOLS = {
+  "$": { ca: "CAD", au: "AUD", nz: "NZD", sg: "SGD", hk: "HKD", tw: "TWD", mx: "MXN", ar: "ARS", cl: "CLP", co: "COP" },
+  "¥": { cn: "CNY" },
+  "￥": { cn: "CNY" },
+  "kr": { no: "NOK", dk: "DKK", is: "ISK" }
+};
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf("currency"));
+
+// Billing period words in English, Spanish, German, French, Italian,
+// Portuguese, Dutch, Scandinavian, Japanese, Chinese, Korean, Russian, Turkish,
+// Polish and Czech.
+// Entries ending in "*" also match as the start of a longer word (German
+// compounds such as "Monatsabo"); "cjk" entries match without word boundaries.
+const PERIOD_WORDS = {
+  day: {
+    words: ["day", "days", "daily", "día", "días", "diario", "tag", "tage", "täglich", "jour", "jours", "quotidien", "giorno", "giorni", "dia", "dias", "diário", "dag", "dagen", "dagar", "день", "дня", "дней", "gün", "dzień", "dni"],
+    cjk: ["日", "天", "일"]
+  },
+  week: {
+    words: ["week", "weeks", "weekly", "wk", "semana", "semanas", "semanal", "woche", "wochen", "wöchentlich", "wochen*", "semaine", "semaines", "hebdomadaire", "settimana", "settimane", "settimanale", "weken", "wekelijks", "vecka", "veckor", "uke", "uge", "неделя", "недели", "недель", "hafta", "haftalık", "tydzień", "tygodnie"],
+    cjk: ["週", "周", "주"]
+  },
+  month: {
+    words: ["month", "months", "monthly", "mo", "mes", "meses", "mensual", "monat", "monate", "monatlich", "monats*", "mois", "mensuel", "mese", "mesi", "mensile", "mês", "mensal", "maand", "maanden", "maandelijks", "mån", "månad", "månader", "måned", "måneder", "mnd", "měsíc", "měsíčně", "месяц", "месяца", "месяцев", "ay", "aylık", "miesiąc", "miesiące", "miesięcy"],
+    cjk: ["月", "개월", "월"]
+  },
+  quarter: {
+    words: ["quarter", "quarterly", "trimestre", "trimestral", "quartal", "vierteljährlich", "trimestriel", "trimestrale", "kwartaal"],
+    cjk: ["季"]
+  },
+  year: {
+    words: ["year", "years", "yearly", "annual", "annually", "yr", "año", "años", "anual", "jahr", "jahre", "jährlich", "jahres*", "par an", "ans", "année", "annuel", "anno", "anni", "annuale", "ano", "anos", "jaar", "jaarlijks", "år", "årlig", "ročně", "год", "года", "лет", "yıl", "yıllık", "rok", "lata", "lat", "roczny"],
+    cjk: ["年", "년"]
+  },
+  lifetime: {
+    words: ["lifetime", "one-time", "one time", "forever", "de por vida", "vitalicio", "einmalig", "lebenslang", "à vie", "a vita", "vitalício", "eenmalig", "навсегда", "ömür boyu", "dożywotni"],
+    cjk: ["永久", "買い切り", "평생"]
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const PERIOD_PATTERNS = Object.entries(PERIOD_WORDS).map(([period, { words, cjk }]) => {
+  const latin = words.map(word => word.endsWith("*") ? `${escapeRegExp(word.slice(0, -1))}\\p{L}*` : `${escapeRegExp(word)}(?!\\p{L})`);
+  const pattern = `(?:(\\d+)\\s*-?\\s*)?(?:(?<!\\p{L})(?:${latin.join("|")})|(?:${cjk.map(escapeRegExp).join("|")}))`;
+  return { period, pattern: new RegExp(pattern, "iu") };
+});
+
+const PRICE_SYMBOL_PATTERN = Object.keys(CURRENCY_SYMBOLS)
+  .sort((a, b) => b.length - a.length)
+  .map(symbol => /^\p{L}/u.test(symbol) ? `(?<!\\p{L})${escapeRegExp(symbol)}` : escapeRegExp(symbol))
+  .join("|");
+const PRICE_NUMBER_PATTERN = "\\d{1,3}(?:[.,\\s\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+const PRICE_PATTERN = new RegExp(
+  `(?:(${PRICE_SYMBOL_PATTERN}|(?<!\\p{L})[A-Z]{3})[\\s\\u00a0]?(${PRICE_NUMBER_PATTERN})(?![\\d])|(?<![\\d.,])(${PRICE_NUMBER_PATTERN})[\\s\\u00a0]?(${PRICE_SYMBOL_PATTERN.replace(/\(\?<!\\p\{L\}\)/g, "")}|[A-Z]{3})(?!\\p{L}))`,
+  "gu"
+);
+
+// Resolve a currency symbol or ISO code, using the storefront for shared symbols
+function resolveCurrency(token, country) {
+  if (!token) return null;
+
+  const upper = token.toUpperCase();
+  if (/^[A-Z]{3}$/.test(token) && CURRENCY_CODES.has(upper)) {
+    return upper;
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => key.toLowerCase() === token.toLowerCase());
+  if (!symbol) return null;
+
+  const shared = SHARED_CURRENCY_SYMBOLS[symbol];
+  return (shared && country && shared[country.toLowerCase()]) || CURRENCY_SYMBOLS[symbol];
+}
+
+// Parse an amount written with either decimal separator, such as "1,299.00",
+// "1.299,00", "4,99" or "1 299". A lone separator followed by three digits is
+// a grouping separator, as store prices never have three decimals.
+function parseAmount(text) {
+  let value = String(text).replace(/[\s\u00a0\u202f]/g, "");
+  const lastComma = value.lastIndexOf(",");
+  const lastDot = value.lastIndexOf(".");
+
+  if (lastComma > -1 && lastDot > -1) {
+    // Whichever separator comes last is the decimal separator
+    value = lastComma > lastDot ? value.replace(/\./g, "").replace(",", ".") : value.replace(/,/g, "");
+  } else {
+    const separator = lastComma > -1 ? "," : (lastDot > -1 ? "." : null);
+    if (separator) {
+      const parts = value.split(separator);
+      const isDecimal = parts.length === 2 && parts[1].length <= 2;
+      value = isDecimal ? parts.join(".") : parts.join("");
+    }
+  }
+
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) ? null : amount;
+}
+
+// Find the billing period mentioned in a piece of text next to a price
+function detectPeriod(text) {
+  let best = null;
+
+  for (const { period, pattern } of PERIOD_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match && (best === null || match.index < best.index)) {
+      best = { period, count: match[1] ? parseInt(match[1], 10) : 1, index: match.index };
+    }
+  }
+
+  return best ? { period: best.period, count: best.count } : null;
+}
+
+// Find every price in a text, with its currency and the billing period written
+// right after it (or, failing that, right before it in the same sentence)
+function findPrices(text, { country, currency: fallbackCurrency } = {}) {
+  const source = String(text || "");
+  const prices = [];
+
+  for (const match of source.matchAll(PRICE_PATTERN)) {
+    const token = match[1] || match[4];
+    const currency = resolveCurrency(token, country);
+    if (!currency) continue;
+
+    const amount = parseAmount(match[2] || match[3]);
+    if (amount === null) continue;
+
+    const end = match.index + match[0].length;
+    const after = source.slice(end, end + 25).split(/[\n.;!?]|\s[-–•]\s/)[0];
+    const before = source.slice(Math.max(0, match.index - 30), match.index).split(/[\n;!?]|\.\s/).pop();
+    const period = detectPeriod(after) || detectPeriod(before);
+
+    prices.push({
+      raw: match[0].trim(),
+      amount,
+      currency,
+      period: period ? period.period : null,
+      periodCount: period ? period.count : null
+    });
+  }
+
+  // Amounts without a currency only count when the caller knows the currency
+  if (prices.length === 0 && fallbackCurrency) {
+    for (const match of source.matchAll(new RegExp(PRICE_NUMBER_PATTERN, "g"))) {
+      const amount = parseAmount(match[0]);
+      if (amount !== null) {
+        prices.push({ raw: match[0].trim(), amount, currency: fallbackCurrency, period: null, periodCount: null });
+      }
+    }
+  }
+
+  return prices;
+}
+
+// Parse the lowest and highest amount of an in-app purchase range such as
+// "$0.99 - $99.99 per item" or "0,99 € – 109,99 € pro Artikel"
+function parsePriceRange(text, options = {}) {
+  if (!text) return null;
+
+  const prices = findPrices(text, options);
+  if (prices.length === 0) return null;
+
+  const amounts = prices.map(price => price.amount);
+  return {
+    min: Math.min(...amounts),
+    max: Math.max(...amounts),
+    currency: prices[0].currency
+  };
+}
+
+// Whether a billing period means a recurring subscription
+function isRecurringPeriod(period) {
+  return period !== null && period !== "lifetime";
+}
+
+// Weights of the signals used to score cross-platform counterparts. Signals
+// that can't be computed for a candidate (e.g. no website on either store)
+// are left out and the remaining weights are scaled up.
+const COUNTERPART_SIGNAL_WEIGHTS = {
+  developer: 0.3,
+  title: 0.25,
+  websiteDomain: 0.15,
+  bundleId: 0.1,
+  icon: 0.1,
+  description: 0.1
+};
+
+// Legal suffixes that stores add to or drop from developer names
+const DEVELOPER_NAME_SUFFIXES = new Set([
+  "inc", "llc", "ltd", "limited", "gmbh", "corp", "corporation", "co", "company", "sa", "sas", "sarl",
+  "ag", "ab", "as", "asa", "bv", "nv", "plc", "pty", "pte", "srl", "spa", "kk", "oy", "oyj", "sl", "lda"
+]);
+
+// Lowercase a name, drop accents, trademark signs and punctuation
+function normalizeName(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function normalizeDeveloperName(name) {
+  return normalizeName(name)
+    .split(" ")
+    .filter(token => token && !DEVELOPER_NAME_SUFFIXES.has(token))
+    .join(" ");
+}
+
+// Strip the subtitle stores often append to app titles ("Spotify: Music and Podcasts")
+function shortAppTitle(title) {
+  return normalizeName(String(title || "").split(/\s*[:|–—]\s*|\s+-\s+/)[0]);
+}
+
+// Dice coefficient over character bigrams, 0 (nothing shared) to 1 (identical)
+function diceCoefficient(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+// The registrable domain of a website, e.g. "www.spotify.com/us" -> "spotify.com"
+function registrableDomain(website) {
+  if (!website) return null;
+
+  try {
+    const url = new URL(/^[a-z]+:\/\//i.test(website) ? website : `https://${website}`);
+    const labels = url.hostname.toLowerCase().replace(/^www\./, "").split(".").filter(Boolean);
+    if (labels.length < 2) return null;
+
+    // Keep the extra label of second-level country domains such as "co.uk"
+    const secondLevel = /^(co|com|net|org|gov|ac|edu|ne|or)$/.test(labels[labels.length - 2]) && labels[labels.length - 1].length === 2;
+    return labels.slice(secondLevel ? -3 : -2).join(".");
+  } catch {
+    return null;
+  }
+}
+
+// The organisation prefix of a reverse-domain bundle ID, e.g. "com.spotify"
+function bundleIdPrefix(bundleId) {
+  const parts = String(bundleId || "").toLowerCase().split(".");
+  return parts.length >= 3 ? parts.slice(0, 2).join(".") : null;
+}
+
+// Share of the distinctive words of the shorter description found in the longer one
+function descriptionOverlap(a, b) {
+  const words = (text) => new Set(normalizeName(String(text || "").slice(0, 4000)).split(" ").filter(word => word.length >= 4));
+  const first = words(a);
+  const second = words(b);
+  if (first.size === 0 || second.size === 0) return null;
+
+  const [smaller, larger] = first.size <= second.size ? [first, second] : [second, first];
+  let shared = 0;
+  for (const word of smaller) {
+    if (larger.has(word)) shared++;
+  }
+
+  return shared / smaller.size;
+}
+
+// App icons are compared by a difference hash of a small thumbnail. Both stores'
+// image CDNs resize and convert icons on request, so the same 32x32 PNG size is
+// asked for on both sides.
+const ICON_THUMBNAIL_SIZE = 32;
+
+// Limits on the remote images hashed: the largest download and the largest
+// width or height decoded. Thumbnails are far below both.
+const ICON_MAX_BYTES = 1024 * 1024;
+const ICON_MAX_DIMENSION = 512;
+
+// Thumbnail URL of an App Store (mzstatic) or Google Play (googleusercontent)
+// icon, e.g. ".../512x512bb.jpg" -> ".../32x32bb.png" and ".../abc=s512" -> ".../abc=s32-rp"
+function iconThumbnailUrl(url) {
+  const size = ICON_THUMBNAIL_SIZE;
+  if (/mzstatic\.com\//.test(url)) {
+    return url.replace(/\/\d+x\d+\w*\.(?:jpe?g|png|webp)$/i, `/${size}x${size}bb.png`);
+  }
+  if (/googleusercontent\.com\//.test(url)) {
+    return `${url.replace(/=[^/]*$/, "")}=s${size}-rp`;
+  }
+  return url;
+}
+
+// Download a URL into a Buffer of at most `maxBytes`. Node's https module is
+// used rather than fetch so that replay mode intercepts the request like every
+// scraper request.
+function downloadBuffer(url, { maxBytes = ICON_MAX_BYTES } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { timeout: 10000 }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        const error = new Error(`Request failed with status code ${response.statusCode}`);
+        error.status = response.statusCode;
+        return reject(error);
+      }
+      const chunks = [];
+      let size = 0;
+      response.on("data", chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          request.destroy(new Error(`Response larger than ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on("end", () => resolve(Buffer.concat(chunks)));
+      response.on("error", reject);
+    });
+    request.on("timeout", () => request.destroy(Object.assign(new Error("Request timed out"), { code: "ETIMEDOUT" })));
+    request.on("error", reject);
+  });
+}
+
+// Decode an 8-bit, non-interlaced PNG into RGBA pixels, or return null for any
+// other image (other bit depths, interlacing, other formats) and for images
+// wider or higher than ICON_MAX_DIMENSION
+function decodePng(buffer) {
+  if (buffer.length < 8 || buffer.toString("hex", 0, 8) !== "89504e470d0a1a0a") return null;
+
+  let header = null;
+  let palette = null;
+  let paletteAlpha = null;
+  const data = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === "IHDR") {
+      if (chunk.length !== 13) return null;
+      header = { width: chunk.readUInt32BE(0), height: chunk.readUInt32BE(4), bitDepth: chunk[8], colorType: chunk[9], interlace: chunk[12] };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      paletteAlpha = chunk;
+    } else if (type === "IDAT") {
+      data.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  // Channels per color type: grey, RGB, palette index, grey + alpha, RGBA
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header?.colorType];
+  if (!channels || header.bitDepth !== 8 || header.interlace !== 0 || (header.colorType === 3 && !palette)) return null;
+
+  const { width, height, colorType } = header;
+  if (width === 0 || height === 0 || width > ICON_MAX_DIMENSION || height > ICON_MAX_DIMENSION) return null;
+
+  const stride = width * channels;
+  let raw;
+  try {
+    // Compressed data can expand far beyond the image it claims to be
+    raw = inflateSync(Buffer.concat(data), { maxOutputLength: height * (width * 4 + 1) });
+  } catch {
+    return null;
+  }
+  if (raw.length < height * (stride + 1)) return null;
+
+  const pixels = Buffer.alloc(width * height * 4);
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const start = y * (stride + 1);
+    const filter = raw[start];
+    const line = Buffer.from(raw.subarray(start + 1, start + 1 + stride));
+
+    // Undo the scanline filter (None, Sub, Up, Average or Paeth)
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? line[x - channels] : 0;
+      const up = previous[x];
+      const upLeft = x >= channels ? previous[x - channels] : 0;
+      let predictor;
+      if (filter === 0) predictor = 0;
+      else if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [distanceLeft, distanceUp, distanceUpLeft] = [left, up, upLeft].map(value => Math.abs(estimate - value));
+        predictor = distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left : (distanceUp <= distanceUpLeft ? up : upLeft);
+      } else {
+        return null;
+      }
+      line[x] = (line[x] + predictor) & 0xff;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const source = x * channels;
+      const target = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = line[source];
+        palette.copy(pixels, target, index * 3, index * 3 + 3);
+        pixels[target + 3] = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+      } else if (channels <= 2) {
+        pixels.fill(line[source], target, target + 3);
+        pixels[target + 3] = channels === 2 ? line[source + 1] : 255;
+      } else {
+        line.copy(pixels, target, source, source + 3);
+        pixels[target + 3] = channels === 4 ? line[source + 3] : 255;
+      }
+    }
+    previous = line;
+  }
+
+  return { width, height, pixels };
+}
+
+// Difference hash of an image: its grey levels averaged over a 9x8 grid, one
+// bit per pair of horizontal neighbours. Resized or re-encoded copies of an
+// image get the same or a very close hash. Transparency is laid over white.
+function differenceHash({ width, height, pixels }) {
+  const grey = (x, y) => {
+    const i = (y * width + x) * 4;
+    const alpha = pixels[i + 3] / 255;
+    return (0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]) * alpha + 255 * (1 - alpha);
+  };
+
+  const cells = [];
+  for (let row = 0; row < 8; row++) {
+    const y0 = Math.floor((row * height) / 8);
+    const y1 = Math.max(y0 + 1, Math.floor(((row + 1) * height) / 8));
+    for (let col = 0; col < 9; col++) {
+      const x0 = Math.floor((col * width) / 9);
+      const x1 = Math.max(x0 + 1, Math.floor(((col + 1) * width) / 9));
+      let sum = 0;
+      for (let y = y0; y < Math.min(y1, height); y++) {
+        for (let x = x0; x < Math.min(x1, width); x++) sum += grey(x, y);
+      }
+      cells.push(sum / ((Math.min(y1, height) - y0) * (Math.min(x1, width) - x0)));
+    }
+  }
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (cells[row * 9 + col] < cells[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+// Similarity of two difference hashes, from 0 (as different as unrelated
+// images, which share about half of their bits) to 1 (identical)
+function iconSimilarity(a, b) {
+  let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  for (; bits > 0n; bits >>= 1n) distance += Number(bits & 1n);
+  return Math.max(0, 1 - (2 * distance) / 64);
+}
+
+// Hash of an app icon, as a scraper-like method so that it can be cached and
+// scheduled with the store the icon comes from
+async function iconHash({ url }) {
+  const image = decodePng(await downloadBuffer(iconThumbnailUrl(url)));
+  if (!image) {
+    throw new Error(`Unsupported icon image format: ${url}`);
+  }
+  return differenceHash(image);
+}
+
+// Normalize store data of an app to the fields used for counterpart matching
+function toCounterpartProfile(app, platform) {
+  return {
+    appId: platform === "android" ? app.appId : String(app.id),
+    bundleId: platform === "android" ? app.appId : (app.appId || null),
+    title: app.title,
+    developer: app.developer,
+    website: app.developerWebsite || null,
+    description: app.description || app.summary || null,
+    icon: app.icon || null,
+    iconHash: null,
+    url: app.url || null
+  };
+}
+
+async function fetchCounterpartProfile(appId, platform, country, lang) {
+  if (platform === "android") {
+    return toCounterpartProfile(await cachedGplay.app({ appId, country, lang }), platform);
+  }
+
+  const lookup = /^\d+$/.test(appId) ? { id: appId } : { appId };
+  return toCounterpartProfile(await cachedAppStore.app({ ...lookup, country, lang }), platform);
+}
+
+// Score how likely a candidate is the same app as the source, from 0 to 1
+function scoreCounterpart(source, candidate) {
+  const sourceDeveloper = normalizeDeveloperName(source.developer);
+  const candidateDeveloper = normalizeDeveloperName(candidate.developer);
+  const sourceDomain = registrableDomain(source.website);
+  const candidateDomain = registrableDomain(candidate.website);
+  const sourcePrefix = bundleIdPrefix(source.bundleId);
+  const candidatePrefix = bundleIdPrefix(candidate.bundleId);
+
+  const signals = {
+    developer: sourceDeveloper && candidateDeveloper ? diceCoefficient(sourceDeveloper, candidateDeveloper) : null,
+    title: Math.max(
+      diceCoefficient(normalizeName(source.title), normalizeName(candidate.title)),
+      diceCoefficient(shortAppTitle(source.title), shortAppTitle(candidate.title))
+    ),
+    websiteDomain: sourceDomain && candidateDomain ? Number(sourceDomain === candidateDomain) : null,
+    bundleId: sourcePrefix && candidatePrefix ? Number(sourcePrefix === candidatePrefix) : null,
+    icon: source.iconHash && candidate.iconHash ? iconSimilarity(source.iconHash, candidate.iconHash) : null,
+    description: descriptionOverlap(source.description, candidate.description)
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [signal, weight] of Object.entries(COUNTERPART_SIGNAL_WEIGHTS)) {
+    if (signals[signal] === null) continue;
+    weighted += signals[signal] * weight;
+    totalWeight += weight;
+  }
+
+  const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+  const confidence = totalWeight > 0 ? round(weighted / totalWeight) : 0;
+
+  return {
+    confidence,
+    confidenceLevel: confidence >= 0.8 ? "high" : (confidence >= 0.6 ? "medium" : "low"),
+    signals: Object.fromEntries(Object.entries(signals).map(([signal, value]) => [signal, round(value)]))
+  };
+}
+
+// Search the target store by title and developer, then score the candidates.
+// Google Play search results lack the website and description, so the most
+// promising candidates are looked up in full before the final scoring. Icons
+// are downloaded last, for the final candidates only.
+async function searchCounterpartCandidates(source, targetPlatform, { num, country, lang }) {
+  const client = targetPlatform === "android" ? cachedGplay : cachedAppStore;
+  const terms = [source.title, shortAppTitle(source.title), source.developer]
+    .filter(Boolean)
+    .map(term => String(term).trim())
+    .filter((term, index, all) => all.findIndex(other => other.toLowerCase() === term.toLowerCase()) === index);
+
+  const errors = [];
+  const searches = await settleSubRequests(
+    terms,
+    term => client.search({ term, num: 20, country, lang }).catch(error => {
+      errors.push(error);
+      throw error;
+    })
+  );
+
+  if (searches.results.length === 0) {
+    throw errors[0];
+  }
+
+  const found = new Map();
+  for (const app of searches.results.flat()) {
+    const profile = toCounterpartProfile(app, targetPlatform);
+    if (!found.has(profile.appId)) found.set(profile.appId, profile);
+  }
+
+  let candidates = [...found.values()]
+    .map(profile => ({ profile, score: scoreCounterpart(source, profile) }))
+    .sort((a, b) => b.score.confidence - a.score.confidence)
+    .slice(0, num);
+
+  let report = searches.report;
+  if (targetPlatform === "android" && candidates.length > 0) {
+    const details = await settleSubRequests(
+      candidates,
+      ({ profile }) => cachedGplay.app({ appId: profile.appId, country, lang }),
+      ({ profile }) => profile.appId
+    );
+    const detailsById = new Map(details.results.map(app => [app.appId, toCounterpartProfile(app, targetPlatform)]));
+
+    candidates = candidates
+      .map(({ profile }) => detailsById.get(profile.appId) || profile)
+      .map(profile => ({ profile, score: scoreCounterpart(source, profile) }))
+      .sort((a, b) => b.score.confidence - a.score.confidence);
+
+    report = mergeSubRequestReports(report, details.report);
+  }
+
+  // Icons that can't be downloaded or decoded only leave the icon signal out
+  const sourcePlatform = targetPlatform === "android" ? "ios" : "android";
+  const icons = await settleSubRequests(
+    [{ profile: source, platform: sourcePlatform }, ...candidates.map(({ profile }) => ({ profile, platform: targetPlatform }))]
+      .filter(({ profile }) => profile.icon),
+    async ({ profile, platform }) => {
+      const client = platform === "android" ? cachedGplay : cachedAppStore;
+      return [profile, { ...profile, iconHash: await client.iconHash({ url: profile.icon }) }];
+    },
+    ({ profile }) => profile.icon
+  );
+  const hashed = new Map(icons.results);
+  const hashedSource = hashed.get(source) || source;
+
+  candidates = candidates
+    .map(({ profile }) => hashed.get(profile) || profile)
+    .map(profile => ({ profile, score: scoreCounterpart(hashedSource, profile) }))
+    .sort((a, b) => b.score.confidence - a.score.confidence);
+  report = mergeSubRequestReports(report, icons.report);
+
+  return {
+    terms,
+    report,
+    candidates: candidates.map(({ profile, score }) => ({
+      appId: profile.appId,
+      bundleId: profile.bundleId,
+      title: profile.title,
+      developer: profile.developer,
+      website: profile.website,
+      icon: profile.icon,
+      url: profile.url,
+      ...score
+    }))
+  };
+}
+
+// Minimum ages of content ratings that don't spell out a number
+const CONTENT_RATING_AGES = {
+  "everyone": 3,
+  "teen": 13,
+  "mature": 17,
+  "adults only": 18
+};
+
+// The minimum age of a content rating such as "Teen", "Everyone 10+", "12+" or "PEGI 16"
+function contentRatingAge(contentRating) {
+  if (!contentRating) return null;
+
+  const number = String(contentRating).match(/(\d+)\s*\+?/);
+  if (number) return parseInt(number[1], 10);
+
+  const rating = String(contentRating).toLowerCase();
+  const word = Object.keys(CONTENT_RATING_AGES).find(key => rating.startsWith(key));
+  return word ? CONTENT_RATING_AGES[word] : null;
+}
+
+// App size in megabytes. The App Store reports bytes, Google Play a text such
+// as "45M" (or "Varies with device", which has no size).
+function parseAppSizeMB(size) {
+  if (size === null || size === undefined || size === "") return null;
+
+  if (/^\d+$/.test(String(size))) {
+    return Math.round((Number(size) / (1024 * 1024)) * 10) / 10;
+  }
+
+  const match = String(size).replace(",", ".").match(/([\d.]+)\s*([kmg])b?/i);
+  if (!match) return null;
+
+  const factor = { k: 1 / 1024, m: 1, g: 1024 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * factor * 10) / 10;
+}
+
+// Compare dotted version numbers: negative when a is older, positive when newer,
+// null when either isn't a version number
+function compareVersions(a, b) {
+  const parse = (version) => /^\d+(\.\d+)*$/.test(String(version || "").trim()) ? String(version).trim().split(".").map(Number) : null;
+  const first = parse(a);
+  const second = parse(b);
+  if (!first || !second) return null;
+
+  for (let i = 0; i < Math.max(first.length, second.length); i++) {
+    const difference = (first[i] || 0) - (second[i] || 0);
+    if (difference !== 0) return Math.sign(difference);
+  }
+  return 0;
+}
+
+// Reduce the details and pricing of an app to the fields compared across platforms
+function summarizePlatformListing(details, pricing) {
+  const updated = details.updated ? new Date(details.updated) : null;
+  const validUpdated = updated && !Number.isNaN(updated.getTime()) ? updated : null;
+
+  return {
+    appId: details.platform === "ios" ? details.id : details.appId,
+    title: details.title,
+    developer: details.developer,
+    rating: typeof details.score === "number" ? Math.round(details.score * 100) / 100 : null,
+    ratings: typeof details.ratings === "number" ? details.ratings : null,
+    version: details.version || null,
+    updated: validUpdated ? validUpdated.toISOString() : null,
+    daysSinceUpdate: validUpdated ? daysSince(validUpdated.getTime()) : null,
+    releaseNotes: (details.platform === "ios" ? details.releaseNotes : details.recentChanges) || null,
+    price: pricing.basePrice.amount,
+    currency: pricing.basePrice.currency,
+    isFree: pricing.basePrice.isFree,
+    monetizationModel: pricing.monetizationModel,
+    offersInAppPurchases: pricing.inAppPurchases.offers,
+    offersSubscriptions: pricing.subscriptions.offers,
+    adSupported: pricing.adSupported === true,
+    contentRating: details.contentRating || null,
+    contentRatingAge: contentRatingAge(details.contentRating),
+    sizeMB: parseAppSizeMB(details.size)
+  };
+}
+
+// Side-by-side values of both platforms, with the difference and which one leads
+function comparePlatformListings(ios, android) {
+  const numeric = (iosValue, androidValue, higherIsBetter = true) => {
+    if (iosValue === null || androidValue === null) {
+      return { ios: iosValue, android: androidValue, difference: null, leader: null };
+    }
+    const difference = Math.round((iosValue - androidValue) * 100) / 100;
+    const leader = difference === 0 ? null : ((difference > 0) === higherIsBetter ? "ios" : "android");
+    return { ios: iosValue, android: androidValue, difference, leader };
+  };
+  const same = (iosValue, androidValue) => ({ ios: iosValue, android: androidValue, same: iosValue === androidValue });
+
+  const versionOrder = compareVersions(ios.version, android.version);
+  const updateLagDays = ios.updated && android.updated
+    ? Math.round((Date.parse(ios.updated) - Date.parse(android.updated)) / DAY)
+    : null;
+
+  return {
+    rating: numeric(ios.rating, android.rating),
+    ratings: numeric(ios.ratings, android.ratings),
+    version: {
+      ios: ios.version,
+      android: android.version,
+      same: ios.version === android.version,
+      ahead: versionOrder === null || versionOrder === 0 ? null : (versionOrder > 0 ? "ios" : "android")
+    },
+    // Positive when iOS was updated more recently than Android
+    updateLagDays: {
+      ios: ios.updated,
+      android: android.updated,
+      difference: updateLagDays,
+      leader: !updateLagDays ? null : (updateLagDays > 0 ? "ios" : "android")
+    },
+    price: {
+      ...numeric(ios.price, android.price, false),
+      currency: same(ios.currency, android.currency)
+    },
+    monetizationModel: same(ios.monetizationModel, android.monetizationModel),
+    inAppPurchases: same(ios.offersInAppPurchases, android.offersInAppPurchases),
+    subscriptions: same(ios.offersSubscriptions, android.offersSubscriptions),
+    contentRating: {
+      ios: ios.contentRating,
+      android: android.contentRating,
+      iosAge: ios.contentRatingAge,
+      androidAge: android.contentRatingAge,
+      ageDifference: numeric(ios.contentRatingAge, android.contentRatingAge).difference
+    },
+    sizeMB: numeric(ios.sizeMB, android.sizeMB, false)
+  };
+}
+
+// Thresholds above which a difference between platforms is reported as a gap
+const PLATFORM_GAP_THRESHOLDS = {
+  rating: 0.3,
+  ratingsRatio: 2,
+  updateLagDays: 14,
+  // Each store has its own age scale (e.g. "12+" on iOS, "Teen" on Android)
+  contentRatingAge: 3,
+  sizeRatio: 1.5
+};
+
+// The differences between platforms worth acting on, biggest concerns first
+function findPlatformGaps(ios, android, comparison) {
+  const gaps = [];
+  const name = { ios: "iOS", android: "Android" };
+  const other = { ios: "android", android: "ios" };
+  const add = (field, severity, behind, message) => gaps.push({ field, severity, behind, message });
+
+  const { rating, ratings, version, updateLagDays, price, contentRating, sizeMB } = comparison;
+
+  if (rating.leader && Math.abs(rating.difference) >= PLATFORM_GAP_THRESHOLDS.rating) {
+    const behind = other[rating.leader];
+    add("rating", "high", behind, `${name[behind]} is rated ${Math.abs(rating.difference)} stars lower (${rating[behind]} vs ${rating[rating.leader]})`);
+  }
+
+  if (ratings.leader && ratings[other[ratings.leader]] > 0 &&
+      ratings[ratings.leader] / ratings[other[ratings.leader]] >= PLATFORM_GAP_THRESHOLDS.ratingsRatio) {
+    const behind = other[ratings.leader];
+    const ratio = Math.round((ratings[ratings.leader] / ratings[behind]) * 10) / 10;
+    add("ratings", "medium", behind, `${name[ratings.leader]} has ${ratio}x as many ratings as ${name[behind]}`);
+  }
+
+  if (updateLagDays.leader && Math.abs(updateLagDays.difference) >= PLATFORM_GAP_THRESHOLDS.updateLagDays) {
+    const behind = other[updateLagDays.leader];
+    add("updated", "medium", behind, `${name[behind]} was last updated ${Math.abs(updateLagDays.difference)} days before ${name[updateLagDays.leader]}`);
+  }
+
+  if (version.ahead) {
+    const behind = other[version.ahead];
+    add("version", "low", behind, `${name[behind]} is on version ${version[behind]}, ${name[version.ahead]} on ${version[version.ahead]}`);
+  }
+
+  if (ios.isFree !== android.isFree) {
+    const paid = ios.isFree ? "android" : "ios";
+    const currency = (paid === "ios" ? ios.currency : android.currency) || "";
+    add("price", "high", null, `The app is paid on ${name[paid]} (${`${price[paid]} ${currency}`.trim()}) but free on ${name[other[paid]]}`);
+  } else if (price.difference && price.currency.same) {
+    add("price", "medium", null, `The app costs ${ios.price} on iOS and ${android.price} on Android`);
+  }
+
+  if (!comparison.monetizationModel.same) {
+    add("monetizationModel", "medium", null, `Monetization differs: "${ios.monetizationModel}" on iOS, "${android.monetizationModel}" on Android`);
+  }
+
+  if (!comparison.subscriptions.same) {
+    const without = ios.offersSubscriptions ? "android" : "ios";
+    add("subscriptions", "medium", without, `Subscriptions were only found on ${name[other[without]]}`);
+  } else if (!comparison.inAppPurchases.same) {
+    const without = ios.offersInAppPurchases ? "android" : "ios";
+    add("inAppPurchases", "medium", without, `In-app purchases were only found on ${name[other[without]]}`);
+  }
+
+  if (contentRating.ageDifference !== null && Math.abs(contentRating.ageDifference) >= PLATFORM_GAP_THRESHOLDS.contentRatingAge) {
+    add("contentRating", "low", null, `Age ratings differ: ${ios.contentRating} on iOS, ${android.contentRating} on Android`);
+  }
+
+  if (sizeMB.leader && Math.max(ios.sizeMB, android.sizeMB) / Math.min(ios.sizeMB, android.sizeMB) >= PLATFORM_GAP_THRESHOLDS.sizeRatio) {
+    const larger = other[sizeMB.leader];
+    add("size", "low", larger, `${name[larger]} download is ${sizeMB[larger]} MB, ${name[sizeMB.leader]} ${sizeMB[sizeMB.leader]} MB`);
+  }
+
+  const order = { high: 0, medium: 1, low: 2 };
+  return gaps.sort((a, b) => order[a.severity] - order[b.severity]);
+}
+
+// Fetch up to 'num' of the newest reviews of an app. The App Store returns
+// 50 reviews per page. With `fresh`, the reviews are not read from the cache.
+async function fetchReviewSample(appId, platform, country, lang, num, { fresh = false } = {}) {
+  const gplayClient = fresh ? cachedGplay.fresh : cachedGplay;
+  const appStoreClient = fresh ? cachedAppStore.fresh : cachedAppStore;
+
+  if (platform === "android") {
+    const result = await gplayClient.reviews({ appId, num, sort: gplay.sort.NEWEST, country, lang });
+    return (result.data || []).slice(0, num);
+  }
+
+  const id = await resolveIosAppId(appId, country);
+  let reviews = [];
+
+  for (let page = 1; reviews.length < num && page <= Math.ceil(num / 50); page++) {
+    const pageReviews = await appStoreClient.reviews({ id, page, sort: appStore.sort.RECENT, country });
+    if (!pageReviews || pageReviews.length === 0) break;
+    reviews = [...reviews, ...pageReviews];
+  }
+
+  return reviews.slice(0, num);
+}
+
+// Share of each sentiment in a sample of reviews, with their average score and
+// the keywords positive and negative reviews mention most
+function summarizeReviewSentiment(reviews) {
+  const counts = { positive: 0, "somewhat positive": 0, neutral: 0, "somewhat negative": 0, negative: 0 };
+  const keywords = { positive: {}, negative: {} };
+  let scoreTotal = 0;
+  let scored = 0;
+
+  for (const review of reviews) {
+    const sentiment = analyzeSentiment(review.text);
+    counts[sentiment]++;
+
+    if (typeof review.score === "number") {
+      scoreTotal += review.score;
+      scored++;
+    }
+
+    const tone = sentiment.endsWith("positive") ? "positive" : (sentiment.endsWith("negative") ? "negative" : null);
+    if (tone) {
+      for (const keyword of extractKeywords(review.text)) {
+        keywords[tone][keyword] = (keywords[tone][keyword] || 0) + 1;
+      }
+    }
+  }
+
+  const share = (count) => reviews.length ? Math.round((count / reviews.length) * 1000) / 10 : null;
+  const top = (frequency) => Object.entries(frequency)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([keyword]) => keyword);
+
+  return {
+    sampled: reviews.length,
+    averageScore: scored ? Math.round((scoreTotal / scored) * 100) / 100 : null,
+    positiveShare: share(counts.positive + counts["somewhat positive"]),
+    negativeShare: share(counts.negative + counts["somewhat negative"]),
+    breakdown: Object.fromEntries(Object.entries(counts).map(([sentiment, count]) => [sentiment, share(count)])),
+    topPositiveKeywords: top(keywords.positive),
+    topNegativeKeywords: top(keywords.negative)
+  };
+}
+
+// Metrics compared by compare_apps, and whether a higher value is better
+const COMPETITOR_METRICS = {
+  rating: { label: "rating", higherIsBetter: true },
+  ratings: { label: "rating volume", higherIsBetter: true },
+  minInstalls: { label: "installs", higherIsBetter: true },
+  price: { label: "price", higherIsBetter: false },
+  daysSinceUpdate: { label: "update freshness", higherIsBetter: false },
+  sizeMB: { label: "download size", higherIsBetter: false },
+  reviewScore: { label: "recent review score", higherIsBetter: true },
+  positiveShare: { label: "review sentiment", higherIsBetter: true }
+};
+
+// One row of the comparison matrix
+function summarizeCompetitor(appId, platform, details, pricing, sentiment) {
+  const updated = details.updated ? new Date(details.updated) : null;
+
+  return {
+    appId,
+    platform,
+    title: details.title,
+    developer: details.developer,
+    metrics: {
+      rating: typeof details.score === "number" ? Math.round(details.score * 100) / 100 : null,
+      ratings: typeof details.ratings === "number" ? details.ratings : null,
+      // Google Play only; the App Store doesn't publish installs
+      minInstalls: typeof details.minInstalls === "number" ? details.minInstalls : null,
+      price: pricing.basePrice.amount,
+      daysSinceUpdate: updated && !Number.isNaN(updated.getTime()) ? daysSince(updated.getTime()) : null,
+      sizeMB: parseAppSizeMB(details.size),
+      reviewScore: sentiment ? sentiment.averageScore : null,
+      positiveShare: sentiment ? sentiment.positiveShare : null
+    },
+    currency: pricing.basePrice.currency,
+    monetizationModel: pricing.monetizationModel,
+    version: details.version || null,
+    contentRating: details.contentRating || null,
+    sentiment
+  };
+}
+
+// Rank the apps on every metric, best first. Apps without a value for a metric
+// are left out of its ranking, and tied apps share a rank.
+function rankCompetitors(rows) {
+  const rankings = {};
+
+  for (const [metric, { higherIsBetter }] of Object.entries(COMPETITOR_METRICS)) {
+    const ranked = rows
+      .filter(row => row.metrics[metric] !== null)
+      .sort((a, b) => higherIsBetter ? b.metrics[metric] - a.metrics[metric] : a.metrics[metric] - b.metrics[metric]);
+
+    rankings[metric] = ranked.map(row => ({
+      rank: ranked.findIndex(other => other.metrics[metric] === row.metrics[metric]) + 1,
+      appId: row.appId,
+      platform: row.platform,
+      title: row.title,
+      value: row.metrics[metric]
+    }));
+  }
+
+  return rankings;
+}
+
+// Which app leads each metric, and the metrics each app leads
+function summarizeLeaders(rows, rankings) {
+  const byMetric = [];
+
+  for (const [metric, { label }] of Object.entries(COMPETITOR_METRICS)) {
+    const ranking = rankings[metric];
+    // A metric only one app reports, or where all apps tie, has no leader
+    if (ranking.length < 2 || ranking.every(entry => entry.rank === 1)) continue;
+
+    const leaders = ranking.filter(entry => entry.rank === 1);
+    const runnerUp = ranking.find(entry => entry.rank > 1);
+    byMetric.push({
+      metric,
+      label,
+      leaders: leaders.map(({ appId, platform, title }) => ({ appId, platform, title })),
+      value: leaders[0].value,
+      runnerUp: { appId: runnerUp.appId, platform: runnerUp.platform, title: runnerUp.title, value: runnerUp.value },
+      margin: Math.round(Math.abs(leaders[0].value - runnerUp.value) * 100) / 100
+    });
+  }
+
+  const byApp = rows.map(row => {
+    const leads = byMetric
+      .filter(entry => entry.leaders.some(leader => leader.appId === row.appId && leader.platform === row.platform))
+      .map(entry => entry.label);
+
+    return {
+      appId: row.appId,
+      platform: row.platform,
+      title: row.title,
+      leads,
+      summary: leads.length > 0
+        ? `${row.title} leads on ${leads.length > 1 ? `${leads.slice(0, -1).join(", ")} and ${leads[leads.length - 1]}` : leads[0]}`
+        : `${row.title} doesn't lead on any metric`
+    };
+  });
+
+  return { byMetric, byApp };
+}
+
+// Whether a search result is the given app. iOS apps can be given by numeric
+// ID or bundle ID.
+function isSameApp(result, platform, appId) {
+  return platform === "android"
+    ? result.appId === appId
+    : String(result.id) === String(appId) || result.appId === appId;
+}
+
+// Search a keyword and find the app's 1-based position in the results, along
+// with the apps ranked directly above it. The rank is null when the app isn't
+// among the first 'depth' results.
+async function fetchKeywordRank(appId, platform, keyword, { depth, above, country, lang }) {
+  // Ranks are recorded as snapshots, so they always come from a fresh search
+  const results = platform === "android"
+    ? await cachedGplay.fresh.search({ term: keyword, num: depth, country, lang })
+    : await cachedAppStore.fresh.search({ term: keyword, num: depth, country, lang });
+
+  const index = results.findIndex(result => isSameApp(result, platform, appId));
+  const toEntry = (result, position) => ({
+    rank: position + 1,
+    appId: platform === "android" ? result.appId : String(result.id),
+    title: result.title,
+    developer: result.developer
+  });
+
+  return {
+    keyword,
+    rank: index === -1 ? null : index + 1,
+    resultsSearched: results.length,
+    topResult: results.length > 0 ? toEntry(results[0], 0) : null,
+    above: index === -1 
+      ? [] 
+      : results.slice(Math.max(0, index - above), index).map((result, offset) => toEntry(result, Math.max(0, index - above) + offset))
+  };
+}
+
+// Keywords are tracked case-insensitively, with whitespace collapsed
+function normalizeKeyword(keyword) {
+  return keyword.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Best, worst and average rank of a keyword's snapshots, and its movement from
+// day to day. Snapshots where the app wasn't ranked (position null) count
+// towards the number of snapshots, not the rank statistics. A lower position is
+// better, so a positive change means the app moved up.
+function summarizeRankHistory(snapshots) {
+  const sorted = [...snapshots].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  const ranked = sorted.filter(snapshot => snapshot.position !== null);
+
+  const pick = (better) => ranked.reduce((chosen, snapshot) => 
+    !chosen || better(snapshot.position, chosen.position) ? snapshot : chosen, null);
+  const point = (snapshot) => snapshot ? { position: snapshot.position, timestamp: snapshot.timestamp } : null;
+
+  // The last snapshot of each day stands for that day
+  const byDay = new Map();
+  for (const snapshot of sorted) {
+    const day = snapshot.timestamp.slice(0, 10);
+    const entry = byDay.get(day) || { date: day, snapshots: 0 };
+    byDay.set(day, { ...entry, position: snapshot.position, snapshots: entry.snapshots + 1 });
+  }
+
+  const daily = [...byDay.values()].map((day, index, days) => {
+    const previous = index > 0 ? days[index - 1].position : undefined;
+    return { ...day, ...describeRankMovement(previous, day.position) };
+  });
+
+  const first = sorted[0];
+  const latest = sorted[sorted.length - 1];
+
+  return {
+    stats: {
+      snapshots: sorted.length,
+      rankedSnapshots: ranked.length,
+      best: point(pick((a, b) => a < b)),
+      worst: point(pick((a, b) => a > b)),
+      average: ranked.length > 0
+        ? Math.round((ranked.reduce((sum, snapshot) => sum + snapshot.position, 0) / ranked.length) * 10) / 10
+        : null,
+      first: point(first),
+      latest: point(latest),
+      overall: sorted.length > 1 ? describeRankMovement(first.position, latest.position) : null
+    },
+    daily
+  };
+}
+
+// Movement between two positions. undefined means there is no earlier position
+// to compare with; null means the app wasn't ranked.
+function describeRankMovement(previous, position) {
+  if (previous === undefined) return { change: null, movement: null };
+  if (previous === null && position === null) return { change: null, movement: "unranked" };
+  if (previous === null) return { change: null, movement: "entered" };
+  if (position === null) return { change: null, movement: "dropped" };
+
+  const change = previous - position;
+  return { change, movement: change > 0 ? "up" : (change < 0 ? "down" : "same") };
+}
+
+// Latest and average rank of every keyword tracked for an app
+function summarizeTrackedKeywords(snapshots) {
+  const byKeyword = new Map();
+  for (const snapshot of snapshots) {
+    byKeyword.set(snapshot.keyword, [...(byKeyword.get(snapshot.keyword) || []), snapshot]);
+  }
+
+  return [...byKeyword.entries()]
+    .map(([keyword, keywordSnapshots]) => {
+      const { stats } = summarizeRankHistory(keywordSnapshots);
+      return {
+        keyword,
+        snapshots: stats.snapshots,
+        latest: stats.latest,
+        best: stats.best,
+        average: stats.average,
+        overall: stats.overall
+      };
+    })
+    .sort((a, b) => (a.latest.position ?? Infinity) - (b.latest.position ?? Infinity) || a.keyword.localeCompare(b.keyword));
+}
+
+// Listing fields compared by diff_app_listing, by how they are diffed. Metrics
+// that move all the time (score, ratings, installs) are not part of the listing.
+const LISTING_FIELDS = {
+  text: ["description", "summary", "recentChanges", "releaseNotes"],
+  list: ["screenshots", "ipadScreenshots", "genres", "categories"],
+  value: ["title", "developer", "icon", "headerImage", "price", "free", "currency", "contentRating", "genre", "primaryGenre", "version", "size"]
+};
+
+const LISTING_FIELD_NAMES = Object.values(LISTING_FIELDS).flat();
+
+// Save a snapshot of the normalized get_app_details output, unless the listing
+// is unchanged since the app's last snapshot
+async function recordListingSnapshot(details, { platform, country, lang }) {
+  const appId = String(details.id);
+  const listing = JSON.stringify(LISTING_FIELD_NAMES.map(field => details[field] ?? null));
+
+  const previous = (await listingSnapshotStore.query(snapshot =>
+    snapshot.appId === appId && snapshot.platform === platform && snapshot.country === country && snapshot.lang === lang
+  )).pop();
+
+  if (previous && JSON.stringify(LISTING_FIELD_NAMES.map(field => previous.details[field] ?? null)) === listing) {
+    return previous;
+  }
+
+  const snapshot = {
+    id: randomUUID(),
+    appId,
+    bundleId: details.appId || null,
+    platform,
+    country,
+    lang,
+    timestamp: new Date().toISOString(),
+    details
+  };
+  await listingSnapshotStore.append([snapshot]);
+  return snapshot;
+}
+
+// Find a snapshot by ID, or the last one taken on or before a date
+function findListingSnapshot(snapshots, reference, name) {
+  const byId = snapshots.find(snapshot => snapshot.id === reference);
+  if (byId) return byId;
+
+  const until = parseDateFilter(reference, name, true);
+  const snapshot = snapshots.filter(entry => Date.parse(entry.timestamp) <= until).pop();
+  if (!snapshot) {
+    throw new ToolError(ERROR_CODES.NOT_FOUND, `No listing snapshot matches '${name}' value '${reference}'`, {
+      suggestions: ["Use a snapshot ID from the 'snapshots' list, or a date after the first snapshot"]
+    });
+  }
+  return snapshot;
+}
+
+// Field-level changes between two listings
+function diffListings(before, after) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  for (const field of LISTING_FIELDS.value) {
+    if (!same(before[field], after[field])) {
+      changes.push({ field, type: "changed", from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+
+  for (const field of LISTING_FIELDS.list) {
+    if (same(before[field], after[field])) continue;
+
+    const key = (item) => typeof item === "string" ? item : JSON.stringify(item);
+    const beforeKeys = new Set((before[field] || []).map(key));
+    const afterKeys = new Set((after[field] || []).map(key));
+    const added = (after[field] || []).filter(item => !beforeKeys.has(key(item)));
+    const removed = (before[field] || []).filter(item => !afterKeys.has(key(item)));
+
+    changes.push({
+      field,
+      type: added.length === 0 && removed.length === 0 ? "reordered" : "list",
+      added,
+      removed
+    });
+  }
+
+  for (const field of LISTING_FIELDS.text) {
+    if (same(before[field], after[field])) continue;
+
+    changes.push({
+      field,
+      type: "text",
+      diff: diffText(before[field] || "", after[field] || "")
+    });
+  }
+
+  return changes;
+}
+
+// Split text into lines, or into sentences for text written as one paragraph
+function splitTextSegments(text) {
+  const lines = String(text).replace(/<br\s*\/?>/gi, "\n").split(/\n+/).map(line => line.trim()).filter(Boolean);
+  return lines.length > 2 ? lines : lines.flatMap(line => line.split(/(?<=[.!?])\s+/)).filter(Boolean);
+}
+
+// Added and removed segments between two texts, in order, from their longest
+// common subsequence. Unchanged segments are left out.
+function diffText(before, after) {
+  const a = splitTextSegments(before);
+  const b = splitTextSegments(after);
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      diff.push({ type: "removed", text: a[i++] });
+    } else {
+      diff.push({ type: "added", text: b[j++] });
+    }
+  }
+
+  return diff;
+}
+
+// Watchlist refresh thresholds. Ratings and ranks are compared with the value
+// at the last reported change, so slow drifts are reported once they add up.
+const WATCHLIST_THRESHOLDS = {
+  ratingDrop: 0.1,
+  rankChange: 3
+};
+
+// How often the background monitor looks for watchlists and alert rules that are due
+const MONITOR_CHECK_INTERVAL = parseInt(process.env.MCP_MONITOR_CHECK_INTERVAL || String(MINUTE), 10);
+
+function watchlistEventsUri(name) {
+  return `watchlist://${encodeURIComponent(name)}/events`;
+}
+
+function watchlistItemId({ type, appId, platform, country, keyword }) {
+  return [type, platform, country, appId, ...(type === "keyword" ? [normalizeKeyword(keyword)] : [])].join(":");
+}
+
+// Expose the events of each watchlist as a resource clients can read and
+// subscribe to, and keep track of the subscriptions
+function registerWatchlistResources(server) {
+  server.resource(
+    "watchlist-events",
+    new ResourceTemplate("watchlist://{name}/events", {
+      list: async () => {
+        const { watchlists } = await watchlistStore.read();
+        return {
+          resources: Object.values(watchlists).map(watchlist => ({
+            uri: watchlistEventsUri(watchlist.name),
+            name: `Watchlist '${watchlist.name}' events`,
+            mimeType: "application/json"
+          }))
+        };
+      }
+    }),
+    {
+      description: "Changes detected by a watchlist's background refresh, newest first",
+      mimeType: "application/json"
+    },
+    async (uri, { name }) => {
+      const watchlist = decodeURIComponent(name);
+      const events = await watchlistEventStore.query(event => event.watchlist === watchlist);
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify({ watchlist, events: events.slice(-100).reverse() }, null, 2)
+        }]
+      };
+    }
+  );
+
+  const entry = { server, subscriptions: new Set() };
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    entry.subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    entry.subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  activeServers.add(entry);
+  const previousOnClose = server.server.onclose;
+  server.server.onclose = () => {
+    activeServers.delete(entry);
+    previousOnClose?.();
+  };
+}
+
+// Tell every client subscribed to a resource that it changed
+function notifyResourceUpdated(uri) {
+  for (const { server, subscriptions } of activeServers) {
+    if (subscriptions.has(uri)) {
+      server.server.sendResourceUpdated({ uri })
+        .catch(err => console.error(`Watchlists: Error notifying about ${uri}:`, err.message));
+    }
+  }
+}
+
+// Tell every client that watchlists were added or deleted
+function notifyResourceListChanged() {
+  for (const { server } of activeServers) {
+    if (server.isConnected()) server.sendResourceListChanged();
+  }
+}
+
+// Fetch the current state of a watchlist item. It becomes the baseline of the
+// next check, so it always comes from the store rather than the cache.
+async function checkWatchlistItem(item) {
+  if (item.type === "keyword") {
+    const depth = MAX_KEYWORD_RANK_DEPTH[item.platform];
+    const result = await fetchKeywordRank(item.appId, item.platform, item.keyword, { depth, above: 0, country: item.country, lang: item.lang });
+
+    // Ranks checked by watchlists count towards the rank history too
+    await rankHistoryStore.append([{
+      appId: item.appId,
+      platform: item.platform,
+      country: item.country,
+      keyword: item.keyword,
+      timestamp: new Date().toISOString(),
+      position: result.rank,
+      depth
+    }]);
+    return { position: result.rank };
+  }
+
+  const details = await fetchAppDetails(item.appId, item.platform, item.country, item.lang, { fresh: true });
+  await recordListingSnapshot(details, item);
+  return {
+    title: details.title,
+    version: details.version || null,
+    rating: typeof details.score === "number" ? Math.round(details.score * 100) / 100 : null,
+    price: details.price ?? null,
+    free: details.free ?? null,
+    currency: details.currency || null
+  };
+}
+
+// Compare an item's new state with its previous one. Returns the events and
+// the state to keep, whose baselines only move when a change is reported.
+function detectWatchlistEvents(item, previous, current) {
+  const events = [];
+  const event = (type, message, from, to) => events.push({ type, message, from, to });
+
+  if (!previous) {
+    // First check: record the baseline
+    return { events, state: { ...current, ratingBaseline: current.rating, positionBaseline: current.position } };
+  }
+
+  const state = { ...current, ratingBaseline: previous.ratingBaseline, positionBaseline: previous.positionBaseline };
+
+  if (item.type === "keyword") {
+    const baseline = previous.positionBaseline ?? null;
+    const movement = describeRankMovement(baseline, current.position);
+    const moved = movement.movement === "entered" || movement.movement === "dropped" ||
+      (movement.change !== null && Math.abs(movement.change) >= WATCHLIST_THRESHOLDS.rankChange);
+
+    if (moved) {
+      const description = movement.movement === "entered" ? `entered the results at #${current.position}`
+        : movement.movement === "dropped" ? `dropped out of the results (was #${baseline})`
+        : `moved ${movement.movement} ${Math.abs(movement.change)} places, from #${baseline} to #${current.position}`;
+      event("rank_change", `${item.appId} ${description} for "${item.keyword}"`, baseline, current.position);
+      state.positionBaseline = current.position;
+    }
+    return { events, state };
+  }
+
+  const name = current.title || item.appId;
+
+  if (current.version && previous.version && current.version !== previous.version) {
+    event("new_version", `${name} released version ${current.version} (was ${previous.version})`, previous.version, current.version);
+  }
+
+  if (current.rating !== null) {
+    const baseline = previous.ratingBaseline ?? current.rating;
+    if (current.rating > baseline) {
+      state.ratingBaseline = current.rating;
+    } else if (Math.round((baseline - current.rating) * 100) / 100 >= WATCHLIST_THRESHOLDS.ratingDrop) {
+      event("rating_drop", `${name}'s rating dropped from ${baseline} to ${current.rating}`, baseline, current.rating);
+      state.ratingBaseline = current.rating;
+    }
+  }
+
+  if (previous.price !== current.price || previous.free !== current.free) {
+    const format = (state) => state.free ? "free" : `${state.price} ${state.currency || ""}`.trim();
+    event("price_change", `${name}'s price changed from ${format(previous)} to ${format(current)}`, previous.price, current.price);
+  }
+
+  return { events, state };
+}
+
+// Check every item of a watchlist, save the new states and events, and notify
+// subscribed clients when something changed
+async function refreshWatchlist(name) {
+  const { watchlists } = await watchlistStore.read();
+  const watchlist = watchlists[name];
+  if (!watchlist) {
+    throw new ToolError(ERROR_CODES.NOT_FOUND, `Watchlist '${name}' not found`, {
+      suggestions: ["Use manage_watchlist with action 'list' to see the existing watchlists"]
+    });
+  }
+
+  const checks = new Map();
+  const outcome = await settleSubRequests(
+    watchlist.items,
+    item => checkWatchlistItem(item)
+      .then(state => checks.set(item.id, { state }))
+      .catch(error => {
+        checks.set(item.id, { error: toError(error).message });
+        throw error;
+      }),
+    item => item.id
+  );
+
+  // Apply the results to the stored watchlist, which may have changed meanwhile
+  const timestamp = new Date().toISOString();
+  const events = await watchlistStore.update(data => {
+    const current = data.watchlists[name];
+    const detected = [];
+    if (!current) return detected;
+
+    current.lastRefreshedAt = timestamp;
+    for (const item of current.items) {
+      const check = checks.get(item.id);
+      if (!check) continue;
+
+      if (check.error) {
+        item.lastError = check.error;
+        continue;
+      }
+
+      const { events: itemEvents, state } = detectWatchlistEvents(item, item.state, check.state);
+      item.state = state;
+      item.lastCheckedAt = timestamp;
+      item.lastError = null;
+
+      detected.push(...itemEvents.map(itemEvent => ({
+        id: randomUUID(),
+        watchlist: name,
+        itemId: item.id,
+        appId: item.appId,
+        platform: item.platform,
+        country: item.country,
+        ...(item.type === "keyword" ? { keyword: item.keyword } : {}),
+        timestamp,
+        ...itemEvent
+      })));
+    }
+    return detected;
+  });
+
+  if (events.length > 0) {
+    await watchlistEventStore.append(events);
+    notifyResourceUpdated(watchlistEventsUri(name));
+  }
+
+  return { events, report: outcome.report };
+}
+
+// Refresh the watchlists that are due, one at a time
+async function refreshDueWatchlists() {
+  const { watchlists } = await watchlistStore.read();
+  for (const watchlist of Object.values(watchlists)) {
+    const due = !watchlist.lastRefreshedAt ||
+      Date.parse(watchlist.lastRefreshedAt) + watchlist.intervalMinutes * MINUTE <= Date.now();
+    if (!due || watchlist.items.length === 0) continue;
+
+    try {
+      const { events } = await refreshWatchlist(watchlist.name);
+      console.error(`Watchlists: Refreshed '${watchlist.name}', ${events.length} change(s) detected`);
+    } catch (err) {
+      console.error(`Watchlists: Error refreshing '${watchlist.name}':`, err.message);
+    }
+  }
+}
+
+// Run the background jobs while the server runs: watchlist refreshes and alert
+// rule evaluations. A tick is skipped while the previous one is still running.
+function startBackgroundMonitor() {
+  const jobs = [
+    ["Watchlists", refreshDueWatchlists],
+    ["Alerts", evaluateDueAlertRules]
+  ];
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    for (const [label, job] of jobs) {
+      try {
+        await job();
+      } catch (err) {
+        console.error(`${label}: Error in background run:`, err.message);
+      }
+    }
+    running = false;
+  }, MONITOR_CHECK_INTERVAL);
+
+  // Don't keep the process alive just for the monitor
+  timer.unref();
+  return timer;
+}
+
+// Public view of a watchlist
+function describeWatchlist(watchlist) {
+  const nextRefresh = watchlist.lastRefreshedAt
+    ? new Date(Date.parse(watchlist.lastRefreshedAt) + watchlist.intervalMinutes * MINUTE).toISOString()
+    : null;
+
+  return {
+    name: watchlist.name,
+    resourceUri: watchlistEventsUri(watchlist.name),
+    intervalMinutes: watchlist.intervalMinutes,
+    createdAt: watchlist.createdAt,
+    lastRefreshedAt: watchlist.lastRefreshedAt,
+    nextRefreshAt: nextRefresh,
+    items: watchlist.items.map(({ state, ...item }) => ({ ...item, current: state || null }))
+  };
+}
+
+// Defaults of the alert rule parameters, per condition
+const ALERT_RULE_DEFAULTS = {
+  negativeReviewDays: 7,
+  minReviews: 10,
+  top: 10,
+  cooldownMinutes: 24 * 60,
+  intervalMinutes: 60
+};
+
+// How many of the newest reviews negative_reviews_above rules look at. On iOS,
+// whose reviews have no date, this sample is the whole window.
+const ALERT_REVIEW_SAMPLE = 200;
+
+// Webhook deliveries are attempted this many times, waiting longer each time
+const ALERT_WEBHOOK_ATTEMPTS = 3;
+const ALERT_WEBHOOK_TIMEOUT = 10000;
+
+// Check that a rule has the parameters its condition needs
+function validateAlertRule({ condition, appId, platform, keyword, threshold, days }) {
+  const missing = [];
+  if (!platform) missing.push("platform");
+  if (condition === "enters_top") {
+    if (!keyword) missing.push("keyword");
+  } else {
+    if (!appId) missing.push("appId");
+    if (threshold === undefined) missing.push("threshold");
+  }
+
+  if (missing.length > 0) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `Condition '${condition}' needs ${missing.map(name => `'${name}'`).join(", ")}`, {
+      suggestions: [
+        "rating_below needs appId, platform and threshold (a rating from 0 to 5)",
+        "negative_reviews_above needs appId, platform and threshold (a percentage)",
+        "enters_top needs keyword and platform"
+      ]
+    });
+  }
+
+  if (condition === "rating_below" && (threshold < 0 || threshold > 5)) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `A rating threshold must be between 0 and 5, got ${threshold}`);
+  }
+  if (condition === "negative_reviews_above" && (threshold < 0 || threshold > 100)) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `A negative review threshold is a percentage between 0 and 100, got ${threshold}`);
+  }
+  if (condition === "negative_reviews_above" && platform === "ios" && days !== undefined) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, "App Store reviews have no date, so iOS rules can't look at a number of days", {
+      suggestions: [`Leave out 'days': iOS rules look at the newest ${ALERT_REVIEW_SAMPLE} reviews`]
+    });
+  }
+}
+
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, `Invalid webhook URL '${url}'`, {
+      suggestions: ["Use an http:// or https:// URL, e.g. 'http://127.0.0.1:8080/alerts'"]
+    });
+  }
+}
+
+// Check a rule's condition against the stores. Returns the current value and
+// one match per alert the condition raises, keyed so that the same alert is
+// recognized across evaluations. Rules compare against the stores' current
+// data, so they never read from the cache.
+async function evaluateAlertCondition(rule) {
+  const { condition, appId, platform, country, lang, threshold } = rule;
+
+  if (condition === "rating_below") {
+    const details = await fetchAppDetails(appId, platform, country, lang, { fresh: true });
+    const rating = typeof details.score === "number" ? Math.round(details.score * 100) / 100 : null;
+    const matches = rating !== null && rating < threshold
+      ? [{ key: "rating_below", message: `${details.title}'s average rating is ${rating}, below ${threshold}` }]
+      : [];
+    return { value: rating, matches };
+  }
+
+  if (condition === "negative_reviews_above") {
+    // App Store reviews have no date: iOS rules look at the whole sample
+    const dated = platform === "android";
+    const since = Date.now() - (rule.days || ALERT_RULE_DEFAULTS.negativeReviewDays) * DAY;
+    const reviews = (await fetchReviewSample(appId, platform, country, lang, ALERT_REVIEW_SAMPLE, { fresh: true }))
+      .filter(review => !dated || Date.parse(review.date || review.updated) >= since);
+    const scored = reviews.filter(review => typeof review.score === "number");
+
+    // Too few reviews make the share meaningless
+    if (scored.length < rule.minReviews) {
+      return { value: null, reviews: scored.length, matches: [] };
+    }
+
+    const negative = scored.filter(review => review.score <= 2).length;
+    const share = Math.round((negative / scored.length) * 1000) / 10;
+    const window = dated ? `reviews in the last ${rule.days} days` : `${scored.length} newest reviews`;
+    const matches = share > threshold
+      ? [{ key: "negative_reviews_above", message: `${share}% of ${appId}'s ${window} are negative (${negative} of ${scored.length}), above ${threshold}%` }]
+      : [];
+    return { value: share, reviews: scored.length, matches };
+  }
+
+  // enters_top: every app that wasn't in the top results at the last evaluation
+  const results = platform === "android"
+    ? await cachedGplay.fresh.search({ term: rule.keyword, num: rule.top, country, lang })
+    : await cachedAppStore.fresh.search({ term: rule.keyword, num: rule.top, country, lang });
+  const topApps = results.slice(0, rule.top).map((result, index) => ({
+    rank: index + 1,
+    appId: platform === "android" ? result.appId : String(result.id),
+    title: result.title
+  }));
+
+  // The first evaluation only records the top apps
+  const previous = rule.state?.topApps ? new Set(rule.state.topApps.map(app => app.appId)) : null;
+  const matches = previous === null ? [] : topApps
+    .filter(app => !previous.has(app.appId))
+    .map(app => ({
+      key: `entered:${app.appId}`,
+      appId: app.appId,
+      message: `${app.title} entered the top ${rule.top} for "${rule.keyword}" at #${app.rank}`
+    }));
+  return { value: topApps.map(app => app.appId), topApps, matches };
+}
+
+// Decide which matches raise an alert. A match that already raised an alert
+// and is still matching is not repeated (it's "active"), and an alert is not
+// raised again for the same key within the rule's cooldown, even if its
+// condition cleared in between. Returns the alerts to raise and the new state.
+function applyAlertPolicy(rule, matches, now) {
+  const state = rule.state || {};
+  const active = new Set(state.active || []);
+  const lastAlertAt = { ...(state.lastAlertAt || {}) };
+  const cooldown = rule.cooldownMinutes * MINUTE;
+
+  const fire = [];
+  const suppressed = [];
+  for (const match of matches) {
+    if (active.has(match.key)) {
+      suppressed.push({ key: match.key, reason: "active" });
+    } else if (lastAlertAt[match.key] && now - Date.parse(lastAlertAt[match.key]) < cooldown) {
+      suppressed.push({ key: match.key, reason: "cooldown", until: new Date(Date.parse(lastAlertAt[match.key]) + cooldown).toISOString() });
+    } else {
+      fire.push(match);
+      active.add(match.key);
+      lastAlertAt[match.key] = new Date(now).toISOString();
+    }
+  }
+
+  // Forget matches that cleared, and alert times past their cooldown
+  const matching = new Set(matches.map(match => match.key));
+  for (const [key, timestamp] of Object.entries(lastAlertAt)) {
+    if (now - Date.parse(timestamp) >= cooldown) delete lastAlertAt[key];
+  }
+
+  return {
+    fire,
+    suppressed,
+    state: {
+      ...state,
+      active: [...active].filter(key => matching.has(key)),
+      lastAlertAt
+    }
+  };
+}
+
+// Post an alert to a webhook as JSON, signed with MCP_ALERT_WEBHOOK_SECRET when
+// it is set. Retries on network errors and 5xx/429 responses.
+async function deliverWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+  const headers = { "Content-Type": "application/json", "User-Agent": "mcp-appstore" };
+  if (ALERT_WEBHOOK_SECRET) {
+    headers["X-Alert-Signature"] = `sha256=${createHmac("sha256", ALERT_WEBHOOK_SECRET).update(body).digest("hex")}`;
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= ALERT_WEBHOOK_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 2)));
+    }
+
+    try {
+      const response = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT) });
+      if (response.ok) {
+        return { url, status: "delivered", statusCode: response.status, attempts: attempt };
+      }
+
+      lastError = `HTTP ${response.status}`;
+      if (response.status < 500 && response.status !== 429) {
+        return { url, status: "failed", statusCode: response.status, attempts: attempt, error: lastError };
+      }
+    } catch (err) {
+      lastError = err.name === "TimeoutError" ? `No response within ${ALERT_WEBHOOK_TIMEOUT / 1000}s` : err.message;
+    }
+  }
+
+  return { url, status: "failed", statusCode: null, attempts: ALERT_WEBHOOK_ATTEMPTS, error: lastError };
+}
+
+// Evaluate alert rules, raise the alerts their policy allows, deliver them to
+// the rules' webhooks and record them in the alert history
+async function evaluateAlertRules(names) {
+  const { rules } = await alertRuleStore.read();
+  const selected = names.map(name => {
+    if (!rules[name]) {
+      throw new ToolError(ERROR_CODES.NOT_FOUND, `Alert rule '${name}' not found`, {
+        suggestions: ["Use manage_alert_rules with action 'list' to see the existing rules"]
+      });
+    }
+    return rules[name];
+  });
+
+  const evaluations = new Map();
+  const outcome = await settleSubRequests(
+    selected,
+    rule => evaluateAlertCondition(rule)
+      .then(result => evaluations.set(rule.name, { result }))
+      .catch(error => {
+        evaluations.set(rule.name, { error: toError(error).message });
+        throw error;
+      }),
+    rule => rule.name
+  );
+
+  // Apply the policy to the stored rules, which may have changed meanwhile
+  const now = Date.now();
+  const timestamp = new Date(now).toISOString();
+  const { results, raised } = await alertRuleStore.update(data => {
+    const results = [];
+    const raised = [];
+
+    for (const name of names) {
+      const rule = data.rules[name];
+      const evaluation = evaluations.get(name);
+      if (!rule || !evaluation) continue;
+
+      rule.lastEvaluatedAt = timestamp;
+      if (evaluation.error) {
+        rule.lastError = evaluation.error;
+        results.push({ rule: name, condition: rule.condition, error: evaluation.error });
+        continue;
+      }
+
+      const { matches, topApps, ...result } = evaluation.result;
+      const { fire, suppressed, state } = applyAlertPolicy(rule, matches, now);
+      rule.state = { ...state, lastValue: result.value, ...(topApps ? { topApps } : {}) };
+      rule.lastError = null;
+
+      raised.push(...fire.map(match => ({
+        id: randomUUID(),
+        rule: name,
+        condition: rule.condition,
+        key: match.key,
+        message: match.message,
+        value: result.value,
+        threshold: rule.threshold ?? null,
+        appId: match.appId || rule.appId || null,
+        platform: rule.platform,
+        ...(rule.keyword ? { keyword: rule.keyword } : {}),
+        country: rule.country,
+        timestamp,
+        webhookUrl: rule.webhookUrl || ALERT_WEBHOOK_URL
+      })));
+      results.push({ rule: name, condition: rule.condition, ...result, matched: matches.length, raised: fire.length, suppressed });
+    }
+    return { results, raised };
+  });
+
+  const alerts = await Promise.all(raised.map(async ({ webhookUrl, ...alert }) => ({
+    ...alert,
+    delivery: webhookUrl
+      ? await deliverWebhook(webhookUrl, { type: "alert", ...alert })
+      : { url: null, status: "not_configured" }
+  })));
+
+  if (alerts.length > 0) {
+    await alertHistoryStore.append(alerts);
+    alerts
+      .filter(alert => alert.delivery.status === "failed")
+      .forEach(alert => console.error(`Alerts: Error delivering alert of rule '${alert.rule}' to ${alert.delivery.url}: ${alert.delivery.error}`));
+  }
+
+  return { results, alerts, report: outcome.report };
+}
+
+// Evaluate the alert rules that are due
+async function evaluateDueAlertRules() {
+  const { rules } = await alertRuleStore.read();
+  const due = Object.values(rules)
+    .filter(rule => !rule.lastEvaluatedAt || Date.parse(rule.lastEvaluatedAt) + rule.intervalMinutes * MINUTE <= Date.now())
+    .map(rule => rule.name);
+
+  if (due.length > 0) {
+    const { alerts } = await evaluateAlertRules(due);
+    console.error(`Alerts: Evaluated ${due.length} rule(s), ${alerts.length} alert(s) raised`);
+  }
+}
+
+// Public view of an alert rule
+function describeAlertRule(rule) {
+  const { state, ...fields } = rule;
+  return {
+    ...fields,
+    webhookUrl: rule.webhookUrl || ALERT_WEBHOOK_URL,
+    nextEvaluationAt: rule.lastEvaluatedAt
+      ? new Date(Date.parse(rule.lastEvaluatedAt) + rule.intervalMinutes * MINUTE).toISOString()
+      : null,
+    lastValue: state?.lastValue ?? null,
+    active: state?.active || []
+  };
+}
+
+// Reviews per page of the stores' review feeds. Google Play returns up to 150
+// reviews per page; the App Store 50 per page, for at most 10 pages.
+const GPLAY_REVIEW_PAGE_SIZE = 150;
+const IOS_REVIEW_PAGES = 10;
+
+// App Store feed pages one fetch_reviews call requests at most, across all
+// its storefronts: enough for 1000 reviews, plus a few empty storefronts.
+// The rest is left to the next call's cursor.
+const IOS_REVIEW_REQUESTS_PER_CALL = 25;
+
+// Continuation cursors of fetch_reviews: the query a cursor belongs to and the
+// position the next call resumes from, as base64url-encoded JSON
+function encodeReviewCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeReviewCursor(value, query) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+  } catch {
+    cursor = null;
+  }
+
+  const matches = cursor && cursor.position &&
+    Object.entries(query).every(([key, expected]) => JSON.stringify(cursor.query?.[key]) === JSON.stringify(expected));
+  if (!matches) {
+    throw new ToolError(ERROR_CODES.INVALID_INPUT, "Invalid cursor for this query", {
+      suggestions: ["Pass the nextCursor of the previous response unchanged, with the same appId, platform, country, countries, lang and sort"]
+    });
+  }
+  return cursor;
+}
+
+// Where to resume in a page: after the last review returned, if new reviews
+// pushed it further down the page, otherwise after the same number of reviews
+function resumeIndex(reviews, { skip, lastId }) {
+  const index = lastId ? reviews.findIndex(review => String(review.id) === lastId) : -1;
+  return index === -1 ? skip : index + 1;
+}
+
+// Fetch Google Play reviews page by page from a position, without returning
+// the same review twice. The position to continue from is null at the end.
+async function fetchAndroidReviews({ appId, sort, country, lang, num, position }) {
+  const reviews = [];
+  const seen = new Set();
+  let duplicates = 0;
+  let { token, skip, lastId } = position || { token: null, skip: 0, lastId: null };
+
+  for (;;) {
+    // Always request full pages: with fewer, Google Play drops the rest of the page
+    const result = await cachedGplay.reviews({
+      appId,
+      sort,
+      num: GPLAY_REVIEW_PAGE_SIZE,
+      paginate: true,
+      nextPaginationToken: token,
+      country,
+      lang
+    });
+    const page = result.data || [];
+
+    let index = resumeIndex(page, { skip, lastId });
+    for (; index < page.length && reviews.length < num; index++) {
+      if (seen.has(page[index].id)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(page[index].id);
+      reviews.push(page[index]);
+    }
+
+    if (index < page.length) {
+      return { reviews, duplicates, next: { token, skip: index, lastId: String(page[index - 1].id) } };
+    }
+    if (!result.nextPaginationToken || page.length === 0) {
+      return { reviews, duplicates, next: null };
+    }
+
+    token = result.nextPaginationToken;
+    skip = 0;
+    lastId = null;
+    if (reviews.length >= num) {
+      return { reviews, duplicates, next: { token, skip, lastId } };
+    }
+  }
+}
+
+// Fetch App Store reviews from one storefront after the other, page by page,
+// without returning the same review twice. Storefronts that fail are reported
+// and skipped. After `maxRequests` pages, the call stops with the position to
+// continue from, even with fewer than `num` reviews.
+async function fetchIosReviews({ appId, sort, countries, num, position, maxRequests = IOS_REVIEW_REQUESTS_PER_CALL }) {
+  const id = await resolveIosAppId(appId, countries[0]);
+  const reviews = [];
+  const seen = new Set();
+  const byCountry = Object.fromEntries(countries.map(country => [country, 0]));
+  const failures = [];
+  const errors = [];
+  let duplicates = 0;
+  let requests = 0;
+  let { countryIndex, page, skip, lastId } = position || { countryIndex: 0, page: 1, skip: 0, lastId: null };
+
+  while (countryIndex < countries.length) {
+    if (requests >= maxRequests) {
+      return { reviews, duplicates, byCountry, failures, next: { countryIndex, page, skip, lastId }, requestLimitReached: true };
+    }
+    requests++;
+
+    const country = countries[countryIndex];
+    let pageReviews;
+    try {
+      pageReviews = await cachedAppStore.reviews({ id, page, sort, country }) || [];
+    } catch (error) {
+      errors.push(error);
+      failures.push({ country, page, error: toError(error).message });
+      pageReviews = [];
+    }
+
+    let index = resumeIndex(pageReviews, { skip, lastId });
+    for (; index < pageReviews.length && reviews.length < num; index++) {
+      if (seen.has(pageReviews[index].id)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(pageReviews[index].id);
+      reviews.push({ ...pageReviews[index], country });
+      byCountry[country]++;
+    }
+
+    if (index < pageReviews.length) {
+      return { reviews, duplicates, byCountry, failures, next: { countryIndex, page, skip: index, lastId: String(pageReviews[index - 1].id) } };
+    }
+
+    // Move on to the next page, or to the next storefront after the last page
+    if (pageReviews.length === 0 || page >= IOS_REVIEW_PAGES) {
+      countryIndex++;
+      page = 1;
+    } else {
+      page++;
+    }
+    skip = 0;
+    lastId = null;
+
+    if (reviews.length >= num) {
+      const next = countryIndex < countries.length ? { countryIndex, page, skip, lastId } : null;
+      return { reviews, duplicates, byCountry, failures, next };
+    }
+  }
+
+  // Surface the original error when nothing could be fetched
+  if (reviews.length === 0 && errors.length > 0 && failures.every(failure => failure.page === 1)) {
+    throw errors[0];
+  }
+  return { reviews, duplicates, byCountry, failures, next: null };
+}
+
+function reviewCorpusKey(appId, platform, country) {
+  return `${platform}:${country}:${appId}`;
+}
+
+// iOS corpora are kept under the numeric ID, so that the bundle ID and the
+// numeric ID of an app share one corpus
+async function resolveCorpusAppId(appId, platform, country) {
+  return platform === "ios" ? String(await resolveIosAppId(appId, country)) : appId;
+}
+
+// The review store of a corpus, opened on first use
+function getReviewStore(key) {
+  if (!reviewStores.has(key)) {
+    const file = startupOptions.scraperMode === "live"
+      ? path.join(REVIEWS_DIR, `${key.replace(/[^\w.-]/g, "_")}.jsonl`)
+      : null;
+    reviewStores.set(key, createJsonLinesStore({ file }));
+  }
+  return reviewStores.get(key);
+}
+
+// The fields of a review kept in a corpus, the same on both platforms. The
+// App Store feed has no review dates, so iOS reviews are dated by the sync
+// that first saw them (`dateSource` "sync", see reviewDate).
+function toStoredReview(review, platform) {
+  const date = platform === "android" ? review.date : review.updated;
+  const valid = Boolean(date) && !Number.isNaN(Date.parse(date));
+  return {
+    id: String(review.id),
+    userName: review.userName || null,
+    score: typeof review.score === "number" ? review.score : null,
+    title: review.title || "",
+    text: review.text || "",
+    date: valid ? new Date(date).toISOString() : null,
+    dateSource: valid ? "store" : "sync",
+    version: review.version || null,
+    thumbsUp: review.thumbsUp ?? null,
+    replyText: review.replyText || null,
+    replyDate: review.replyDate || null,
+    url: review.url || null
+  };
+}
+
+// Download an app's newest reviews into its corpus, page by page, until
+// reaching the newest review of the last sync (its cursor), the end of the
+// reviews, or maxReviews. The cursor only moves when the sync reached it.
+// Pages are always downloaded from the store, since the cursor records them.
+//
+// When a sync is cut short before reaching the cursor, the corpus keeps a gap:
+// the position the sync stopped at and the newest review it saw. The next
+// sync resumes from that position instead of the newest reviews, and once it
+// reaches the cursor, the gap's newest review becomes the cursor.
+async function syncReviewCorpus({ appId, platform, country, lang, maxReviews }) {
+  const corpusAppId = await resolveCorpusAppId(appId, platform, country);
+  const key = reviewCorpusKey(corpusAppId, platform, country);
+  const store = getReviewStore(key);
+
+  const { corpora } = await reviewCorpusStore.read();
+  const cursor = corpora[key]?.cursor || null;
+  const gap = corpora[key]?.gap || null;
+  const reachedCursor = (review) => cursor !== null &&
+    (review.id === cursor.id || (review.date !== null && cursor.date !== null && Date.parse(review.date) < Date.parse(cursor.date)));
+
+  const fetched = [];
+  let stoppedBy = "end";
+  let error = null;
+  let token = gap ? gap.resume.token : null;
+  let skip = gap ? gap.resume.index : 0;
+  // Where the next sync would resume if this one is cut short
+  let resume = null;
+
+  for (let page = gap ? gap.resume.page : 1; ; page++) {
+    const pageToken = token;
+    let pageReviews;
+    try {
+      if (platform === "android") {
+        const result = await cachedGplay.fresh.reviews({
+          appId,
+          sort: gplay.sort.NEWEST,
+          num: GPLAY_REVIEW_PAGE_SIZE,
+          paginate: true,
+          nextPaginationToken: pageToken,
+          country,
+          lang
+        });
+        pageReviews = result.data || [];
+        token = result.nextPaginationToken || null;
+      } else {
+        pageReviews = await cachedAppStore.fresh.reviews({ id: corpusAppId, page, sort: appStore.sort.RECENT, country }) || [];
+      }
+    } catch (err) {
+      // Keep the pages already downloaded
+      if (fetched.length === 0) throw err;
+      stoppedBy = "error";
+      error = toError(err).message;
+      resume = { page, token: pageToken, index: 0 };
+      break;
+    }
+
+    let done = false;
+    const storedReviews = pageReviews.map(item => toStoredReview(item, platform));
+    for (let index = skip; index < storedReviews.length; index++) {
+      const review = storedReviews[index];
+      if (reachedCursor(review)) {
+        stoppedBy = "last_seen";
+        done = true;
+        break;
+      }
+      if (fetched.length >= maxReviews) {
+        stoppedBy = "max_reviews";
+        resume = { page, token: pageToken, index };
+        done = true;
+        break;
+      }
+      fetched.push(review);
+    }
+    skip = 0;
+
+    const lastPage = platform === "android" ? token === null : page >= IOS_REVIEW_PAGES;
+    if (done || pageReviews.length === 0 || lastPage) break;
+  }
+
+  // Pages can overlap while new reviews come in, so drop the reviews already seen
+  const seen = new Set((await store.query()).map(review => review.id));
+  const syncedAt = new Date().toISOString();
+  const added = fetched.filter(review => !seen.has(review.id) && seen.add(review.id));
+  await store.append(added.map(review => ({ ...review, syncedAt })));
+
+  const reachedEnd = stoppedBy === "last_seen" || stoppedBy === "end";
+  const dates = added.map(review => review.date).filter(Boolean).sort();
+  const corpus = await reviewCorpusStore.update(data => {
+    const entry = data.corpora[key] || {
+      appId: corpusAppId,
+      platform,
+      country,
+      reviews: 0,
+      oldestReviewDate: null,
+      newestReviewDate: null,
+      firstSyncAt: syncedAt,
+      cursor: null,
+      gap: null
+    };
+
+    if (gap) {
+      if (reachedEnd) {
+        entry.cursor = gap.newest;
+        entry.gap = null;
+      } else {
+        entry.gap = { ...gap, resume };
+      }
+    } else if ((reachedEnd || entry.cursor === null) && fetched.length > 0) {
+      entry.cursor = { id: fetched[0].id, date: fetched[0].date };
+    } else if (!reachedEnd && fetched.length > 0) {
+      entry.gap = { newest: { id: fetched[0].id, date: fetched[0].date }, resume };
+    }
+    if (dates.length > 0) {
+      entry.oldestReviewDate = [entry.oldestReviewDate, dates[0]].filter(Boolean).sort()[0];
+      entry.newestReviewDate = [entry.newestReviewDate, dates[dates.length - 1]].filter(Boolean).sort().pop();
+    }
+    entry.reviews += added.length;
+    entry.lang = lang;
+    entry.lastSyncAt = syncedAt;
+    entry.lastSync = { fetched: fetched.length, added: added.length, stoppedBy, ...(error ? { error } : {}) };
+
+    data.corpora[key] = entry;
+    return structuredClone(entry);
+  });
+
+  return {
+    corpus,
+    fetched: fetched.length,
+    added: added.length,
+    syncDated: added.filter(review => review.dateSource === "sync").length,
+    stoppedBy,
+    error,
+    resumedGap: gap !== null,
+    caughtUp: (reachedEnd || cursor === null) && gap === null
+  };
+}
+
+// The fields of a corpus shown to clients. Its sync positions are internal.
+function describeReviewCorpus(entry) {
+  const corpus = { ...entry, gapPending: Boolean(entry.gap) };
+  delete corpus.cursor;
+  delete corpus.gap;
+  return corpus;
+}
+
+function reviewDate(review) {
+  return review.date || review.syncedAt;
+}
+
+// Score distribution, monthly trend and sentiment of a set of corpus reviews
+function summarizeReviewCorpus(reviews) {
+  const scored = reviews.filter(review => review.score !== null);
+  const average = (items) => items.length
+    ? Math.round((items.reduce((sum, review) => sum + review.score, 0) / items.length) * 100) / 100
+    : null;
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  scored.forEach(review => { distribution[review.score] = (distribution[review.score] || 0) + 1; });
+
+  // Reviews dated by a sync would bunch up in the months of the syncs
+  const storeDated = reviews.filter(review => review.date);
+  const byMonth = new Map();
+  for (const review of storeDated) {
+    const month = review.date.slice(0, 7);
+    byMonth.set(month, [...(byMonth.get(month) || []), review]);
+  }
+
+  const { positiveShare, negativeShare, topPositiveKeywords, topNegativeKeywords } = summarizeReviewSentiment(reviews);
+
+  return {
+    reviews: reviews.length,
+    averageScore: average(scored),
+    scoreDistribution: distribution,
+    syncDated: reviews.length - storeDated.length,
+    byMonth: [...byMonth.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, monthReviews]) => ({
+        month,
+        reviews: monthReviews.length,
+        averageScore: average(monthReviews.filter(review => review.score !== null))
+      })),
+    sentiment: { positiveShare, negativeShare, topPositiveKeywords, topNegativeKeywords }
+  };
+}
+
+// Stable error codes returned by every tool, so that clients can tell apart
+// failures that are worth retrying from those that are not
+const ERROR_CODES = {
+  NOT_FOUND: "NOT_FOUND",
+  THROTTLED: "THROTTLED",
+  UPSTREAM_CHANGED: "UPSTREAM_CHANGED",
+  INVALID_INPUT: "INVALID_INPUT",
+  REGION_UNAVAILABLE: "REGION_UNAVAILABLE",
+  TIMEOUT: "TIMEOUT",
+  UPSTREAM_ERROR: "UPSTREAM_ERROR",
+  INTERNAL_ERROR: "INTERNAL_ERROR"
+};
+
+// Error thrown by the tools themselves when the failure is already known
+class ToolError extends Error {
+  constructor(code, message, { retryable = false, suggestions = [], upstream = null } = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+    this.retryable = retryable;
+    this.suggestions = suggestions;
+    this.upstream = upstream;
+  }
+}
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// Check that a country code is a real region and, for iOS, an App Store storefront
+function validateCountry(platform, country) {
+  const code = country.toUpperCase();
+  const invalid = () => new ToolError(ERROR_CODES.INVALID_INPUT, `Invalid country code '${country}'`, {
+    suggestions: ["Use a two-letter ISO 3166-1 country code such as 'us', 'gb' or 'de'"]
+  });
+
+  // Intl.DisplayNames throws a RangeError for anything that isn't a region code
+  if (!/^[A-Z]{2}$/.test(code)) throw invalid();
+
+  const name = regionNames.of(code);
+  if (name === code || name === "Unknown Region") throw invalid();
+
+  if (platform === "ios" && !appStore.markets[code]) {
+    if (code === "UK") {
+      throw new ToolError(ERROR_CODES.INVALID_INPUT, "The App Store uses 'gb' for the United Kingdom", {
+        suggestions: ["Use country 'gb'"]
+      });
+    }
+    throw new ToolError(ERROR_CODES.REGION_UNAVAILABLE, `The App Store is not available in ${name} ('${country}')`, {
+      suggestions: ["Use a country with an App Store storefront, e.g. 'us'"]
+    });
+  }
+}
+
+// Map any error thrown while running a tool onto the stable error model
+function classifyError(error, context = {}) {
+  if (error instanceof ToolError) {
+    return {
+      code: error.code,
+      message: error.message,
+      retryable: error.retryable,
+      upstream: error.upstream,
+      suggestions: error.suggestions
+    };
+  }
+
+  const status = getUpstreamStatus(error);
+  const message = toError(error).message;
+  const upstream = error?.upstream || null;
+  const systemCode = error?.code || "";
+  const result = (code, retryable, suggestions = []) => ({ code, message, retryable, upstream, suggestions });
+
+  if (status === 429 || /throttl|too many requests/i.test(message)) {
+    return result(ERROR_CODES.THROTTLED, true, [
+      "The store is rate limiting requests; wait a minute before retrying",
+      "Reduce the number of results or apps requested in one call"
+    ]);
+  }
+
+  if (/ETIMEDOUT|ESOCKETTIMEDOUT/.test(systemCode) || /timed? ?out|ETIMEDOUT|ESOCKETTIMEDOUT/i.test(message)) {
+    return result(ERROR_CODES.TIMEOUT, true, ["Retry the request; the store took too long to respond"]);
+  }
+
+  // Replay mode: the request was never recorded
+  if (systemCode === "ERR_NOCK_NO_MATCH") {
+    return result(ERROR_CODES.UPSTREAM_ERROR, false, [
+      "No recorded response matches this request; run the same call in record mode first"
+    ]);
+  }
+
+  if (status === 404 || /not found/i.test(message)) {
+    const suggestions = context.platform === "ios"
+      ? ["Check the app ID: use the numeric App Store ID (e.g. '553834731') or the bundle ID"]
+      : ["Check the app ID: use the package name from the Play Store URL (e.g. 'com.spotify.music')"];
+    if (context.country && context.country !== "us") {
+      suggestions.push(`The app may not be available in the '${context.country}' store; try country 'us'`);
+    }
+    if (context.developerId) {
+      suggestions.splice(0, 1, "Check the developer ID or name; for iOS the numeric artist ID is the most reliable");
+    }
+    return result(ERROR_CODES.NOT_FOUND, false, suggestions);
+  }
+
+  if (/required|missing|invalid|cannot be (lower|greater)|can't exceed|cannot retrieve more/i.test(message)) {
+    return result(ERROR_CODES.INVALID_INPUT, false, ["Check the tool arguments against the parameter descriptions"]);
+  }
+
+  // Parsing failures mean the store returned something the scrapers no longer understand
+  if (error instanceof SyntaxError || error instanceof TypeError) {
+    return result(ERROR_CODES.UPSTREAM_CHANGED, false, [
+      "The store response format may have changed; updating the scraper libraries might help"
+    ]);
+  }
+
+  if (upstream || status) {
+    return result(ERROR_CODES.UPSTREAM_ERROR, isRetryableError(error));
+  }
+
+  return result(ERROR_CODES.INTERNAL_ERROR, false);
+}
+
+// Build the error result returned by every tool. `context` holds the tool
+// arguments that identify the request (app ID, platform, country...).
+function errorResponse(error, context = {}) {
+  const { code, message, retryable, upstream, suggestions } = classifyError(error, context);
+
+  return {
+    content: [{ 
+      type: "text", 
+      text: JSON.stringify({
+        error: message,
+        code,
+        retryable,
+        ...context,
+        upstream,
+        suggestions
+      }, null, 2)
+    }],
+    isError: true
+  };
+}
+
+// Build a deterministic cache key from a scraper method call. Object keys are
+// sorted so that `{ appId, country }` and `{ country, appId }` share an entry.
+function buildCacheKey(namespace, method, args) {
+  const normalize = (value) => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === "object") {
+      return Object.keys(value).sort().reduce((obj, key) => {
+        if (value[key] !== undefined) obj[key] = normalize(value[key]);
+        return obj;
+      }, {});
+    }
+    return value;
+  };
+
+  return `${namespace}:${method}:${JSON.stringify(normalize(args))}`;
+}
+
+// In-memory cache store, used when persistence is disabled (MCP_CACHE_STORE=memory)
+function createMemoryCacheStore({ maxEntries }) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      // Re-insert so that Map iteration order reflects recency
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// File based cache store: one JSON file per entry, named after the hash of its
+// key. When the entry count or total size exceeds the configured limits the
+// oldest files are evicted first.
+function createFileCacheStore({ directory, maxEntries, maxBytes }) {
+  const fileFor = (key) => path.join(directory, `${createHash("sha256").update(key).digest("hex")}.json`);
+  let ready = null;
+  let writesSincePrune = 0;
+  let pruning = null;
+
+  const ensureDirectory = () => {
+    if (!ready) {
+      ready = fs.mkdir(directory, { recursive: true }).then(() => prune());
+    }
+    return ready;
+  };
+
+  async function prune() {
+    const names = (await fs.readdir(directory)).filter(name => name.endsWith(".json"));
+    const files = (await Promise.all(names.map(async name => {
+      const filePath = path.join(directory, name);
+      try {
+        const stat = await fs.stat(filePath);
+        return { filePath, size: stat.size, mtime: stat.mtimeMs };
+      } catch (err) {
+        return null; // Removed concurrently
+      }
+    }))).filter(Boolean);
+
+    let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let count = files.length;
+    files.sort((a, b) => a.mtime - b.mtime);
+
+    for (const file of files) {
+      if (count <= maxEntries && totalBytes <= maxBytes) break;
+      await fs.rm(file.filePath, { force: true });
+      count--;
+      totalBytes -= file.size;
+    }
+  }
+
+  return {
+    async get(key) {
+      await ensureDirectory();
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        // Guard against (very unlikely) hash collisions
+        return entry.key === key ? entry : null;
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async set(key, entry) {
+      await ensureDirectory();
+      // Write to a temporary file first so readers never see partial entries
+      const filePath = fileFor(key);
+      const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ key, ...entry }));
+      await fs.rename(tempPath, filePath);
+
+      // Check the size limits every 100 writes
+      if (++writesSincePrune >= 100 && !pruning) {
+        writesSincePrune = 0;
+        pruning = prune()
+          .catch(err => console.error(`Cache: Error pruning ${directory}:`, err.message))
+          .finally(() => { pruning = null; });
+      }
+    },
+    async delete(key) {
+      await ensureDirectory();
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+// Store of a single JSON document, kept in a file or in memory only when no
+// file is given. Updates are applied one at a time and written atomically.
+function createJsonFileStore({ file, initial }) {
+  let loading = null;
+  let updating = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        if (!file) return structuredClone(initial);
+        try {
+          return JSON.parse(await fs.readFile(file, "utf8"));
+        } catch (err) {
+          if (err.code === "ENOENT") return structuredClone(initial);
+          throw err;
+        }
+      })().catch(err => {
+        loading = null; // Retry on the next call
+        throw err;
+      });
+    }
+    return loading;
+  };
+
+  return {
+    read: load,
+    // Apply a change to the document and save it. The mutator may return a value.
+    update(mutator) {
+      const result = updating.catch(() => {}).then(async () => {
+        const data = await load();
+        const value = await mutator(data);
+
+        if (file) {
+          // Write to a temporary file first so readers never see a partial document
+          const tempPath = `${file}.${process.pid}.${randomUUID()}.tmp`;
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+          await fs.rename(tempPath, file);
+        }
+        return value;
+      });
+      updating = result;
+      return result;
+    }
+  };
+}
+
+// Append-only store of JSON records, kept in a JSON Lines file (one record per
+// line), or in memory only when no file is given. Records are read from disk
+// once and then served from memory.
+function createJsonLinesStore({ file }) {
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = readJsonLines(file).catch(err => {
+        loading = null; // Retry on the next call
+        throw err;
+      });
+    }
+    return loading;
+  };
+
+  return {
+    async append(records) {
+      const loaded = await load();
+      loaded.records.push(...records);
+
+      if (file && records.length > 0) {
+        // Chain writes so that lines of concurrent appends never interleave
+        writing = writing.catch(() => {}).then(async () => {
+          // Start on a new line if the file ends with a line cut short by a crash
+          const prefix = loaded.partialLine ? "\n" : "";
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.appendFile(file, prefix + records.map(record => `${JSON.stringify(record)}\n`).join(""));
+          loaded.partialLine = false;
+        });
+        await writing;
+      }
+    },
+    async query(predicate = () => true) {
+      return (await load()).records.filter(predicate);
+    }
+  };
+}
+
+async function readJsonLines(file) {
+  let text = "";
+  if (file) {
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  const records = text.split("\n").filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      return []; // A line cut short by a crash mid-write
+    }
+  });
+
+  return { records, partialLine: text.length > 0 && !text.endsWith("\n") };
+}
+
+// Wrap every method of a scraper module with the cache store. Constants such as
+// `gplay.sort` are passed through unchanged.
+//
+// Fresh entries are served directly. Expired entries are refreshed from the
+// store through the scheduler; if that fails (throttling, network issues) and the entry is not older
+// than `maxStale`, the stale value is served instead of the error. With
+// `staleWhileRevalidate` enabled, expired entries are served right away and
+// refreshed in the background. `now` is the clock used for expiry.
+//
+// `fresh` holds the same methods without the cache lookup: they always call the
+// store and never fall back to a stale entry, for callers that record what the
+// store returns right now (rank snapshots, watchlist baselines, alert rules).
+// Their result still refreshes the cache entry.
+function createCachedClient(namespace, client, store, { staleWhileRevalidate, maxStale, scheduler, now = Date.now }) {
+  const inFlight = new Map();
+
+  // Cache store failures (e.g. an unreadable cache directory) must never break
+  // a tool call, so they are logged and treated as cache misses.
+  const readEntry = (key) => store.get(key).catch(err => {
+    console.error(`Cache: Error reading entry ${key}:`, err.message);
+    return null;
+  });
+
+  const writeEntry = (key, entry) => store.set(key, entry).catch(err => {
+    console.error(`Cache: Error writing entry ${key}:`, err.message);
+  });
+
+  const fetchAndStore = (key, method, args) => {
+    // De-duplicate concurrent calls for the same key
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const ttl = CACHE_TTLS[method] || CACHE_TTLS.default;
+    const promise = scheduler.schedule(() => client[method](...args))
+      .then(async value => {
+        const storedAt = now();
+        await writeEntry(key, { method, storedAt, expiresAt: storedAt + ttl, value });
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  const cachedMethod = (method) => async (...args) => {
+    const key = buildCacheKey(namespace, method, args);
+    const entry = await readEntry(key);
+    const time = now();
+
+    if (entry && entry.expiresAt > time) {
+      return entry.value;
+    }
+
+    const usableStale = entry && time - entry.expiresAt <= maxStale;
+
+    if (usableStale && staleWhileRevalidate) {
+      fetchAndStore(key, method, args).catch(err => {
+        console.error(`Cache: Background refresh of ${key} failed:`, err.message);
+      });
+      return entry.value;
+    }
+
+    try {
+      return await fetchAndStore(key, method, args);
+    } catch (error) {
+      if (usableStale) {
+        console.error(`Cache: Serving stale entry for ${key} after error:`, error.message);
+        return entry.value;
+      }
+      throw withUpstream(error, method, args);
+    }
+  };
+
+  const freshMethod = (method) => async (...args) => {
+    try {
+      return await fetchAndStore(buildCacheKey(namespace, method, args), method, args);
+    } catch (error) {
+      throw withUpstream(error, method, args);
+    }
+  };
+
+  // Record which upstream call failed for the error response
+  const withUpstream = (error, method, args) => {
+    error.upstream = error.upstream || { store: namespace, method, params: args[0] };
+    return error;
+  };
+
+  const wrap = (wrapMethod) => Object.keys(client).reduce((wrapped, name) => {
+    if (name === "memoized") return wrapped;
+    wrapped[name] = typeof client[name] === "function" ? wrapMethod(name) : client[name];
+    return wrapped;
+  }, {});
+
+  return { ...wrap(cachedMethod), fresh: wrap(freshMethod) };
+}
+
+// Extract the HTTP status code from a scraper error. google-play-scraper sets
+// `status`, app-store-scraper rejects with the raw `response` object.
+function getUpstreamStatus(error) {
+  return error?.status ?? error?.response?.statusCode ?? null;
+}
+
+// app-store-scraper rejects with plain `{ response }` objects on HTTP errors,
+// which have no message. Turn anything that is not an Error into one.
+function toError(reason) {
+  if (reason instanceof Error) return reason;
+
+  const status = getUpstreamStatus(reason);
+  const error = new Error(status ? `Request failed with status code ${status}` : String(reason));
+  error.status = status;
+  return error;
+}
+
+// Whether a failed upstream request is worth retrying: throttling, server
+// errors and transient network failures
+function isRetryableError(error) {
+  const status = getUpstreamStatus(error);
+  if (status) return status === 429 || status >= 500;
+
+  const message = `${error?.code || ""} ${error?.message || ""}`;
+  return /ECONNRESET|ETIMEDOUT|ESOCKETTIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up/i.test(message);
+}
+
+// Per-store request scheduler. Tasks wait for a free concurrency slot and a
+// rate-limit token before running, and are retried with exponential backoff
+// plus jitter when they fail with a retryable error. `now` and `sleep` are the
+// clock and timer used for rate limiting and backoff.
+function createRequestScheduler(name, {
+  concurrency, ratePerSecond, burst, retries, baseDelay, maxDelay,
+  now = Date.now,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+}) {
+  let active = 0;
+  const waiting = [];
+  let tokens = burst;
+  let lastRefill = now();
+
+  const stats = { scheduled: 0, succeeded: 0, failed: 0, retries: 0, throttled: 0 };
+
+  const acquireSlot = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) {
+      next(); // Hand the slot over directly
+    } else {
+      active--;
+    }
+  };
+
+  // Token bucket: `burst` tokens at most, refilled at `ratePerSecond`
+  const acquireToken = async () => {
+    for (;;) {
+      const time = now();
+      tokens = Math.min(burst, tokens + ((time - lastRefill) / 1000) * ratePerSecond);
+      lastRefill = time;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+    }
+  };
+
+  const backoffDelay = (attempt, error) => {
+    // Honour Retry-After (in seconds) when the store sends one
+    const retryAfter = parseInt(error?.response?.headers?.["retry-after"], 10);
+    if (retryAfter > 0) return Math.min(maxDelay, retryAfter * 1000);
+
+    const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  };
+
+  async function schedule(task) {
+    stats.scheduled++;
+
+    for (let attempt = 0; ; attempt++) {
+      let reason;
+
+      await acquireSlot();
+      try {
+        await acquireToken();
+        const result = await task();
+        stats.succeeded++;
+        return result;
+      } catch (err) {
+        reason = err;
+      } finally {
+        releaseSlot();
+      }
+
+      // The slot is released while backing off so other requests can proceed
+      const error = toError(reason);
+      if (getUpstreamStatus(error) === 429) stats.throttled++;
+
+      if (attempt >= retries || !isRetryableError(error)) {
+        stats.failed++;
+        throw error;
+      }
+
+      stats.retries++;
+      const delay = backoffDelay(attempt, reason);
+      console.error(`Scheduler(${name}): Retrying after ${delay}ms (attempt ${attempt + 1}/${retries}): ${error.message}`);
+      await sleep(delay);
+    }
+  }
+
+  return {
+    schedule,
+    get stats() {
+      return { ...stats, active, queued: waiting.length };
+    }
+  };
+}
+
+// Run a batch of sub-requests in parallel, keeping the successful results and
+// reporting the failed ones instead of silently dropping them
+async function settleSubRequests(items, request, describe = item => item) {
+  const outcomes = await Promise.allSettled(items.map(item => request(item)));
+  const results = [];
+  const failures = [];
+
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === "fulfilled") {
+      results.push(outcome.value);
+    } else {
+      failures.push({
+        item: describe(items[index]),
+        error: toError(outcome.reason).message
+      });
+    }
+  });
+
+  return {
+    results,
+    report: {
+      total: items.length,
+      succeeded: results.length,
+      failed: failures.length,
+      failures
+    }
+  };
+}
+
+// Add up the reports of several batches of sub-requests
+function mergeSubRequestReports(...reports) {
+  return {
+    total: reports.reduce((sum, report) => sum + report.total, 0),
+    succeeded: reports.reduce((sum, report) => sum + report.succeeded, 0),
+    failed: reports.reduce((sum, report) => sum + report.failed, 0),
+    failures: reports.flatMap(report => report.failures)
+  };
+}
+
+// Read startup options from command line flags, falling back to environment variables
+function getStartupOptions(argv = process.argv.slice(2)) {
+  const flagValue = (name) => {
+    const index = argv.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return undefined;
+    const arg = argv[index];
+    return arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : argv[index + 1];
+  };
+
+  const useHttp = argv.includes("--http") || process.env.MCP_TRANSPORT === "http";
+
+  let scraperMode = process.env.MCP_SCRAPER_MODE || "live";
+  if (argv.includes("--record")) scraperMode = "record";
+  if (argv.includes("--replay")) scraperMode = "replay";
+
+  return {
+    transport: useHttp ? "http" : "stdio",
+    host: flagValue("host") || process.env.MCP_HTTP_HOST || "127.0.0.1",
+    port: parseInt(flagValue("port") || process.env.MCP_HTTP_PORT || "3000", 10),
+    allowedHosts: (process.env.MCP_HTTP_ALLOWED_HOSTS || "").split(",").map(name => name.trim()).filter(Boolean),
+    sessionTtl: parseInt(process.env.MCP_HTTP_SESSION_TTL || String(30 * 60 * 1000), 10),
+    scraperMode,
+    fixturesDir: path.resolve(flagValue("fixtures") || process.env.MCP_FIXTURES_DIR || "fixtures")
+  };
+}
+
+// Record every upstream HTTP response of the scraper libraries into fixture
+// files, or serve them back from those files without touching the network.
+// Each fixture is named after a hash of the request, so re-recording the same
+// call overwrites its fixture instead of adding a duplicate.
+async function setupScraperTraffic({ scraperMode, fixturesDir }) {
+  if (scraperMode === "live") return;
+
+  if (scraperMode !== "record" && scraperMode !== "replay") {
+    throw new Error(`Unknown scraper mode '${scraperMode}' (expected 'live', 'record' or 'replay')`);
+  }
+
+  const { default: nock } = await import("nock");
+
+  if (scraperMode === "record") {
+    await fs.mkdir(fixturesDir, { recursive: true });
+    nock.recorder.rec({ dont_print: true, output_objects: true });
+
+    // Written synchronously so that the final flush also works on exit
+    const flush = () => {
+      const definitions = nock.recorder.play();
+      nock.recorder.clear();
+
+      definitions.forEach(definition => {
+        const requestKey = `${definition.method} ${definition.scope}${definition.path} ${JSON.stringify(definition.body ?? "")}`;
+        const hash = createHash("sha256").update(requestKey).digest("hex").slice(0, 16);
+        const fileName = `${new URL(definition.scope).hostname}-${hash}.json`;
+        writeFileSync(path.join(fixturesDir, fileName), JSON.stringify(definition, null, 2));
+      });
+    };
+
+    // Signals end the process without an "exit" event unless handled, so both
+    // transports exit through process.exit() on SIGINT and SIGTERM
+    setInterval(flush, 1000).unref();
+    process.on("exit", flush);
+    console.error(`MCP Server: Recording scraper traffic to ${fixturesDir}`);
+    return;
+  }
+
+  const fileNames = (await fs.readdir(fixturesDir)).filter(name => name.endsWith(".json"));
+  const definitions = await Promise.all(fileNames.map(async name =>
+    JSON.parse(await fs.readFile(path.join(fixturesDir, name), "utf8"))
+  ));
+
+  // Fixtures can be served any number of times; unknown requests fail instead
+  // of reaching the network. Local connections (e.g. webhooks) stay allowed.
+  nock.define(definitions).forEach(scope => scope.persist());
+  nock.disableNetConnect();
+  nock.enableNetConnect(host => /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(host));
+  console.error(`MCP Server: Replaying ${definitions.length} recorded responses from ${fixturesDir}`);
+}
+
+// Helper to write a JSON response on a plain Node.js HTTP response
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Helper to read and parse a JSON request body (limited to 4 MB)
+function readJsonBody(req) {
+  const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > 4 * 1024 * 1024) {
+        reject(badRequest("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (err) {
+        reject(badRequest(`Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Whether a request names one of the server's own hosts, in its Host header
+// and in its Origin header when it has one. Web pages can otherwise reach a
+// local server through DNS rebinding and call its tools.
+function isAllowedHttpRequest(req, allowedHosts) {
+  const hostname = (value) => {
+    try {
+      return new URL(value).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+  };
+
+  if (!req.headers.host || !allowedHosts.has(hostname(`http://${req.headers.host}`))) return false;
+  return req.headers.origin === undefined || allowedHosts.has(hostname(req.headers.origin));
+}
+
+// Serve the MCP server over Streamable HTTP (/mcp) with the legacy SSE
+// transport (/sse + /messages) as a fallback for older clients
+async function startHttpServer({ host, port, allowedHosts = [], sessionTtl = 30 * MINUTE }) {
+  // Active sessions, keyed by session ID. Each session owns its own McpServer.
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+  let expiredSessions = 0;
+
+  const hosts = new Set(["localhost", "127.0.0.1", "[::1]", host.includes(":") ? `[${host}]` : host, ...allowedHosts]
+    .map(name => name.toLowerCase()));
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+    let session = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+    if (!session) {
+      if (sessionId) {
+        return sendJson(res, 404, {
+          jsonrpc: "2.0",
+          error: { code: -32001, message: "Session not found" },
+          id: null
+        });
+      }
+
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        return sendJson(res, 400, {
+          jsonrpc: "2.0",
+          error: { code: -32000, message: "Bad Request: No valid session ID provided" },
+          id: null
+        });
+      }
+
+      // New client: create a dedicated server and transport for the session
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (newSessionId) => {
+          streamableSessions.set(newSessionId, session);
+          console.error(`MCP Server: Streamable HTTP session ${newSessionId} initialized`);
+        }
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId && streamableSessions.delete(transport.sessionId)) {
+          console.error(`MCP Server: Streamable HTTP session ${transport.sessionId} closed`);
+        }
+      };
+
+      session = { server, transport, lastActivityAt: Date.now(), openStreams: 0 };
+      await server.connect(transport);
+    }
+
+    // A session with an open GET stream is in use even without new requests
+    session.lastActivityAt = Date.now();
+    if (req.method === "GET") {
+      const active = session;
+      active.openStreams++;
+      res.on("close", () => {
+        active.openStreams--;
+        active.lastActivityAt = Date.now();
+      });
+    }
+
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  // Close the Streamable HTTP sessions of clients that went away without
+  // sending DELETE, after sessionTtl without requests
+  const sessionSweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtl;
+    for (const [sessionId, session] of streamableSessions) {
+      if (session.openStreams > 0 || session.lastActivityAt > cutoff) continue;
+
+      streamableSessions.delete(sessionId);
+      expiredSessions++;
+      console.error(`MCP Server: Streamable HTTP session ${sessionId} expired`);
+      session.server.close()
+        .catch(err => console.error(`MCP Server: Error closing session ${sessionId}:`, err.message));
+    }
+  }, Math.min(sessionTtl, MINUTE));
+  sessionSweep.unref();
+
+  async function handleSseConnection(req, res) {
+    const server = createServer();
+    const transport = new SSEServerTransport("/messages", res);
+    sseSessions.set(transport.sessionId, { server, transport });
+    console.error(`MCP Server: SSE session ${transport.sessionId} opened`);
+
+    res.on("close", () => {
+      sseSessions.delete(transport.sessionId);
+      console.error(`MCP Server: SSE session ${transport.sessionId} closed`);
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = sseSessions.get(url.searchParams.get("sessionId"));
+
+    if (!session) {
+      return sendJson(res, 404, {
+        jsonrpc: "2.0",
+        error: { code: -32001, message: "Session not found" },
+        id: null
+      });
+    }
+
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${host.includes(":") ? `[${host}]` : host}:${port}`);
+
+    try {
+      if (!isAllowedHttpRequest(req, hosts)) {
+        return sendJson(res, 403, {
+          jsonrpc: "2.0",
+          error: { code: -32000, message: "Forbidden: Host or Origin not allowed" },
+          id: null
+        });
+      }
+
+      if (url.pathname === "/health" && req.method === "GET") {
+        return sendJson(res, 200, {
+          status: "ok",
+          name: "mcp-appstore",
+          version: "1.0.0",
+          uptime: Math.round(process.uptime()),
+          sessions: {
+            streamableHttp: streamableSessions.size,
+            sse: sseSessions.size,
+            expired: expiredSessions
+          },
+          scheduler: {
+            gplay: gplayScheduler.stats,
+            appstore: appStoreScheduler.stats
+          }
+        });
+      }
+
+      if (url.pathname === "/mcp") {
+        return await handleStreamableRequest(req, res);
+      }
+
+      if (url.pathname === "/sse" && req.method === "GET") {
+        return await handleSseConnection(req, res);
+      }
+
+      if (url.pathname === "/messages" && req.method === "POST") {
+        return await handleSseMessage(req, res, url);
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      console.error(`MCP Server: Error handling ${req.method} ${url.pathname}:`, error);
+      if (!res.headersSent) {
+        const statusCode = error.statusCode || 500;
+        sendJson(res, statusCode, {
+          jsonrpc: "2.0",
+          error: { code: statusCode === 400 ? -32700 : -32603, message: error.message },
+          id: null
+        });
+      }
+    }
+  });
+
+  // Close every session and stop accepting connections on shutdown
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    clearInterval(sessionSweep);
+    console.error(`MCP Server: Received ${signal}, shutting down...`);
+
+    const sessions = [...streamableSessions.values(), ...sseSessions.values()];
+    await Promise.allSettled(sessions.map(({ server }) => server.close()));
+
+    httpServer.close(() => process.exit(0));
+    httpServer.closeAllConnections?.();
+    // Force exit if connections refuse to close in time
+    setTimeout(() => process.exit(0), 5000).unref();
+  };
+
+  process.once("SIGINT", () => shutdown("SIGINT"));
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  console.error(`MCP Server: Listening on http://${host}:${port} (Streamable HTTP at /mcp, SSE at /sse, health at /health)`);
+  return httpServer;
+}
+
+// Start the server
+async function main() {
+  try {
+    await setupScraperTraffic(startupOptions);
+  } catch (error) {
+    console.error("MCP Server: FATAL ERROR during startup:", error);
+    process.exit(1);
+  }
+
+  startBackgroundMonitor();
+
+  if (startupOptions.transport === "http") {
+    try {
+      await startHttpServer(startupOptions);
+    } catch (error) {
+      console.error("MCP Server: FATAL ERROR during startup:", error);
+      process.exit(1);
+    }
+    return;
+  }
+
+  try {
+    const server = createServer();
+    const transport = new StdioServerTransport();
+    console.error("MCP Server: Main function started.");
+    
+    // Configure transport to handle messages through the server
+    transport.onmessage = async (message) => {
+      try {
+        console.error(`MCP Server: Processing message: ${JSON.stringify(message)}`);
+        const response = await server.handleMessage(message);
+        console.error(`MCP Server: Sent response: ${JSON.stringify(response)}`);
+      } catch (err) {
+        console.error(`MCP Server: Error handling message:`, err);
+        // Send error response back to client
+        transport.send({
+          type: "error",
+          error: err.message,
+          requestId: message.requestId
+        });
+      }
+    };
+    
+    console.error("MCP Server: StdioServerTransport created and configured.");
+
+    // Exit explicitly on signals so that "exit" handlers, such as the final
+    // flush of recorded fixtures, still run
+    process.once("SIGINT", () => process.exit(0));
+    process.once("SIGTERM", () => process.exit(0));
+
+    await server.connect(transport);
+    console.error("MCP Server: Connection established. Server info:", server.serverInfo);
+    // Log available tools using the tools capability
+    if (server.capabilities?.tools?.list) {
+      const tools = await server.capabilities.tools.list();
+      console.error("MCP Server: Available tools:", tools);
+    }
+  } catch (error) {
+    console.error("MCP Server: FATAL ERROR during startup:", error);
+    process.exit(1);
+  }
+}
+
+// Exported for the unit tests
+export {
+  buildCacheKey,
+  createMemoryCacheStore,
+  createCachedClient,
+  createRequestScheduler,
+  createASOClient,
+  appStoreScheduler,
+  validateCountry,
+  ERROR_CODES,
+  computeKeywordScores,
+  comparePermissions,
+  findPrices,
+  parsePriceRange,
+  decodePng,
+  differenceHash,
+  iconSimilarity,
+  iconThumbnailUrl,
+  downloadBuffer,
+  scoreCounterpart,
+  cachedAppStore,
+  syncReviewCorpus,
+  summarizeReviewCorpus,
+  fetchIosReviews
+};
+
+// Start the server only when run directly, not when imported by the tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -16,6 +16,7 @@
  */
 
 import assert from 'assert';
+import http from 'http';
 import { Client } from './node_modules/@modelcontextprotocol/sdk/dist/esm/client/index.js';
 import { StdioClientTransport } from './node_modules/@modelcontextprotocol/sdk/dist/esm/client/stdio.js';
 
@@ -54,9 +55,11 @@ async function runTests() {
   try {
     // Start the server and connect the client
     console.log('Connecting to MCP server...');
+    // Flags such as --record or --replay are passed through to the server,
+    // so the whole suite can be recorded once and then replayed offline
     transport = new StdioClientTransport({
       command: "node",
-      args: ["server.js"]
+      args: ["server.js", ...process.argv.slice(2)]
     });
     client = new Client(
       {
@@ -110,7 +113,24 @@ async function runTests() {
         "get_version_history",
         "get_similar_apps",
         "get_android_categories",
-        "get_keyword_scores"
+        "get_keyword_scores",
+        "get_top_charts",
+        "suggest_keywords",
+        "get_privacy_details",
+        "get_app_permissions",
+        "get_global_ratings",
+        "find_cross_platform_counterpart",
+        "compare_platforms",
+        "compare_apps",
+        "get_keyword_rank",
+        "get_keyword_rank_history",
+        "diff_app_listing",
+        "manage_watchlist",
+        "get_watchlist_events",
+        "manage_alert_rules",
+        "get_alert_history",
+        "sync_reviews",
+        "query_reviews"
       ];
       
       // Check each tool exists
@@ -403,6 +423,43 @@ async function runTests() {
       assert(typeof firstIosReview.text === 'string', "Review should have text");
       assert('hasDeveloperResponse' in firstIosReview, "Review should indicate if there's a developer response");
       
+      // Test paging with the continuation cursor
+      await wait(1000);
+      console.log('  Fetching the next page of Spotify\'s Android reviews...');
+      assert(androidRawReviewsData.nextCursor, "A cursor should be returned while more reviews are available");
+      const nextPageResult = await client.callTool({
+        name: "fetch_reviews",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android",
+          num: 20,
+          cursor: androidRawReviewsData.nextCursor
+        }
+      });
+      const nextPageData = JSON.parse(nextPageResult.content[0].text);
+      const firstPageIds = new Set(androidRawReviewsData.reviews.map(review => review.id));
+      
+      assert(nextPageData.count > 0, "The next page should not be empty");
+      assert(nextPageData.reviews.every(review => !firstPageIds.has(review.id)), "The next page should not repeat reviews");
+      
+      // Test iOS reviews across storefronts
+      await wait(1000);
+      console.log('  Fetching Facebook\'s iOS reviews from two storefronts...');
+      const storefrontReviewsResult = await client.callTool({
+        name: "fetch_reviews",
+        arguments: {
+          appId: IOS_APP_ID_REVIEWS,
+          platform: "ios",
+          countries: ["us", "gb"],
+          num: 600
+        }
+      });
+      const storefrontReviewsData = JSON.parse(storefrontReviewsResult.content[0].text);
+      
+      assert(storefrontReviewsData.countries, "Reviews should be counted per storefront");
+      assert(storefrontReviewsData.reviews.every(review => ["us", "gb"].includes(review.country)), "Each review should have its storefront");
+      assert(new Set(storefrontReviewsData.reviews.map(review => review.id)).size === storefrontReviewsData.count, "Reviews should not be duplicated");
+      
       console.log('✅ fetch_reviews tool test passed for both platforms');
     } catch (error) {
       console.error('❌ fetch_reviews test failed:', error.message);
@@ -433,6 +490,15 @@ async function runTests() {
       assert(androidPricingData.inAppPurchases, "In-app purchase info should be present");
       assert(androidPricingData.monetizationModel, "Monetization model should be present");
       
+      if (androidPricingData.inAppPurchases.priceRange) {
+        const { min, max } = androidPricingData.inAppPurchases;
+        assert(typeof min === 'number' && typeof max === 'number', "IAP range should be parsed into numbers");
+        assert(min <= max, "IAP range minimum should not exceed the maximum");
+      }
+      for (const item of androidPricingData.inAppPurchases.items) {
+        assert(typeof item.amount === 'number' && item.currency, "IAP items should have a numeric amount and currency");
+      }
+      
       // Test iOS pricing
       await wait(1000);
       console.log('  Getting pricing details for Spotify on iOS...');
@@ -453,6 +519,28 @@ async function runTests() {
       assert(iosPricingData.inAppPurchases, "In-app purchase info should be present");
       assert(iosPricingData.monetizationModel, "Monetization model should be present");
       
+      // Test the multi-country pricing matrix
+      await wait(1000);
+      console.log('  Getting a pricing matrix for Spotify on Android in three countries...');
+      const matrixResult = await client.callTool({
+        name: "get_pricing_details",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android",
+          countries: ["us", "de", "jp"],
+          referenceCurrency: "EUR"
+        }
+      });
+      
+      const matrixData = JSON.parse(matrixResult.content[0].text);
+      
+      assert(matrixData.referenceCurrency === "EUR", "Reference currency should be 'EUR'");
+      assert(Array.isArray(matrixData.countries), "Matrix countries should be an array");
+      assert(matrixData.countries.length + matrixData.subRequests.failed === 3, "Every country should be reported");
+      assert(matrixData.countries.every(row => row.isFree || typeof row.priceInReference === 'number' || row.priceInReference === null), "Prices should be converted when possible");
+      assert(Array.isArray(matrixData.anomalies), "Anomalies should be an array");
+      assert(matrixData.exchangeRates && matrixData.exchangeRates.source, "Exchange rate source should be reported");
+      
       console.log('✅ get_pricing_details tool test passed for both platforms');
     } catch (error) {
       console.error('❌ get_pricing_details test failed:', error.message);
@@ -557,10 +645,55 @@ async function runTests() {
       assert(Array.isArray(iosVersionData.history), "History should be an array");
       assert(iosVersionData.history.length > 0, "History should have at least one entry");
       
+      assert(iosVersionData.cadence && iosVersionData.cadence.releases > 0, "Release cadence should be computed");
+      assert(Array.isArray(iosVersionData.cadence.releasesPerQuarter), "Releases per quarter should be an array");
+      
       // Log the version info - helpful for debugging
       console.log(`  iOS version info: platform capabilities: ${JSON.stringify(iosVersionData.platformCapabilities)}`);
       console.log(`  iOS history entries: ${iosVersionData.history.length}`);
       
+      // Test iOS date range and limit filters
+      await wait(1000);
+      console.log('  Getting the last 3 releases of 2024 for Spotify on iOS...');
+      const iosFilteredResult = await client.callTool({
+        name: "get_version_history",
+        arguments: {
+          appId: IOS_APP_ID,
+          platform: "ios",
+          since: "2024-01-01",
+          until: "2024-12-31",
+          limit: 3
+        }
+      });
+      
+      const iosFilteredData = JSON.parse(iosFilteredResult.content[0].text);
+      
+      assert(iosFilteredData.history.length <= 3, "History should be limited to 3 entries");
+      assert(iosFilteredData.history.every(release => release.releaseDate.startsWith("2024")), "Releases should be within the date range");
+      assert(iosFilteredData.cadence.releases === iosFilteredData.metadata.versionsInRange, "Cadence should cover the whole date range");
+      
+      // Test changelog analysis
+      await wait(1000);
+      console.log('  Analyzing the changelogs of Spotify on iOS...');
+      const iosAnalysisResult = await client.callTool({
+        name: "get_version_history",
+        arguments: {
+          appId: IOS_APP_ID,
+          platform: "ios",
+          limit: 10,
+          analyzeChangelogs: true
+        }
+      });
+      
+      const iosAnalysisData = JSON.parse(iosAnalysisResult.content[0].text);
+      const categories = ["bug-fix", "feature", "performance", "ui", "monetization", "boilerplate"];
+      
+      assert(iosAnalysisData.history.every(release => release.analysis && Array.isArray(release.analysis.categories)), "Every release should be classified");
+      assert(iosAnalysisData.history.every(release => release.analysis.categories.every(category => categories.includes(category))), "Categories should be known ones");
+      assert(iosAnalysisData.changelogSummary, "Changelog summary should be included");
+      assert(typeof iosAnalysisData.changelogSummary.summary === 'string', "Summary text should be a string");
+      assert(iosAnalysisData.changelogSummary.releases === iosAnalysisData.metadata.versionsInRange, "Summary should cover the whole date range");
+      
       console.log('✅ get_version_history tool test passed for both platforms');
     } catch (error) {
       console.error('❌ get_version_history test failed:', error.message);
@@ -695,6 +828,19 @@ async function runTests() {
       assert(androidKeywordData.scores.difficulty.interpretation, "Difficulty interpretation should be present");
       assert(androidKeywordData.scores.traffic.interpretation, "Traffic interpretation should be present");
       
+      // A second call must agree (it is served from the cache; unit-test.js
+      // checks the scores themselves against fixed store data and a fixed clock)
+      const repeatedKeywordResult = await client.callTool({
+        name: "get_keyword_scores",
+        arguments: {
+          keyword: "music streaming",
+          platform: "android"
+        }
+      });
+      const repeatedKeywordData = JSON.parse(repeatedKeywordResult.content[0].text);
+      assert(repeatedKeywordData.scores.difficulty.score === androidKeywordData.scores.difficulty.score, "Difficulty score should be deterministic");
+      assert(repeatedKeywordData.scores.traffic.score === androidKeywordData.scores.traffic.score, "Traffic score should be deterministic");
+      
       // Test keyword scores for iOS
       await wait(1000);
       console.log('  Getting keyword scores for "music streaming" on iOS...');
@@ -723,6 +869,790 @@ async function runTests() {
       failedTests.push('get_keyword_scores');
     }
     
+    // Test 14: Test structured error responses
+    try {
+      console.log('\nTest 14: Test structured error responses');
+      await wait(1000);
+      
+      console.log('  Requesting an app with an invalid country code...');
+      const invalidCountryResult = await client.callTool({
+        name: "get_app_details",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android",
+          country: "zz"
+        }
+      });
+      
+      // Parse the result
+      const invalidCountryData = JSON.parse(invalidCountryResult.content[0].text);
+      
+      assert(invalidCountryResult.isError === true, "Result should be flagged as an error");
+      assert(invalidCountryData.code === "INVALID_INPUT", "Error code should be 'INVALID_INPUT'");
+      assert(invalidCountryData.retryable === false, "Invalid input should not be retryable");
+      assert(Array.isArray(invalidCountryData.suggestions), "Suggestions should be an array");
+      
+      await wait(1000);
+      console.log('  Requesting an app that does not exist...');
+      const notFoundResult = await client.callTool({
+        name: "get_app_details",
+        arguments: {
+          appId: "com.example.this.app.does.not.exist",
+          platform: "android"
+        }
+      });
+      
+      // Parse the result
+      const notFoundData = JSON.parse(notFoundResult.content[0].text);
+      
+      assert(notFoundResult.isError === true, "Result should be flagged as an error");
+      assert(notFoundData.code === "NOT_FOUND", "Error code should be 'NOT_FOUND'");
+      assert(notFoundData.upstream && notFoundData.upstream.method === "app", "Failed upstream call should be reported");
+      
+      console.log('✅ Structured error test passed');
+    } catch (error) {
+      console.error('❌ Structured error test failed:', error.message);
+      failedTests.push('structured errors');
+    }
+    
+    // Test 15: Test get_top_charts tool
+    try {
+      console.log('\nTest 15: Test get_top_charts tool');
+      await wait(1000);
+      
+      // Test Android top grossing games
+      console.log('  Getting top grossing games on Android...');
+      const androidChartResult = await client.callTool({
+        name: "get_top_charts",
+        arguments: {
+          platform: "android",
+          collection: "top_grossing",
+          category: "GAME",
+          num: 10
+        }
+      });
+      
+      // Parse the result
+      const androidChartData = JSON.parse(androidChartResult.content[0].text);
+      
+      assert(androidChartData.platform === "android", "Platform should be 'android'");
+      assert(androidChartData.collection === "top_grossing", "Collection should be 'top_grossing'");
+      assert(androidChartData.count > 0 && androidChartData.count <= 10, "Should return between 1 and 10 apps");
+      assert(androidChartData.results[0].rank === 1, "First app should be ranked 1");
+      assert(androidChartData.results[0].appId, "App should have an app ID");
+      assert(androidChartData.results[0].platform === "android", "App platform should be 'android'");
+      
+      // Test iOS top free apps in Germany
+      await wait(1000);
+      console.log('  Getting top free apps on iOS in Germany...');
+      const iosChartResult = await client.callTool({
+        name: "get_top_charts",
+        arguments: {
+          platform: "ios",
+          collection: "top_free",
+          country: "de",
+          num: 10
+        }
+      });
+      
+      // Parse the result
+      const iosChartData = JSON.parse(iosChartResult.content[0].text);
+      
+      assert(iosChartData.platform === "ios", "Platform should be 'ios'");
+      assert(iosChartData.country === "de", "Country should be 'de'");
+      assert(iosChartData.count > 0 && iosChartData.count <= 10, "Should return between 1 and 10 apps");
+      assert(iosChartData.results.every((app, index) => app.rank === index + 1), "Ranks should be sequential");
+      assert(iosChartData.results[0].platform === "ios", "App platform should be 'ios'");
+      
+      // iOS-only charts should be rejected on Android
+      await wait(1000);
+      console.log('  Requesting an iPad chart on Android...');
+      const invalidChartResult = await client.callTool({
+        name: "get_top_charts",
+        arguments: {
+          platform: "android",
+          collection: "top_free_ipad"
+        }
+      });
+      
+      const invalidChartData = JSON.parse(invalidChartResult.content[0].text);
+      
+      assert(invalidChartResult.isError === true, "iPad chart on Android should be an error");
+      assert(invalidChartData.code === "INVALID_INPUT", "Error code should be 'INVALID_INPUT'");
+      
+      console.log('✅ get_top_charts tool test passed for both platforms');
+    } catch (error) {
+      console.error('❌ get_top_charts test failed:', error.message);
+      failedTests.push('get_top_charts');
+    }
+    
+    // Test 16: Test suggest_keywords tool
+    try {
+      console.log('\nTest 16: Test suggest_keywords tool');
+      await wait(1000);
+      
+      // Test Android suggestions from autocomplete and similar apps
+      console.log('  Getting keyword suggestions for "music" on Android...');
+      const androidSuggestResult = await client.callTool({
+        name: "suggest_keywords",
+        arguments: {
+          platform: "android",
+          keywords: ["music"],
+          appId: ANDROID_APP_ID,
+          strategies: ["autocomplete", "similar"],
+          num: 20
+        }
+      });
+      
+      // Parse the result
+      const androidSuggestData = JSON.parse(androidSuggestResult.content[0].text);
+      
+      assert(androidSuggestData.platform === "android", "Platform should be 'android'");
+      assert(androidSuggestData.count > 0 && androidSuggestData.count <= 20, "Should return between 1 and 20 candidates");
+      assert(Array.isArray(androidSuggestData.suggestions), "Suggestions should be an array");
+      
+      const androidKeywords = androidSuggestData.suggestions.map(candidate => candidate.keyword);
+      assert(new Set(androidKeywords).size === androidKeywords.length, "Candidates should be de-duplicated");
+      assert(!androidKeywords.includes("music"), "Seed keywords should be left out");
+      
+      const firstCandidate = androidSuggestData.suggestions[0];
+      assert(["autocomplete", "similar"].includes(firstCandidate.source), "Candidate source should be a requested strategy");
+      assert(typeof firstCandidate.priority === 'number', "Candidate should have a priority index");
+      assert(firstCandidate.sources.length > 0, "Candidate should list its sources");
+      
+      // Test iOS autocomplete suggestions
+      await wait(1000);
+      console.log('  Getting keyword suggestions for "photo editor" on iOS...');
+      const iosSuggestResult = await client.callTool({
+        name: "suggest_keywords",
+        arguments: {
+          platform: "ios",
+          keywords: ["photo editor"],
+          strategies: ["autocomplete"]
+        }
+      });
+      
+      // Parse the result
+      const iosSuggestData = JSON.parse(iosSuggestResult.content[0].text);
+      
+      assert(iosSuggestData.platform === "ios", "Platform should be 'ios'");
+      assert(iosSuggestData.count > 0, "Should return at least one candidate");
+      assert(iosSuggestData.suggestions.every(candidate => candidate.source === "autocomplete"), "All candidates should come from autocomplete");
+      
+      // Strategies without their input should be rejected
+      await wait(1000);
+      console.log('  Requesting the category strategy without an app...');
+      const invalidSuggestResult = await client.callTool({
+        name: "suggest_keywords",
+        arguments: {
+          platform: "android",
+          keywords: ["music"],
+          strategies: ["category"]
+        }
+      });
+      
+      const invalidSuggestData = JSON.parse(invalidSuggestResult.content[0].text);
+      
+      assert(invalidSuggestResult.isError === true, "Missing strategy input should be an error");
+      assert(invalidSuggestData.code === "INVALID_INPUT", "Error code should be 'INVALID_INPUT'");
+      
+      console.log('✅ suggest_keywords tool test passed for both platforms');
+    } catch (error) {
+      console.error('❌ suggest_keywords test failed:', error.message);
+      failedTests.push('suggest_keywords');
+    }
+    
+    // Test 17: Test get_privacy_details tool
+    try {
+      console.log('\nTest 17: Test get_privacy_details tool');
+      await wait(1000);
+      
+      // Test Android data safety
+      console.log('  Getting data safety details for Spotify on Android...');
+      const androidPrivacyResult = await client.callTool({
+        name: "get_privacy_details",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android"
+        }
+      });
+      
+      // Parse the result
+      const androidPrivacyData = JSON.parse(androidPrivacyResult.content[0].text);
+      
+      assert(androidPrivacyData.appId === ANDROID_APP_ID, `App ID should be '${ANDROID_APP_ID}'`);
+      assert(Array.isArray(androidPrivacyData.dataCollected), "Collected data should be an array");
+      assert(Array.isArray(androidPrivacyData.dataShared), "Shared data should be an array on Android");
+      assert(androidPrivacyData.dataUsedForTracking === null, "Tracking is not disclosed on Android");
+      assert(androidPrivacyData.securityPractices && Array.isArray(androidPrivacyData.securityPractices.practices), "Security practices should be reported on Android");
+      assert(typeof androidPrivacyData.summary.collectedCount === 'number', "Summary should count collected data");
+      
+      // Test iOS privacy labels
+      await wait(1000);
+      console.log('  Getting privacy labels for Spotify on iOS...');
+      const iosPrivacyResult = await client.callTool({
+        name: "get_privacy_details",
+        arguments: {
+          appId: IOS_APP_ID,
+          platform: "ios"
+        }
+      });
+      
+      // Parse the result
+      const iosPrivacyData = JSON.parse(iosPrivacyResult.content[0].text);
+      
+      assert(iosPrivacyData.platform === "ios", "Platform should be 'ios'");
+      assert(Array.isArray(iosPrivacyData.dataCollected), "Collected data should be an array");
+      assert(Array.isArray(iosPrivacyData.dataUsedForTracking), "Tracking data should be an array on iOS");
+      assert(Array.isArray(iosPrivacyData.dataLinkedToIdentity), "Linked data should be an array on iOS");
+      assert(iosPrivacyData.dataShared === null, "Sharing is not disclosed on iOS");
+      
+      if (iosPrivacyData.dataCollected.length > 0) {
+        const firstItem = iosPrivacyData.dataCollected[0];
+        assert(firstItem.group, "Data item should have a shared group");
+        assert(typeof firstItem.linkedToIdentity === 'boolean', "Data item should tell whether it is linked to identity");
+      }
+      
+      console.log('✅ get_privacy_details tool test passed for both platforms');
+    } catch (error) {
+      console.error('❌ get_privacy_details test failed:', error.message);
+      failedTests.push('get_privacy_details');
+    }
+    
+    // Test 18: Test get_app_permissions tool
+    try {
+      console.log('\nTest 18: Test get_app_permissions tool');
+      await wait(1000);
+      
+      console.log('  Getting permissions for Spotify compared with a competitor...');
+      const permissionsResult = await client.callTool({
+        name: "get_app_permissions",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          compareWith: ["com.pandora.android"]
+        }
+      });
+      
+      // Parse the result
+      const permissionsData = JSON.parse(permissionsResult.content[0].text);
+      
+      assert(permissionsData.appId === ANDROID_APP_ID, `App ID should be '${ANDROID_APP_ID}'`);
+      assert(permissionsData.count > 0, "Should return at least one permission");
+      assert(Array.isArray(permissionsData.groups), "Groups should be an array");
+      assert(typeof permissionsData.riskCounts.dangerous === 'number', "Risk counts should be reported");
+      
+      const firstPermission = permissionsData.groups[0].permissions[0];
+      assert(firstPermission.permission, "Permission should have a description");
+      assert(["dangerous", "signature", "normal"].includes(firstPermission.risk), "Permission should have a risk level");
+      
+      assert(permissionsData.comparison, "Comparison should be included when competitors are given");
+      assert(Array.isArray(permissionsData.comparison.onlyInApp), "Permissions only in the app should be an array");
+      assert(Array.isArray(permissionsData.comparison.unusual), "Unusual permissions should be an array");
+      assert(permissionsData.subRequests.total === 1, "Competitor requests should be reported");
+      
+      console.log('✅ get_app_permissions tool test passed');
+    } catch (error) {
+      console.error('❌ get_app_permissions test failed:', error.message);
+      failedTests.push('get_app_permissions');
+    }
+    
+    // Test 19: Test get_global_ratings tool
+    try {
+      console.log('\nTest 19: Test get_global_ratings tool');
+      await wait(1000);
+      
+      console.log('  Getting Spotify ratings in four App Store storefronts...');
+      const globalRatingsResult = await client.callTool({
+        name: "get_global_ratings",
+        arguments: {
+          appId: IOS_APP_ID,
+          countries: ["us", "gb", "de", "jp"]
+        }
+      });
+      
+      // Parse the result
+      const globalRatingsData = JSON.parse(globalRatingsResult.content[0].text);
+      
+      assert(globalRatingsData.platform === "ios", "Platform should be 'ios'");
+      assert(Array.isArray(globalRatingsData.countries), "Countries should be an array");
+      assert(globalRatingsData.countries.length + globalRatingsData.subRequests.failed === 4, "Every storefront should be reported");
+      assert(globalRatingsData.global.ratings > 0, "Global rating count should be positive");
+      assert(globalRatingsData.global.average >= 1 && globalRatingsData.global.average <= 5, "Global average should be between 1 and 5");
+      
+      const totalFromCountries = globalRatingsData.countries.reduce((sum, entry) => sum + entry.ratings, 0);
+      assert(totalFromCountries === globalRatingsData.global.ratings, "Global count should be the sum of the storefronts");
+      
+      const firstCountry = globalRatingsData.countries[0];
+      assert(firstCountry.country && firstCountry.histogram, "Storefront should have a country and a histogram");
+      
+      console.log('✅ get_global_ratings tool test passed');
+    } catch (error) {
+      console.error('❌ get_global_ratings test failed:', error.message);
+      failedTests.push('get_global_ratings');
+    }
+    
+    // Test 20: Test find_cross_platform_counterpart tool
+    try {
+      console.log('\nTest 20: Test find_cross_platform_counterpart tool');
+      await wait(1000);
+      
+      console.log('  Finding the Android version of Spotify from its iOS app...');
+      const counterpartResult = await client.callTool({
+        name: "find_cross_platform_counterpart",
+        arguments: {
+          appId: IOS_APP_ID,
+          platform: "ios"
+        }
+      });
+      
+      // Parse the result
+      const counterpartData = JSON.parse(counterpartResult.content[0].text);
+      
+      assert(counterpartData.targetPlatform === "android", "Target platform should be 'android'");
+      assert(Array.isArray(counterpartData.candidates), "Candidates should be an array");
+      assert(counterpartData.bestMatch, "A best match should be found");
+      assert(counterpartData.bestMatch.appId === ANDROID_APP_ID, `Best match should be '${ANDROID_APP_ID}'`);
+      assert(counterpartData.bestMatch.confidence >= 0.6 && counterpartData.bestMatch.confidence <= 1, "Best match confidence should be between 0.6 and 1");
+      
+      for (let i = 1; i < counterpartData.candidates.length; i++) {
+        assert(counterpartData.candidates[i - 1].confidence >= counterpartData.candidates[i].confidence, "Candidates should be sorted by confidence");
+      }
+      
+      console.log('✅ find_cross_platform_counterpart tool test passed');
+    } catch (error) {
+      console.error('❌ find_cross_platform_counterpart test failed:', error.message);
+      failedTests.push('find_cross_platform_counterpart');
+    }
+    
+    // Test 21: Test compare_platforms tool
+    try {
+      console.log('\nTest 21: Test compare_platforms tool');
+      await wait(1000);
+      
+      console.log('  Comparing Spotify on iOS and Android...');
+      const comparePlatformsResult = await client.callTool({
+        name: "compare_platforms",
+        arguments: {
+          iosAppId: IOS_APP_ID,
+          androidAppId: ANDROID_APP_ID
+        }
+      });
+      
+      // Parse the result
+      const comparePlatformsData = JSON.parse(comparePlatformsResult.content[0].text);
+      
+      assert(comparePlatformsData.ios.appId === IOS_APP_ID, `iOS app ID should be '${IOS_APP_ID}'`);
+      assert(comparePlatformsData.android.appId === ANDROID_APP_ID, `Android app ID should be '${ANDROID_APP_ID}'`);
+      assert(comparePlatformsData.comparison.rating, "Rating comparison should be present");
+      assert(comparePlatformsData.comparison.version, "Version comparison should be present");
+      assert(Array.isArray(comparePlatformsData.gaps), "Gaps should be an array");
+      
+      const { rating } = comparePlatformsData.comparison;
+      if (rating.ios !== null && rating.android !== null) {
+        assert(Math.abs(rating.difference - (rating.ios - rating.android)) < 0.011, "Rating difference should be iOS minus Android");
+      }
+      
+      console.log('✅ compare_platforms tool test passed');
+    } catch (error) {
+      console.error('❌ compare_platforms test failed:', error.message);
+      failedTests.push('compare_platforms');
+    }
+    
+    // Test 22: Test compare_apps tool
+    try {
+      console.log('\nTest 22: Test compare_apps tool');
+      await wait(1000);
+      
+      console.log('  Comparing Spotify on both stores with Deezer...');
+      const compareAppsResult = await client.callTool({
+        name: "compare_apps",
+        arguments: {
+          apps: [
+            { appId: ANDROID_APP_ID, platform: "android" },
+            { appId: "deezer.android.app", platform: "android" },
+            { appId: IOS_APP_ID, platform: "ios" }
+          ],
+          reviewSample: 20
+        }
+      });
+      
+      // Parse the result
+      const compareAppsData = JSON.parse(compareAppsResult.content[0].text);
+      
+      assert(Array.isArray(compareAppsData.apps), "Apps should be an array");
+      assert(compareAppsData.apps.length + compareAppsData.subRequests.apps.failed === 3, "Every app should be reported");
+      assert(compareAppsData.rankings.rating, "Rating ranking should be present");
+      assert(Array.isArray(compareAppsData.leaders.byApp), "Leaders by app should be an array");
+      
+      const ratingRanking = compareAppsData.rankings.rating;
+      for (let i = 1; i < ratingRanking.length; i++) {
+        assert(ratingRanking[i - 1].value >= ratingRanking[i].value, "Rating ranking should be sorted best first");
+      }
+      
+      const withSentiment = compareAppsData.apps.find(app => app.sentiment);
+      if (withSentiment) {
+        assert(withSentiment.sentiment.sampled <= 20, "Sentiment should use at most the requested review sample");
+      }
+      
+      console.log('✅ compare_apps tool test passed');
+    } catch (error) {
+      console.error('❌ compare_apps test failed:', error.message);
+      failedTests.push('compare_apps');
+    }
+    
+    // Test 23: Test get_keyword_rank tool
+    try {
+      console.log('\nTest 23: Test get_keyword_rank tool');
+      await wait(1000);
+      
+      console.log('  Getting Spotify\'s Android rank for two keywords...');
+      const keywordRankResult = await client.callTool({
+        name: "get_keyword_rank",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android",
+          keywords: ["spotify", "music"]
+        }
+      });
+      
+      // Parse the result
+      const keywordRankData = JSON.parse(keywordRankResult.content[0].text);
+      
+      assert(keywordRankData.depth === 250, "Android depth should default to 250");
+      assert(Array.isArray(keywordRankData.rankings), "Rankings should be an array");
+      
+      const brandRank = keywordRankData.rankings.find(entry => entry.keyword === "spotify");
+      assert(brandRank, "The brand keyword should be ranked");
+      assert(brandRank.rank !== null && brandRank.rank <= 3, "Spotify should rank near the top for its own name");
+      assert(brandRank.above.length === brandRank.rank - 1, "Every app above the app should be listed");
+      
+      console.log('✅ get_keyword_rank tool test passed');
+    } catch (error) {
+      console.error('❌ get_keyword_rank test failed:', error.message);
+      failedTests.push('get_keyword_rank');
+    }
+    
+    // Test 24: Test get_keyword_rank_history tool
+    try {
+      console.log('\nTest 24: Test get_keyword_rank_history tool');
+      
+      // Test 23 recorded a snapshot for each of its keywords
+      console.log('  Getting Spotify\'s rank history for "spotify"...');
+      const rankHistoryResult = await client.callTool({
+        name: "get_keyword_rank_history",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android",
+          keyword: "Spotify"
+        }
+      });
+      
+      // Parse the result
+      const rankHistoryData = JSON.parse(rankHistoryResult.content[0].text);
+      
+      assert(rankHistoryData.keyword === "spotify", "Keyword should be normalized to lowercase");
+      assert(rankHistoryData.stats.snapshots >= 1, "At least one snapshot should be recorded");
+      assert(Array.isArray(rankHistoryData.daily) && rankHistoryData.daily.length >= 1, "Daily history should have at least one day");
+      assert(rankHistoryData.stats.latest, "Latest snapshot should be present");
+      
+      if (rankHistoryData.stats.best) {
+        assert(rankHistoryData.stats.best.position <= rankHistoryData.stats.worst.position, "Best rank should not be worse than the worst rank");
+      }
+      
+      console.log('  Getting an overview of all tracked keywords...');
+      const overviewResult = await client.callTool({
+        name: "get_keyword_rank_history",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android"
+        }
+      });
+      
+      const overviewData = JSON.parse(overviewResult.content[0].text);
+      assert(overviewData.keywords.some(entry => entry.keyword === "spotify"), "Overview should list the tracked keyword");
+      
+      console.log('✅ get_keyword_rank_history tool test passed');
+    } catch (error) {
+      console.error('❌ get_keyword_rank_history test failed:', error.message);
+      failedTests.push('get_keyword_rank_history');
+    }
+    
+    // Test 25: Test diff_app_listing tool
+    try {
+      console.log('\nTest 25: Test diff_app_listing tool');
+      await wait(1000);
+      
+      // Earlier get_app_details calls snapshotted the listing
+      console.log('  Diffing Spotify\'s Android listing against its last snapshot...');
+      const diffListingResult = await client.callTool({
+        name: "diff_app_listing",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android"
+        }
+      });
+      
+      // Parse the result
+      const diffListingData = JSON.parse(diffListingResult.content[0].text);
+      
+      assert(diffListingData.to, "The latest snapshot should be present");
+      assert(diffListingData.totalSnapshots >= 1, "At least one snapshot should be recorded");
+      assert(Array.isArray(diffListingData.changes), "Changes should be an array");
+      assert(Array.isArray(diffListingData.snapshots), "Snapshots should be an array");
+      
+      if (diffListingData.from) {
+        assert(Date.parse(diffListingData.from.timestamp) <= Date.parse(diffListingData.to.timestamp), "'from' should not be newer than 'to'");
+        assert(diffListingData.changed === (diffListingData.changes.length > 0), "'changed' should match the list of changes");
+      }
+      
+      console.log('✅ diff_app_listing tool test passed');
+    } catch (error) {
+      console.error('❌ diff_app_listing test failed:', error.message);
+      failedTests.push('diff_app_listing');
+    }
+    
+    // Test 26: Test manage_watchlist tool
+    try {
+      console.log('\nTest 26: Test manage_watchlist tool');
+      await wait(1000);
+      
+      console.log('  Adding Spotify and a keyword rank to a watchlist...');
+      const addWatchlistResult = await client.callTool({
+        name: "manage_watchlist",
+        arguments: {
+          action: "add",
+          watchlist: "test-watchlist",
+          apps: [{ appId: ANDROID_APP_ID, platform: "android" }],
+          keywords: [{ appId: ANDROID_APP_ID, platform: "android", keyword: "music" }]
+        }
+      });
+      
+      // Parse the result
+      const addWatchlistData = JSON.parse(addWatchlistResult.content[0].text);
+      
+      assert(addWatchlistData.watchlist.name === "test-watchlist", "The watchlist should be returned");
+      assert(addWatchlistData.watchlist.resourceUri === "watchlist://test-watchlist/events", "The watchlist should have an events resource");
+      assert(addWatchlistData.watchlist.items.length === 2, "Both items should be in the watchlist");
+      
+      console.log('  Refreshing the watchlist...');
+      const refreshWatchlistResult = await client.callTool({
+        name: "manage_watchlist",
+        arguments: { action: "refresh", watchlist: "test-watchlist" }
+      });
+      const refreshWatchlistData = JSON.parse(refreshWatchlistResult.content[0].text);
+      
+      assert(Array.isArray(refreshWatchlistData.events), "Detected events should be an array");
+      assert(refreshWatchlistData.watchlist.lastRefreshedAt, "The refresh time should be recorded");
+      refreshWatchlistData.watchlist.items
+        .filter(item => !item.lastError)
+        .forEach(item => assert(item.current, `Item ${item.id} should have a current state`));
+      
+      const resources = await client.listResources();
+      assert(resources.resources.some(resource => resource.uri === "watchlist://test-watchlist/events"), "The events resource should be listed");
+      
+      console.log('  Deleting the watchlist...');
+      const deleteWatchlistResult = await client.callTool({
+        name: "manage_watchlist",
+        arguments: { action: "delete", watchlist: "test-watchlist" }
+      });
+      assert(!deleteWatchlistResult.isError, "The watchlist should be deleted");
+      
+      console.log('✅ manage_watchlist tool test passed');
+    } catch (error) {
+      console.error('❌ manage_watchlist test failed:', error.message);
+      failedTests.push('manage_watchlist');
+    }
+    
+    // Test 27: Test get_watchlist_events tool
+    try {
+      console.log('\nTest 27: Test get_watchlist_events tool');
+      await wait(1000);
+      
+      console.log('  Getting recent version and rank changes...');
+      const watchlistEventsResult = await client.callTool({
+        name: "get_watchlist_events",
+        arguments: {
+          types: ["new_version", "rank_change"],
+          limit: 10
+        }
+      });
+      
+      // Parse the result
+      const watchlistEventsData = JSON.parse(watchlistEventsResult.content[0].text);
+      
+      assert(Array.isArray(watchlistEventsData.events), "Events should be an array");
+      assert(watchlistEventsData.events.length <= 10, "The limit should be applied");
+      watchlistEventsData.events.forEach(event => {
+        assert(["new_version", "rank_change"].includes(event.type), "Only the requested event types should be returned");
+      });
+      
+      console.log('✅ get_watchlist_events tool test passed');
+    } catch (error) {
+      console.error('❌ get_watchlist_events test failed:', error.message);
+      failedTests.push('get_watchlist_events');
+    }
+    
+    // Test 28: Test manage_alert_rules tool
+    try {
+      console.log('\nTest 28: Test manage_alert_rules tool');
+      await wait(1000);
+      
+      // A local webhook receiver that records the alerts posted to it
+      const received = [];
+      const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          res.writeHead(204);
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      const webhookUrl = `http://127.0.0.1:${receiver.address().port}/alerts`;
+      
+      try {
+        // Every app is rated below 5, so the rule triggers on its first evaluation
+        console.log('  Adding a rating rule for Spotify...');
+        const addRuleResult = await client.callTool({
+          name: "manage_alert_rules",
+          arguments: {
+            action: "add",
+            rule: "test-rating",
+            condition: "rating_below",
+            appId: ANDROID_APP_ID,
+            platform: "android",
+            threshold: 5,
+            webhookUrl
+          }
+        });
+        const addRuleData = JSON.parse(addRuleResult.content[0].text);
+        assert(addRuleData.rule.name === "test-rating", "The rule should be returned");
+        
+        console.log('  Evaluating the rule twice...');
+        const evaluateArgs = { action: "evaluate", rule: "test-rating" };
+        const firstResult = await client.callTool({ name: "manage_alert_rules", arguments: evaluateArgs });
+        const firstData = JSON.parse(firstResult.content[0].text);
+        
+        assert(firstData.alerts.length === 1, "The first evaluation should raise an alert");
+        assert(firstData.alerts[0].delivery.status === "delivered", "The alert should be delivered to the webhook");
+        assert(received.some(alert => alert.type === "alert" && alert.id === firstData.alerts[0].id), "The receiver should get the alert");
+        
+        const secondResult = await client.callTool({ name: "manage_alert_rules", arguments: evaluateArgs });
+        const secondData = JSON.parse(secondResult.content[0].text);
+        
+        assert(secondData.alerts.length === 0, "An active alert should not be raised again");
+        assert(secondData.results[0].suppressed.some(entry => entry.reason === "active"), "The alert should be suppressed as active");
+        
+        const testResult = await client.callTool({
+          name: "manage_alert_rules",
+          arguments: { action: "test", rule: "test-rating" }
+        });
+        assert(JSON.parse(testResult.content[0].text).delivery.status === "delivered", "The test alert should be delivered");
+        assert(received.some(alert => alert.type === "test"), "The receiver should get the test alert");
+        
+        await client.callTool({
+          name: "manage_alert_rules",
+          arguments: { action: "remove", rule: "test-rating" }
+        });
+      } finally {
+        receiver.close();
+      }
+      
+      console.log('✅ manage_alert_rules tool test passed');
+    } catch (error) {
+      console.error('❌ manage_alert_rules test failed:', error.message);
+      failedTests.push('manage_alert_rules');
+    }
+    
+    // Test 29: Test get_alert_history tool
+    try {
+      console.log('\nTest 29: Test get_alert_history tool');
+      await wait(1000);
+      
+      console.log('  Getting the alerts of the rating rule...');
+      const alertHistoryResult = await client.callTool({
+        name: "get_alert_history",
+        arguments: {
+          rule: "test-rating",
+          limit: 10
+        }
+      });
+      
+      // Parse the result
+      const alertHistoryData = JSON.parse(alertHistoryResult.content[0].text);
+      
+      assert(Array.isArray(alertHistoryData.alerts), "Alerts should be an array");
+      assert(alertHistoryData.alerts.length >= 1, "The alert raised by the rating rule should be recorded");
+      alertHistoryData.alerts.forEach(alert => {
+        assert(alert.rule === "test-rating", "Only alerts of the requested rule should be returned");
+        assert(alert.delivery, "Each alert should have its delivery status");
+      });
+      
+      console.log('✅ get_alert_history tool test passed');
+    } catch (error) {
+      console.error('❌ get_alert_history test failed:', error.message);
+      failedTests.push('get_alert_history');
+    }
+    
+    // Test 30: Test sync_reviews tool
+    try {
+      console.log('\nTest 30: Test sync_reviews tool');
+      await wait(1000);
+      
+      console.log('  Syncing Spotify\'s Android reviews twice...');
+      const syncArgs = { appId: ANDROID_APP_ID, platform: "android", maxReviews: 100 };
+      const firstSyncResult = await client.callTool({ name: "sync_reviews", arguments: syncArgs });
+      const firstSyncData = JSON.parse(firstSyncResult.content[0].text);
+      
+      assert(firstSyncData.fetched <= 100, "A sync should not download more than maxReviews");
+      assert(firstSyncData.corpus.reviews >= firstSyncData.added, "The corpus should hold the added reviews");
+      assert(["last_seen", "end", "max_reviews", "error"].includes(firstSyncData.stoppedBy), "The sync should say why it stopped");
+      
+      const secondSyncResult = await client.callTool({ name: "sync_reviews", arguments: syncArgs });
+      const secondSyncData = JSON.parse(secondSyncResult.content[0].text);
+      
+      assert(secondSyncData.stoppedBy === "last_seen", "The next sync should stop at the reviews of the last one");
+      assert(secondSyncData.corpus.reviews === firstSyncData.corpus.reviews + secondSyncData.added, "Only new reviews should be added");
+      
+      console.log('✅ sync_reviews tool test passed');
+    } catch (error) {
+      console.error('❌ sync_reviews test failed:', error.message);
+      failedTests.push('sync_reviews');
+    }
+    
+    // Test 31: Test query_reviews tool
+    try {
+      console.log('\nTest 31: Test query_reviews tool');
+      await wait(1000);
+      
+      console.log('  Querying the negative reviews of Spotify\'s corpus...');
+      const queryReviewsResult = await client.callTool({
+        name: "query_reviews",
+        arguments: {
+          appId: ANDROID_APP_ID,
+          platform: "android",
+          maxScore: 2,
+          limit: 10
+        }
+      });
+      
+      // Parse the result
+      const queryReviewsData = JSON.parse(queryReviewsResult.content[0].text);
+      
+      assert(queryReviewsData.corpus.reviews > 0, "The corpus should hold the synced reviews");
+      assert(queryReviewsData.reviews.length <= 10, "The limit should be applied");
+      assert(queryReviewsData.summary.reviews === queryReviewsData.total, "The summary should cover every matching review");
+      queryReviewsData.reviews.forEach(review => {
+        assert(review.score <= 2, "Only reviews with at most 2 stars should be returned");
+      });
+      
+      console.log('✅ query_reviews tool test passed');
+    } catch (error) {
+      console.error('❌ query_reviews test failed:', error.message);
+      failedTests.push('query_reviews');
+    }
+    
   } catch (error) {
     console.error('Error during test execution:', error);
   } finally {
@@ -764,6 +1694,7 @@ function getMinimalArgs(toolName) {
     case 'get_pricing_details':
     case 'get_version_history':
     case 'get_similar_apps':
+    case 'get_privacy_details':
       return { appId: ANDROID_APP_ID, platform: 'android' };
     case 'analyze_top_keywords':
       return { keyword: 'test', platform: 'android' };
@@ -773,6 +1704,38 @@ function getMinimalArgs(toolName) {
       return {};
     case 'get_keyword_scores':
       return { keyword: 'music streaming', platform: 'android' };
+    case 'get_top_charts':
+      return { platform: 'android', collection: 'top_free', num: 1 };
+    case 'suggest_keywords':
+      return { keywords: ['music'], platform: 'android', strategies: ['autocomplete'] };
+    case 'get_app_permissions':
+      return { appId: ANDROID_APP_ID };
+    case 'get_global_ratings':
+      return { appId: IOS_APP_ID, countries: ['us'] };
+    case 'find_cross_platform_counterpart':
+      return { appId: IOS_APP_ID, platform: 'ios', num: 1 };
+    case 'compare_platforms':
+      return { iosAppId: IOS_APP_ID, androidAppId: ANDROID_APP_ID };
+    case 'compare_apps':
+      return { apps: [{ appId: ANDROID_APP_ID, platform: 'android' }, { appId: IOS_APP_ID, platform: 'ios' }], reviewSample: 0 };
+    case 'get_keyword_rank':
+      return { appId: ANDROID_APP_ID, platform: 'android', keywords: ['music'], depth: 10 };
+    case 'get_keyword_rank_history':
+      return { appId: ANDROID_APP_ID, platform: 'android' };
+    case 'diff_app_listing':
+      return { appId: ANDROID_APP_ID, platform: 'android', refresh: false };
+    case 'manage_watchlist':
+      return { action: 'list' };
+    case 'get_watchlist_events':
+      return {};
+    case 'manage_alert_rules':
+      return { action: 'list' };
+    case 'get_alert_history':
+      return {};
+    case 'sync_reviews':
+      return { appId: ANDROID_APP_ID, platform: 'android', maxReviews: 10 };
+    case 'query_reviews':
+      return { appId: ANDROID_APP_ID, platform: 'android', limit: 1 };
     default:
       return { platform: 'android' };
   }
@@ -0,0 +1,840 @@
+/**
+ * Unit tests for the App Store Scraper MCP server helpers
+ *
+ * Unlike test.js, these tests never reach the stores: they exercise the
+ * server's building blocks directly, with a controlled clock, so they are
+ * deterministic and run offline.
+ *
+ * Run with: node --test unit-test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+// Keep every store the server module creates in memory
+process.env.MCP_SCRAPER_MODE = 'replay';
+
+const { default: nock } = await import('nock');
+const {
+  buildCacheKey,
+  createMemoryCacheStore,
+  createCachedClient,
+  createRequestScheduler,
+  createASOClient,
+  appStoreScheduler,
+  validateCountry,
+  ERROR_CODES,
+  computeKeywordScores,
+  comparePermissions,
+  findPrices,
+  parsePriceRange,
+  decodePng,
+  differenceHash,
+  iconSimilarity,
+  downloadBuffer,
+  scoreCounterpart,
+  cachedAppStore,
+  syncReviewCorpus,
+  summarizeReviewCorpus,
+  fetchIosReviews
+} = await import('./server.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Serve the replay fixtures (see replay-test.js) to helpers that call the
+// stores, and keep the path of every request they make
+const FIXTURES_DIR = 'fixtures';
+const upstreamRequests = [];
+
+nock.disableNetConnect();
+nock.define(fs.readdirSync(FIXTURES_DIR)
+  .filter(name => name.endsWith('.json'))
+  .map(name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')))
+).forEach(scope => {
+  scope.persist();
+  scope.on('request', (req) => upstreamRequests.push(req.path));
+});
+
+/**
+ * Manually advanced clock. `sleep` advances it instead of waiting and records
+ * every delay it was asked for.
+ * @returns {{ now: Function, advance: Function, sleep: Function, sleeps: number[] }}
+ */
+function createClock(start = Date.UTC(2025, 0, 1)) {
+  let time = start;
+  const sleeps = [];
+  return {
+    now: () => time,
+    advance: (ms) => { time += ms; },
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      time += ms;
+    },
+    sleeps
+  };
+}
+
+// Scheduler that runs every task right away
+const immediateScheduler = { schedule: (task) => task() };
+
+/**
+ * Fake scraper whose `search` returns a new value on every call, or fails
+ * while `failing` is set
+ */
+function createFakeClient() {
+  const client = {
+    calls: 0,
+    failing: false,
+    sort: { NEWEST: 2 },
+    async search() {
+      client.calls++;
+      if (client.failing) throw Object.assign(new Error('Request failed with status code 503'), { status: 503 });
+      return `result ${client.calls}`;
+    }
+  };
+  return client;
+}
+
+function createTestClient({ maxEntries = 100, maxStale = 24 * HOUR, staleWhileRevalidate = false } = {}) {
+  const clock = createClock();
+  const client = createFakeClient();
+  const store = createMemoryCacheStore({ maxEntries });
+  const cached = createCachedClient('test', client, store, {
+    staleWhileRevalidate,
+    maxStale,
+    scheduler: immediateScheduler,
+    now: clock.now
+  });
+  return { clock, client, store, cached };
+}
+
+describe('buildCacheKey', () => {
+  it('ignores the order of object keys', () => {
+    assert.equal(
+      buildCacheKey('gplay', 'app', [{ appId: 'a', country: 'us' }]),
+      buildCacheKey('gplay', 'app', [{ country: 'us', appId: 'a' }])
+    );
+  });
+
+  it('ignores undefined values', () => {
+    assert.equal(
+      buildCacheKey('gplay', 'app', [{ appId: 'a', lang: undefined }]),
+      buildCacheKey('gplay', 'app', [{ appId: 'a' }])
+    );
+  });
+});
+
+describe('createMemoryCacheStore', () => {
+  it('evicts the least recently written entries beyond maxEntries', async () => {
+    const store = createMemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    await store.set('a', { value: 3 }); // "a" is now the most recent entry
+    await store.set('c', { value: 4 });
+
+    assert.equal(await store.get('b'), null);
+    assert.deepEqual(await store.get('a'), { value: 3 });
+    assert.deepEqual(await store.get('c'), { value: 4 });
+  });
+});
+
+describe('createCachedClient', () => {
+  it('passes constants through and serves fresh entries from the cache', async () => {
+    const { clock, client, cached } = createTestClient();
+
+    assert.deepEqual(cached.sort, { NEWEST: 2 });
+    assert.equal(await cached.search({ term: 'music' }), 'result 1');
+    clock.advance(HOUR - 1);
+    assert.equal(await cached.search({ term: 'music' }), 'result 1');
+    assert.equal(client.calls, 1);
+  });
+
+  it('refetches entries once their TTL has passed', async () => {
+    const { clock, client, cached } = createTestClient();
+
+    await cached.search({ term: 'music' });
+    clock.advance(HOUR);
+    assert.equal(await cached.search({ term: 'music' }), 'result 2');
+    assert.equal(client.calls, 2);
+  });
+
+  it('refetches entries evicted from the store', async () => {
+    const { client, cached } = createTestClient({ maxEntries: 1 });
+
+    await cached.search({ term: 'music' });
+    await cached.search({ term: 'podcast' });
+    assert.equal(await cached.search({ term: 'music' }), 'result 3');
+    assert.equal(client.calls, 3);
+  });
+
+  it('serves expired entries when the store fails, up to maxStale', async () => {
+    const { clock, client, cached } = createTestClient({ maxStale: 2 * HOUR });
+
+    await cached.search({ term: 'music' });
+    client.failing = true;
+
+    clock.advance(HOUR + 2 * HOUR);
+    assert.equal(await cached.search({ term: 'music' }), 'result 1');
+
+    clock.advance(1);
+    await assert.rejects(cached.search({ term: 'music' }), (error) => {
+      assert.match(error.message, /503/);
+      assert.deepEqual(error.upstream, { store: 'test', method: 'search', params: { term: 'music' } });
+      return true;
+    });
+  });
+
+  it('does not cache failed calls', async () => {
+    const { client, cached } = createTestClient();
+
+    client.failing = true;
+    await assert.rejects(cached.search({ term: 'music' }));
+    client.failing = false;
+    assert.equal(await cached.search({ term: 'music' }), 'result 2');
+  });
+
+  it('serves expired entries and refreshes them in the background with staleWhileRevalidate', async () => {
+    const { clock, client, cached } = createTestClient({ staleWhileRevalidate: true });
+
+    await cached.search({ term: 'music' });
+    clock.advance(HOUR);
+    assert.equal(await cached.search({ term: 'music' }), 'result 1');
+
+    // Let the background refresh finish
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(client.calls, 2);
+    assert.equal(await cached.search({ term: 'music' }), 'result 2');
+    assert.equal(client.calls, 2);
+  });
+
+  it('fetches entries older than maxStale synchronously with staleWhileRevalidate', async () => {
+    const { clock, client, cached } = createTestClient({ staleWhileRevalidate: true, maxStale: HOUR });
+
+    await cached.search({ term: 'music' });
+    clock.advance(3 * HOUR);
+    assert.equal(await cached.search({ term: 'music' }), 'result 2');
+    assert.equal(client.calls, 2);
+  });
+
+  it('de-duplicates concurrent calls for the same key', async () => {
+    const { client, cached } = createTestClient();
+
+    const results = await Promise.all([cached.search({ term: 'music' }), cached.search({ term: 'music' })]);
+    assert.deepEqual(results, ['result 1', 'result 1']);
+    assert.equal(client.calls, 1);
+  });
+
+  it('always calls the store through fresh and refreshes the cached entry', async () => {
+    const { client, cached } = createTestClient();
+
+    await cached.search({ term: 'music' });
+    assert.equal(await cached.fresh.search({ term: 'music' }), 'result 2');
+    assert.deepEqual(cached.fresh.sort, { NEWEST: 2 });
+    assert.equal(await cached.search({ term: 'music' }), 'result 2');
+    assert.equal(client.calls, 2);
+  });
+
+  it('never serves stale entries through fresh', async () => {
+    const { clock, client, cached } = createTestClient();
+
+    await cached.search({ term: 'music' });
+    client.failing = true;
+    clock.advance(HOUR);
+    await assert.rejects(cached.fresh.search({ term: 'music' }), (error) => {
+      assert.deepEqual(error.upstream, { store: 'test', method: 'search', params: { term: 'music' } });
+      return true;
+    });
+    assert.equal(await cached.search({ term: 'music' }), 'result 1');
+  });
+});
+
+describe('createRequestScheduler', () => {
+  const createTestScheduler = (options = {}) => {
+    const clock = createClock();
+    const scheduler = createRequestScheduler('test', {
+      concurrency: 10,
+      ratePerSecond: 100,
+      burst: 100,
+      retries: 3,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      now: clock.now,
+      sleep: clock.sleep,
+      ...options
+    });
+    return { clock, scheduler };
+  };
+
+  const httpError = (status, headers = {}) => ({ response: { statusCode: status, headers } });
+
+  it('runs a burst right away and then waits for refilled tokens', async () => {
+    const { clock, scheduler } = createTestScheduler({ ratePerSecond: 2, burst: 2 });
+
+    for (let i = 0; i < 4; i++) {
+      await scheduler.schedule(async () => i);
+    }
+    // One token every 500ms once the burst of 2 is spent
+    assert.deepEqual(clock.sleeps, [500, 500]);
+  });
+
+  it('refills tokens with the time that passed between requests', async () => {
+    const { clock, scheduler } = createTestScheduler({ ratePerSecond: 1, burst: 1 });
+
+    await scheduler.schedule(async () => 1);
+    clock.advance(1000);
+    await scheduler.schedule(async () => 2);
+    assert.deepEqual(clock.sleeps, []);
+  });
+
+  it('caps the number of concurrent tasks', async () => {
+    const { scheduler } = createTestScheduler({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    const releases = [];
+
+    const task = () => new Promise(resolve => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      releases.push(() => {
+        running--;
+        resolve();
+      });
+    });
+
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    const done = Promise.all(Array.from({ length: 5 }, () => scheduler.schedule(task)));
+
+    await settle();
+    assert.equal(running, 2);
+    assert.equal(scheduler.stats.queued, 3);
+
+    // Finishing a task hands its slot to the next queued one
+    while (releases.length > 0) {
+      releases.shift()();
+      await settle();
+    }
+    await done;
+
+    assert.equal(maxRunning, 2);
+    assert.equal(scheduler.stats.succeeded, 5);
+    assert.equal(scheduler.stats.active, 0);
+  });
+
+  it('retries retryable errors with exponential backoff and jitter', async () => {
+    const { clock, scheduler } = createTestScheduler();
+    let attempts = 0;
+
+    const result = await scheduler.schedule(async () => {
+      if (++attempts < 4) throw httpError(503);
+      return 'ok';
+    });
+
+    assert.equal(result, 'ok');
+    assert.equal(clock.sleeps.length, 3);
+    clock.sleeps.forEach((delay, attempt) => {
+      const exponential = 1000 * 2 ** attempt;
+      assert.ok(delay >= exponential / 2 && delay <= exponential, `delay ${delay} of retry ${attempt + 1}`);
+    });
+    assert.equal(scheduler.stats.retries, 3);
+  });
+
+  it('honours Retry-After on throttled requests, capped at maxDelay', async () => {
+    const { clock, scheduler } = createTestScheduler({ maxDelay: 5000 });
+    const statuses = [httpError(429, { 'retry-after': '2' }), httpError(429, { 'retry-after': '60' })];
+
+    await scheduler.schedule(async () => {
+      if (statuses.length) throw statuses.shift();
+      return 'ok';
+    });
+
+    assert.deepEqual(clock.sleeps, [2000, 5000]);
+    assert.equal(scheduler.stats.throttled, 2);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const { clock, scheduler } = createTestScheduler({ retries: 2 });
+
+    await assert.rejects(scheduler.schedule(async () => { throw httpError(500); }), /status code 500/);
+    assert.equal(clock.sleeps.length, 2);
+    assert.equal(scheduler.stats.failed, 1);
+  });
+
+  it('does not retry other errors', async () => {
+    const { clock, scheduler } = createTestScheduler();
+    let attempts = 0;
+
+    await assert.rejects(scheduler.schedule(async () => {
+      attempts++;
+      throw httpError(404);
+    }), /status code 404/);
+    assert.equal(attempts, 1);
+    assert.deepEqual(clock.sleeps, []);
+  });
+});
+
+describe('createASOClient', () => {
+  it('sends the store calls of aso through the scheduler', async () => {
+    const scope = nock('https://itunes.apple.com')
+      .get('/lookup')
+      .query({ id: '1', country: 'us', entity: 'software' })
+      .reply(200, {
+        resultCount: 1,
+        results: [{ trackId: 1, trackName: 'Focus Timer', description: 'Pomodoro timer for deep work', genres: [], genreIds: [] }]
+      });
+    const scheduled = appStoreScheduler.stats.scheduled;
+
+    const keywords = await createASOClient('ios', { country: 'us' }).app('1');
+
+    assert.ok(keywords.includes('timer'));
+    assert.equal(appStoreScheduler.stats.scheduled, scheduled + 1);
+    scope.done();
+  });
+});
+
+describe('validateCountry', () => {
+  const rejectsWith = (platform, country, code, message) => assert.throws(
+    () => validateCountry(platform, country),
+    (error) => error.code === code && message.test(error.message)
+  );
+
+  it('accepts two-letter codes in any case', () => {
+    validateCountry('android', 'us');
+    validateCountry('ios', 'GB');
+  });
+
+  it('rejects malformed codes as invalid input', () => {
+    for (const country of ['1a', 'USA', 'u', '', 'u$']) {
+      rejectsWith('android', country, ERROR_CODES.INVALID_INPUT, /^Invalid country code/);
+    }
+  });
+
+  it('rejects unassigned codes as invalid input', () => {
+    rejectsWith('android', 'zz', ERROR_CODES.INVALID_INPUT, /^Invalid country code 'zz'/);
+  });
+
+  it('points to gb for the United Kingdom on iOS', () => {
+    rejectsWith('ios', 'uk', ERROR_CODES.INVALID_INPUT, /'gb'/);
+  });
+});
+
+describe('computeKeywordScores', () => {
+  const now = () => Date.UTC(2025, 5, 1);
+
+  it('scores a keyword from the store data', async () => {
+    const firstRequest = upstreamRequests.length;
+    const scores = await computeKeywordScores('pomodoro', 'ios', 'us', { now });
+
+    assert.deepEqual(scores.difficulty.titleMatches, { exact: 1, broad: 0, partial: 0, none: 1, score: 5 });
+    assert.deepEqual(scores.difficulty.age, { avgDaysSinceUpdated: 35, score: 9.37 });
+    assert.equal(scores.difficulty.score, 7.23);
+    assert.deepEqual(scores.traffic.suggest, { length: 3, index: 1, priority: 3500, score: 7.03 });
+    assert.deepEqual(scores.traffic.ranked, { count: 2, avgRank: 2, score: 9.99 });
+    assert.equal(scores.traffic.score, 7.58);
+
+    // The shortest suggesting prefix is found by binary search
+    const prefixes = upstreamRequests.slice(firstRequest)
+      .filter(request => request.includes('/hints?'))
+      .map(request => new URL(request, 'https://search.itunes.apple.com').searchParams.get('q'));
+    assert.deepEqual(prefixes, ['pomodoro', 'pomo', 'po', 'pom']);
+  });
+
+  it('measures update ages against the given clock', async () => {
+    const scores = await computeKeywordScores('pomodoro', 'ios', 'us', { now: () => now() + 400 * DAY });
+
+    assert.equal(scores.difficulty.age.avgDaysSinceUpdated, 435);
+    assert.equal(scores.traffic.score, 7.58);
+  });
+});
+
+describe('comparePermissions', () => {
+  const permissions = [
+    { permission: 'precise location (GPS and network-based)', group: 'Location', risk: 'dangerous' },
+    { permission: 'full network access', group: 'Network', risk: 'normal' }
+  ];
+
+  it('flags permissions competitors rarely request', () => {
+    const comparison = comparePermissions(permissions, [
+      { appId: 'com.example.a', permissions: [{ permission: 'Full network access', group: 'Network', risk: 'normal' }] },
+      { appId: 'com.example.b', permissions: [{ permission: 'record audio', group: 'Microphone', risk: 'dangerous' }] }
+    ]);
+
+    assert.deepEqual(comparison.onlyInApp.map(entry => entry.permission), ['precise location (GPS and network-based)']);
+    assert.deepEqual(comparison.unusual.map(entry => entry.permission), ['precise location (GPS and network-based)']);
+    assert.deepEqual(comparison.notInApp.map(entry => [entry.permission, entry.competitorShare]), [['record audio', 0.5]]);
+    assert.equal(comparison.sharedCount, 1);
+  });
+
+  it('does not compare against zero competitors', () => {
+    assert.equal(comparePermissions(permissions, []), null);
+  });
+});
+
+describe('findPrices', () => {
+  const cases = [
+    ['4,99 €', 'de', { raw: '4,99 €', amount: 4.99, currency: 'EUR', period: null, periodCount: null }],
+    ['¥600', 'jp', { raw: '¥600', amount: 600, currency: 'JPY', period: null, periodCount: null }],
+    ['¥600', 'cn', { raw: '¥600', amount: 600, currency: 'CNY', period: null, periodCount: null }],
+    ['£2.49/month', 'gb', { raw: '£2.49', amount: 2.49, currency: 'GBP', period: 'month', periodCount: 1 }],
+    ['R$ 14,90 por mês', 'br', { raw: 'R$ 14,90', amount: 14.9, currency: 'BRL', period: 'month', periodCount: 1 }],
+    ['kr 59,00/mnd', 'no', { raw: 'kr 59,00', amount: 59, currency: 'NOK', period: 'month', periodCount: 1 }],
+    ['1\u00a0299,00 Kč', 'cz', { raw: '1\u00a0299,00 Kč', amount: 1299, currency: 'CZK', period: null, periodCount: null }],
+    ['Jahresabo 29,99 €', 'de', { raw: '29,99 €', amount: 29.99, currency: 'EUR', period: 'year', periodCount: 1 }],
+    ['USD 9.99 every 3 months', 'us', { raw: 'USD 9.99', amount: 9.99, currency: 'USD', period: 'month', periodCount: 3 }]
+  ];
+
+  for (const [text, country, expected] of cases) {
+    it(`parses "${text}" in the ${country.toUpperCase()} storefront`, () => {
+      assert.deepEqual(findPrices(text, { country }), [expected]);
+    });
+  }
+
+  it('ignores bare numbers unless the currency is known', () => {
+    assert.deepEqual(findPrices('Over 100 timers, 4.99 each', { country: 'us' }), []);
+    assert.deepEqual(
+      findPrices('4.99', { country: 'us', currency: 'USD' }).map(price => [price.amount, price.currency]),
+      [[4.99, 'USD']]
+    );
+  });
+});
+
+describe('parsePriceRange', () => {
+  it('returns the lowest and highest in-app purchase price', () => {
+    assert.deepEqual(parsePriceRange('0,99 € – 109,99 € pro Artikel', { country: 'de' }), { min: 0.99, max: 109.99, currency: 'EUR' });
+    assert.equal(parsePriceRange('', { country: 'de' }), null);
+  });
+});
+
+// A PNG chunk with its CRC left at zero, which the decoder doesn't check
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+// A PNG file made of the signature and the given chunks
+const pngFile = (...chunks) => Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), ...chunks]);
+
+// IHDR data of an 8-bit RGBA image
+function pngHeader(width, height, colorType = 6) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return header;
+}
+
+/**
+ * Encode an 8-bit PNG from a pixel function, cycling through the scanline
+ * filters so that decoding has to undo each of them. CRCs are left at zero,
+ * which the decoder doesn't check.
+ * @param {number} colorType - 0 (grey), 2 (RGB) or 6 (RGBA)
+ * @param {Function} pixel - (x, y) => [r, g, b, a]
+ */
+function encodePng(width, height, pixel, colorType = 6) {
+  const channels = { 0: 1, 2: 3, 6: 4 }[colorType];
+  const stride = width * channels;
+
+  const rows = [];
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const line = Buffer.alloc(stride);
+    for (let x = 0; x < width; x++) {
+      const [r, g, b, a] = pixel(x, y);
+      const values = colorType === 0 ? [r] : (colorType === 2 ? [r, g, b] : [r, g, b, a]);
+      values.forEach((value, channel) => { line[x * channels + channel] = value; });
+    }
+
+    const filter = y % 5;
+    const filtered = Buffer.alloc(stride);
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? line[x - channels] : 0;
+      const up = previous[x];
+      const upLeft = x >= channels ? previous[x - channels] : 0;
+      const estimate = left + up - upLeft;
+      const paeth = [left, up, upLeft].reduce((best, value) =>
+        Math.abs(estimate - value) < Math.abs(estimate - best) ? value : best);
+      const predictor = [0, left, up, (left + up) >> 1, paeth][filter];
+      filtered[x] = (line[x] - predictor) & 0xff;
+    }
+    rows.push(Buffer.from([filter]), filtered);
+    previous = line;
+  }
+
+  return pngFile(
+    pngChunk('IHDR', pngHeader(width, height, colorType)),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0))
+  );
+}
+
+// A made-up icon: a dark disc on a light diagonal gradient, at any size
+const icon = (size, inverted = false) => (x, y) => {
+  const u = x / size;
+  const v = y / size;
+  const inDisc = (u - 0.4) ** 2 + (v - 0.5) ** 2 < 0.08;
+  const level = inDisc ? 30 : Math.round(120 + 120 * (u + v) / 2);
+  const value = inverted ? 255 - level : level;
+  return [value, Math.round(value * 0.8), 255 - value, 255];
+};
+
+describe('decodePng', () => {
+  it('decodes every scanline filter and color type', () => {
+    const pixel = (x, y) => [(x * 37 + y * 11) & 0xff, (x * 5 + y * 91) & 0xff, (x * y) & 0xff, (x * 13 + 200) & 0xff];
+
+    for (const colorType of [0, 2, 6]) {
+      const image = decodePng(encodePng(7, 10, pixel, colorType));
+      assert.equal(image.width, 7);
+      assert.equal(image.height, 10);
+
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 7; x++) {
+          const [r, g, b, a] = pixel(x, y);
+          const expected = colorType === 0 ? [r, r, r, 255] : (colorType === 2 ? [r, g, b, 255] : [r, g, b, a]);
+          const i = (y * 7 + x) * 4;
+          assert.deepEqual([...image.pixels.subarray(i, i + 4)], expected, `pixel ${x},${y} of color type ${colorType}`);
+        }
+      }
+    }
+  });
+
+  it('returns null for other image formats', () => {
+    assert.equal(decodePng(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0])), null);
+    assert.equal(decodePng(Buffer.alloc(0)), null);
+  });
+
+  it('returns null for images larger than an icon', () => {
+    assert.equal(decodePng(encodePng(600, 2, icon(600))), null);
+    assert.equal(decodePng(pngFile(
+      pngChunk('IHDR', pngHeader(100000, 100000)),
+      pngChunk('IDAT', zlib.deflateSync(Buffer.alloc(1000))),
+      pngChunk('IEND', Buffer.alloc(0))
+    )), null);
+  });
+
+  it('returns null for a truncated IHDR chunk', () => {
+    const png = pngFile(
+      pngChunk('IHDR', pngHeader(8, 8).subarray(0, 6)),
+      pngChunk('IEND', Buffer.alloc(0))
+    );
+    assert.equal(decodePng(png), null);
+  });
+
+  it('returns null for image data that inflates beyond the image size', () => {
+    // 8x8 RGBA needs 8 * (8 * 4 + 1) = 264 bytes, this inflates to 16 MB
+    const png = pngFile(
+      pngChunk('IHDR', pngHeader(8, 8)),
+      pngChunk('IDAT', zlib.deflateSync(Buffer.alloc(16 * 1024 * 1024))),
+      pngChunk('IEND', Buffer.alloc(0))
+    );
+    assert.equal(decodePng(png), null);
+  });
+});
+
+describe('downloadBuffer', () => {
+  it('aborts downloads larger than maxBytes', async () => {
+    const scope = nock('https://is1-ssl.mzstatic.com')
+      .get('/image/thumb/Purple/v4/Large.png/32x32bb.png')
+      .reply(200, Buffer.alloc(2048));
+
+    await assert.rejects(
+      downloadBuffer('https://is1-ssl.mzstatic.com/image/thumb/Purple/v4/Large.png/32x32bb.png', { maxBytes: 1024 }),
+      /larger than 1024 bytes/
+    );
+    scope.done();
+  });
+});
+
+describe('differenceHash', () => {
+  it('gives resized copies of an icon (nearly) the same hash', () => {
+    const large = differenceHash(decodePng(encodePng(96, 96, icon(96))));
+    const small = differenceHash(decodePng(encodePng(32, 32, icon(32))));
+
+    assert.match(large, /^[0-9a-f]{16}$/);
+    assert.ok(iconSimilarity(large, small) >= 0.75, `similarity ${iconSimilarity(large, small)}`);
+  });
+
+  it('tells different icons apart', () => {
+    const original = differenceHash(decodePng(encodePng(32, 32, icon(32))));
+    const inverted = differenceHash(decodePng(encodePng(32, 32, icon(32, true))));
+
+    assert.ok(iconSimilarity(original, inverted) < 0.2, `similarity ${iconSimilarity(original, inverted)}`);
+  });
+});
+
+describe('iconSimilarity', () => {
+  it('ranges from 1 for identical hashes to 0 for unrelated ones', () => {
+    assert.equal(iconSimilarity('0f0f0f0f0f0f0f0f', '0f0f0f0f0f0f0f0f'), 1);
+    assert.equal(iconSimilarity('0000000000000000', '00000000000000ff'), 0.75);
+    assert.equal(iconSimilarity('0000000000000000', 'ffffffffffffffff'), 0);
+  });
+});
+
+describe('scoreCounterpart', () => {
+  const profile = (overrides) => ({
+    appId: 'com.example.focustimer',
+    bundleId: 'com.example.focustimer',
+    title: 'Focus Timer',
+    developer: 'Acme Labs',
+    website: null,
+    description: null,
+    icon: null,
+    iconHash: null,
+    ...overrides
+  });
+
+  it('leaves the icon signal out unless both icons could be hashed', () => {
+    const { signals, confidence } = scoreCounterpart(profile({ iconHash: '0f0f0f0f0f0f0f0f' }), profile({ appId: '1001' }));
+
+    assert.equal(signals.icon, null);
+    assert.equal(confidence, 1);
+  });
+
+  it('weighs in the similarity of the icons', () => {
+    const same = scoreCounterpart(profile({ iconHash: '0f0f0f0f0f0f0f0f' }), profile({ iconHash: '0f0f0f0f0f0f0f0f' }));
+    const different = scoreCounterpart(profile({ iconHash: '0f0f0f0f0f0f0f0f' }), profile({ iconHash: 'f0f0f0f0f0f0f0f0' }));
+
+    assert.equal(same.signals.icon, 1);
+    assert.equal(different.signals.icon, 0);
+    assert.equal(same.confidence, 1);
+    assert.ok(different.confidence < same.confidence);
+  });
+});
+
+describe('iconHash', () => {
+  it('downloads a PNG thumbnail of the icon and hashes it', async () => {
+    const png = encodePng(32, 32, icon(32));
+    const scope = nock('https://is1-ssl.mzstatic.com')
+      .get('/image/thumb/Purple/v4/AppIcon.png/32x32bb.png')
+      .reply(200, png);
+
+    const hash = await cachedAppStore.iconHash({ url: 'https://is1-ssl.mzstatic.com/image/thumb/Purple/v4/AppIcon.png/512x512bb.jpg' });
+
+    assert.equal(hash, differenceHash(decodePng(png)));
+    scope.done();
+  });
+});
+
+// App Store review feed entries, without dates like the real feed
+const reviewFeed = (ids) => ({
+  feed: {
+    entry: ids.map(id => ({
+      id: { label: id },
+      author: { name: { label: `user ${id}` }, uri: { label: '' } },
+      'im:version': { label: '1.0' },
+      'im:rating': { label: '4' },
+      title: { label: 'Review' },
+      content: { label: `Review ${id}` },
+      link: { attributes: { href: '' } }
+    }))
+  }
+});
+
+// Serve the given review feed pages of an App Store app, each once
+const serveReviewPages = (id, country, pages) => {
+  const scope = nock('https://itunes.apple.com');
+  for (const [page, ids] of Object.entries(pages)) {
+    scope.get(`/${country}/rss/customerreviews/page=${page}/id=${id}/sortby=mostRecent/json`).reply(200, reviewFeed(ids));
+  }
+  return scope;
+};
+
+describe('fetchIosReviews', () => {
+  const fetchReviews = (position) => fetchIosReviews({
+    appId: '2002',
+    sort: 'mostRecent',
+    countries: ['us', 'gb', 'de'],
+    num: 100,
+    position,
+    maxRequests: 2
+  });
+
+  it('stops after maxRequests pages and continues from the position it returns', async () => {
+    let scope = serveReviewPages(2002, 'us', { 1: ['u1', 'u2'], 2: [] });
+    const first = await fetchReviews(null);
+    scope.done();
+    assert.deepEqual(first.reviews.map(review => review.id), ['u1', 'u2']);
+    assert.equal(first.requestLimitReached, true);
+    assert.deepEqual(first.next, { countryIndex: 1, page: 1, skip: 0, lastId: null });
+
+    scope = serveReviewPages(2002, 'gb', { 1: [] }).get('/de/rss/customerreviews/page=1/id=2002/sortby=mostRecent/json').reply(200, reviewFeed(['d1']));
+    const second = await fetchReviews(first.next);
+    scope.done();
+    assert.deepEqual(second.reviews.map(review => review.id), ['d1']);
+    assert.deepEqual(second.next, { countryIndex: 2, page: 2, skip: 0, lastId: null });
+
+    scope = serveReviewPages(2002, 'de', { 2: [] });
+    const last = await fetchReviews(second.next);
+    scope.done();
+    assert.deepEqual(last.reviews, []);
+    assert.equal(last.next, null);
+    assert.equal(last.requestLimitReached, undefined);
+  });
+});
+
+describe('syncReviewCorpus', () => {
+  const servePages = (pages) => serveReviewPages(2001, 'us', pages);
+
+  const sync = (maxReviews) => syncReviewCorpus({ appId: '2001', platform: 'ios', country: 'us', lang: 'en', maxReviews });
+
+  it('resumes a sync cut short by maxReviews where it stopped', async () => {
+    let scope = servePages({ 1: ['r5', 'r4'], 2: [] });
+    const first = await sync(10);
+    scope.done();
+    assert.deepEqual([first.added, first.syncDated, first.stoppedBy, first.caughtUp], [2, 2, 'end', true]);
+
+    // Four new reviews, more than the next sync downloads
+    scope = servePages({ 1: ['r9', 'r8'], 2: ['r7', 'r6'] });
+    const cut = await sync(3);
+    scope.done();
+    assert.deepEqual([cut.added, cut.stoppedBy, cut.caughtUp], [3, 'max_reviews', false]);
+    assert.deepEqual(cut.corpus.gap.resume, { page: 2, token: null, index: 1 });
+
+    // The next sync continues with r6 instead of starting over from r9
+    scope = servePages({ 2: ['r7', 'r6'], 3: ['r5', 'r4'] });
+    const resumed = await sync(10);
+    scope.done();
+    assert.deepEqual([resumed.fetched, resumed.stoppedBy, resumed.resumedGap, resumed.caughtUp], [1, 'last_seen', true, false]);
+    assert.equal(resumed.corpus.gap, null);
+    assert.equal(resumed.corpus.cursor.id, 'r9');
+    assert.equal(resumed.corpus.reviews, 6);
+
+    scope = servePages({ 1: ['r9', 'r8'] });
+    const caughtUp = await sync(10);
+    scope.done();
+    assert.deepEqual([caughtUp.fetched, caughtUp.stoppedBy, caughtUp.caughtUp], [0, 'last_seen', true]);
+  });
+});
+
+describe('summarizeReviewCorpus', () => {
+  const review = (score, date) => ({
+    score,
+    date,
+    dateSource: date ? 'store' : 'sync',
+    syncedAt: '2025-06-01T00:00:00.000Z',
+    title: '',
+    text: ''
+  });
+
+  it('leaves reviews dated by a sync out of the monthly trend', () => {
+    const summary = summarizeReviewCorpus([
+      review(5, '2025-04-10T00:00:00.000Z'),
+      review(3, '2025-05-10T00:00:00.000Z'),
+      review(1, null),
+      review(1, null)
+    ]);
+
+    assert.equal(summary.reviews, 4);
+    assert.equal(summary.averageScore, 2.5);
+    assert.equal(summary.syncDated, 2);
+    assert.deepEqual(summary.byMonth, [
+      { month: '2025-04', reviews: 1, averageScore: 5 },
+      { month: '2025-05', reviews: 1, averageScore: 3 }
+    ]);
+  });
+});